@@ -6,19 +6,34 @@
  * Entity Discovery Pipeline - Phase 1 (with Co-reference Resolution)
  *
  * Extracts entity candidates from fiction text, splits into:
- * - confirmed_characters.json: High-confidence characters
+ * - confirmed_characters.json: High-confidence characters, with inferred pronouns
+ *   and learned epithets ("the innkeeper"), as every entity file has
  * - candidates.json: Entities needing human review
+ * - locations.json: Places, typed from spatial contexts and name shape
+ * - collectives.json: Families and organizations, linked to their members
+ * - objects.json: Artifacts, typed from determiner and object-verb contexts
  *
  * Usage:
  *   node src/discover.js \
  *     --input path/to/book.md \
  *     --output path/to/output/
  *
+ *   node src/discover.js \
+ *     --series path/to/series.json \
+ *     --output path/to/output/
+ *
  * Options:
- *   --input       Input markdown file (required)
+ *   --input       Input file: .md, .epub, .txt, .html or .docx (required unless --series)
+ *   --series      Series manifest (ordered book files); writes book-N/ per book
+ *                 plus series_registry.json linking entities across books
  *   --output      Output directory (required)
  *   --min-mentions  Minimum mentions for candidates (default: 8)
+ *   --header-pattern  Extra chapter header regex (repeatable)
+ *   --lang        Language pack: en, de, es, fr (default: en)
+ *   --config      Config file with stopword/title overrides and thresholds
+ *                 (default: narrative.config.json next to the input, if present)
  *   --no-coref    Skip LLM co-reference resolution
+ *   --explain     Print why a name was kept or excluded (repeatable)
  *   --verbose     Log discovery process
  */
 
@@ -26,18 +41,33 @@ const fs = require('fs');
 const path = require('path');
 
 // Import pipeline modules
-const { extractProperNouns } = require('./lib/extract-proper-nouns');
+const { readInputLines, detectFormat } = require('./lib/read-input');
+const { createProperNounExtractor } = require('./lib/extract-proper-nouns');
 const { groupVariants } = require('./lib/group-variants');
-const { filterJunk } = require('./lib/filter-junk');
+const { filterJunk, createListPatternCounter } = require('./lib/filter-junk');
+const { classifyLocations } = require('./lib/classify-locations');
+const { classifyCollectives, linkMembers } = require('./lib/classify-collectives');
+const { classifyObjects } = require('./lib/classify-objects');
 const { tierEntities, generateEntityId } = require('./lib/tier-entities');
+const { inferPronouns } = require('./lib/infer-pronouns');
+const { learnEpithets } = require('./lib/learn-epithets');
+const { explainName } = require('./lib/explain-name');
 const { runCorefResolution } = require('./lib/llm-coref-merge');
+const { loadSeriesManifest, buildSeriesRegistry } = require('./lib/series');
+const { loadLanguagePack } = require('./lib/language');
+const { findConfigFile, loadConfigFile, resolveConfig } = require('./lib/config');
 
 // Parse CLI arguments
 function parseArgs() {
   const args = {
     input: null,
+    series: null,
     output: null,
-    minMentions: 8,
+    minMentions: null,
+    headerPatterns: [],
+    language: null,
+    config: null,
+    explain: [],
     verbose: false,
     skipCoref: false
   };
@@ -47,10 +77,20 @@ function parseArgs() {
 
     if (arg === '--input' && process.argv[i + 1]) {
       args.input = process.argv[++i];
+    } else if (arg === '--series' && process.argv[i + 1]) {
+      args.series = process.argv[++i];
     } else if (arg === '--output' && process.argv[i + 1]) {
       args.output = process.argv[++i];
     } else if (arg === '--min-mentions' && process.argv[i + 1]) {
       args.minMentions = parseInt(process.argv[++i], 10);
+    } else if (arg === '--header-pattern' && process.argv[i + 1]) {
+      args.headerPatterns.push(process.argv[++i]);
+    } else if (arg === '--lang' && process.argv[i + 1]) {
+      args.language = process.argv[++i];
+    } else if (arg === '--config' && process.argv[i + 1]) {
+      args.config = process.argv[++i];
+    } else if (arg === '--explain' && process.argv[i + 1]) {
+      args.explain.push(process.argv[++i]);
     } else if (arg === '--verbose' || arg === '-v') {
       args.verbose = true;
     } else if (arg === '--no-coref') {
@@ -63,11 +103,11 @@ function parseArgs() {
 
 // Main discovery pipeline
 async function discover(args) {
-  const { input, output, minMentions, verbose, skipCoref } = args;
+  const { input, output, series } = args;
 
   // Validate input
-  if (!input) {
-    console.error('Error: --input is required');
+  if (!input && !series) {
+    console.error('Error: --input or --series is required');
     process.exit(1);
   }
   if (!output) {
@@ -75,34 +115,178 @@ async function discover(args) {
     process.exit(1);
   }
 
-  const inputPath = path.resolve(input);
+  if (args.language) {
+    try {
+      loadLanguagePack(args.language);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  if (args.config && !fs.existsSync(args.config)) {
+    console.error(`Error: Config file not found: ${path.resolve(args.config)}`);
+    process.exit(1);
+  }
+
+  const inputPath = path.resolve(series || input);
   if (!fs.existsSync(inputPath)) {
-    console.error(`Error: Input file not found: ${inputPath}`);
+    console.error(`Error: ${series ? 'Series manifest' : 'Input file'} not found: ${inputPath}`);
     process.exit(1);
   }
 
-  // Create output directory
   const outputPath = path.resolve(output);
+
+  if (series) {
+    await discoverSeries(inputPath, outputPath, args);
+  } else {
+    await discoverBook(inputPath, outputPath, args);
+  }
+}
+
+// Discover each book of a series, then link entities across books
+async function discoverSeries(manifestPath, outputPath, args) {
+  const { verbose } = args;
+  let manifest;
+  try {
+    manifest = loadSeriesManifest(manifestPath);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  for (const book of manifest.books) {
+    if (!fs.existsSync(book.file)) {
+      console.error(`Error: Book ${book.number} not found: ${book.file}`);
+      process.exit(1);
+    }
+  }
+
+  console.log(`\n=== Series Discovery: ${manifest.title} (${manifest.books.length} books) ===`);
+
+  const bookResults = [];
+  for (const book of manifest.books) {
+    console.log(`\n--- Book ${book.number}: ${book.title} ---`);
+    const result = await discoverBook(book.file, path.join(outputPath, `book-${book.number}`), args);
+    bookResults.push({ book, ...result });
+  }
+
+  const registry = buildSeriesRegistry(bookResults, { verbose });
+
+  const registryOutput = {
+    metadata: {
+      series: manifest.title,
+      generated: new Date().toISOString(),
+      tier: 'series_registry',
+      language: bookResults[0].language,
+      books: manifest.books.map(b => ({ book: b.number, title: b.title, source: path.basename(b.file) })),
+      count: registry.entities.length
+    },
+    entities: registry.entities,
+    candidates: registry.candidates,
+    links: registry.links
+  };
+
+  fs.writeFileSync(
+    path.join(outputPath, 'series_registry.json'),
+    JSON.stringify(registryOutput, null, 2)
+  );
+
+  // Print summary
+  console.log('\n=== Series Discovery Complete ===\n');
+  console.log(`Series Characters: ${registry.entities.length}`);
+  console.log(`Series Candidates: ${registry.candidates.length}`);
+  console.log(`Cross-book links:  ${registry.links.length}`);
+  console.log('');
+
+  console.log('Top 10 Series Characters:');
+  registry.entities.slice(0, 10).forEach((c, i) => {
+    const perBook = c.books.map(b => `B${b.book}:${b.mentions}`).join(' ');
+    console.log(`  ${i + 1}. ${c.canonicalName} (${c.mentions} mentions; ${perBook})`);
+  });
+  console.log('');
+
+  console.log(`Output:`);
+  console.log(`  ${outputPath}/series_registry.json`);
+  for (const book of manifest.books) {
+    console.log(`  ${outputPath}/book-${book.number}/`);
+  }
+}
+
+/**
+ * Book config: --config, else narrative.config.json next to the book, with
+ * --lang and --min-mentions applied on top
+ */
+function loadBookConfig(inputPath, args) {
+  const configPath = args.config ? path.resolve(args.config) : findConfigFile(inputPath);
+  let config = {};
+  if (configPath) {
+    try {
+      config = loadConfigFile(configPath);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  const thresholds = config.thresholds || {};
+  const overrides = {
+    ...config,
+    ...(args.language ? { language: args.language } : {}),
+    ...(args.minMentions !== null ? {
+      thresholds: { ...thresholds, tiering: { ...thresholds.tiering, minCandidateMentions: args.minMentions } }
+    } : {})
+  };
+  try {
+    resolveConfig(overrides);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  return { configPath, config: overrides };
+}
+
+// Single-book discovery; returns tiered entities for series linking
+async function discoverBook(inputPath, outputPath, args) {
+  const { headerPatterns, verbose, skipCoref } = args;
+  const { configPath, config } = loadBookConfig(inputPath, args);
+  const effectiveConfig = resolveConfig(config);
+  const { language } = effectiveConfig;
+  const minMentions = effectiveConfig.thresholds.tiering.minCandidateMentions;
+
+  // Create output directory
   const debugPath = path.join(outputPath, 'debug');
   fs.mkdirSync(debugPath, { recursive: true });
 
   console.log('\n=== Entity Discovery Pipeline (v2 + Coref) ===\n');
   console.log(`Input:  ${inputPath}`);
   console.log(`Output: ${outputPath}`);
+  console.log(`Language: ${loadLanguagePack(language).name}`);
+  console.log(`Config: ${configPath || 'defaults'}`);
   console.log(`Min candidate mentions: ${minMentions}`);
   console.log(`LLM Co-reference: ${skipCoref ? 'disabled' : 'enabled'}`);
   console.log('');
 
-  const totalSteps = skipCoref ? 5 : 6;
+  const totalSteps = skipCoref ? 10 : 11;
 
-  // Step 1: Read input
+  // Step 1: Open input (markdown is streamed line by line, never held whole)
   console.log(`[1/${totalSteps}] Reading input file...`);
-  const text = fs.readFileSync(inputPath, 'utf8');
+  const lines = readInputLines(inputPath, { headerPatterns, language });
   const sourceFilename = path.basename(inputPath);
 
-  // Step 2: Extract proper nouns
+  if (verbose) {
+    console.log(`  Format: ${detectFormat(inputPath)}`);
+  }
+
+  // Step 2: Extract proper nouns (counts and list patterns accumulate per line)
   console.log(`[2/${totalSteps}] Extracting proper nouns...`);
-  const extractionResult = extractProperNouns(text, { verbose });
+  const extractor = createProperNounExtractor({ verbose, headerPatterns, language, config, keepMentions: false });
+  const listCounter = createListPatternCounter({ language });
+  for await (const line of lines) {
+    extractor.addLine(line);
+    listCounter.addLine(line);
+  }
+  const extractionResult = extractor.finish();
+  const listCounts = listCounter.finish();
 
   if (verbose) {
     console.log(`  Found ${extractionResult.metadata.totalMentions} mentions`);
@@ -118,13 +302,26 @@ async function discover(args) {
       uniqueForms: extractionResult.metadata.uniqueForms,
       mentionCounts: extractionResult.mentionCounts,
       possessiveCounts: extractionResult.possessiveCounts,
-      sentenceStartCounts: extractionResult.sentenceStartCounts
+      sentenceStartCounts: extractionResult.sentenceStartCounts,
+      startEvidenceCounts: extractionResult.startEvidenceCounts,
+      lowercaseCounts: extractionResult.lowercaseCounts,
+      spatialCounts: extractionResult.spatialCounts,
+      speechCounts: extractionResult.speechCounts,
+      familyCounts: extractionResult.familyCounts,
+      pluralVerbCounts: extractionResult.pluralVerbCounts,
+      determinerCounts: extractionResult.determinerCounts,
+      objectVerbCounts: extractionResult.objectVerbCounts,
+      agentCounts: extractionResult.agentCounts,
+      pronounCounts: extractionResult.pronounCounts,
+      epithetCounts: extractionResult.epithetCounts,
+      chapterCounts: extractionResult.chapterCounts,
+      cooccurrenceCounts: extractionResult.cooccurrenceCounts
     }, null, 2)
   );
 
   // Step 3: Group variants
   console.log(`[3/${totalSteps}] Grouping variants...`);
-  const entityGroups = groupVariants(extractionResult, { verbose, minMentions: 3 });
+  const entityGroups = groupVariants(extractionResult, { verbose, language, config });
 
   if (verbose) {
     console.log(`  Created ${entityGroups.length} entity groups`);
@@ -132,7 +329,14 @@ async function discover(args) {
 
   // Step 4: Filter junk
   console.log(`[4/${totalSteps}] Filtering junk...`);
-  const { clean, excluded } = filterJunk(entityGroups, extractionResult, text, { verbose });
+  let filtered;
+  try {
+    filtered = filterJunk(entityGroups, extractionResult, listCounts, { verbose, language, config });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  const { clean, excluded, decisions } = filtered;
 
   if (verbose) {
     console.log(`  ${clean.length} clean groups, ${excluded.length} excluded`);
@@ -147,21 +351,54 @@ async function discover(args) {
     }, null, 2)
   );
 
-  // Step 5: Tier entities
-  console.log(`[5/${totalSteps}] Tiering entities...`);
-  let { confirmedCharacters, candidates } = tierEntities(clean, extractionResult, {
+  // Save debug: every rule's verdict on every group
+  fs.writeFileSync(
+    path.join(debugPath, 'filter_decisions.json'),
+    JSON.stringify({ decisions }, null, 2)
+  );
+
+  // Step 5: Classify locations (typed out before tiering)
+  console.log(`[5/${totalSteps}] Classifying locations...`);
+  const usedIds = new Set();
+  const { locations, remaining: unlocated } = classifyLocations(clean, extractionResult, { verbose, language, config, usedIds });
+
+  if (verbose) {
+    console.log(`  ${locations.length} locations`);
+  }
+
+  // Step 6: Classify families and organizations (kept out of person tiers and merges)
+  console.log(`[6/${totalSteps}] Classifying collectives...`);
+  const { collectives, remaining: individuals } = classifyCollectives(unlocated, extractionResult, { verbose, language, config, usedIds });
+
+  if (verbose) {
+    console.log(`  ${collectives.length} families and organizations`);
+  }
+
+  // Step 7: Classify objects (artifacts never become characters)
+  console.log(`[7/${totalSteps}] Classifying objects...`);
+  const { objects, remaining } = classifyObjects(individuals, extractionResult, { verbose, language, config, usedIds });
+
+  if (verbose) {
+    console.log(`  ${objects.length} objects`);
+  }
+
+  // Step 8: Tier entities
+  console.log(`[8/${totalSteps}] Tiering entities...`);
+  let { confirmedCharacters, candidates } = tierEntities(remaining, extractionResult, {
     verbose,
-    minCandidateMentions: minMentions
+    language,
+    config,
+    usedIds
   });
 
-  // Step 6: LLM Co-reference Resolution (optional)
+  // Step 9: LLM Co-reference Resolution (optional)
   let corefStats = null;
   let corefDebug = null;
 
   if (!skipCoref) {
-    console.log(`[6/${totalSteps}] Running LLM co-reference resolution...`);
+    console.log(`[9/${totalSteps}] Running LLM co-reference resolution...`);
     try {
-      const corefResult = await runCorefResolution(confirmedCharacters, candidates, { verbose });
+      const corefResult = await runCorefResolution(confirmedCharacters, candidates, { verbose, language });
 
       confirmedCharacters = corefResult.confirmedCharacters;
       candidates = corefResult.candidates;
@@ -192,10 +429,24 @@ async function discover(args) {
     }
   }
 
+  // Infer pronouns (after merging, so merged variants count together)
+  console.log(`[${totalSteps - 1}/${totalSteps}] Inferring pronouns...`);
+  inferPronouns([...confirmedCharacters, ...candidates], extractionResult, { verbose, language, config });
+
+  // Last step: Learn epithets ("the innkeeper"), shared out over every entity type
+  console.log(`[${totalSteps}/${totalSteps}] Learning epithets...`);
+  const allEntities = [...confirmedCharacters, ...candidates, ...locations, ...collectives, ...objects];
+  learnEpithets(allEntities, extractionResult, { verbose, config });
+
+  if (verbose) {
+    console.log(`  ${allEntities.filter(e => e.epithets.length > 0).length} entities with epithets`);
+  }
+
   // Generate confirmed_characters.json
   const confirmedOutput = {
     metadata: {
       source: sourceFilename,
+      language,
       generated: new Date().toISOString(),
       tier: 'confirmed_characters',
       count: confirmedCharacters.length,
@@ -214,6 +465,7 @@ async function discover(args) {
   const candidatesOutput = {
     metadata: {
       source: sourceFilename,
+      language,
       generated: new Date().toISOString(),
       tier: 'candidates',
       count: candidates.length,
@@ -228,6 +480,61 @@ async function discover(args) {
     JSON.stringify(candidatesOutput, null, 2)
   );
 
+  // Generate locations.json
+  const locationsOutput = {
+    metadata: {
+      source: sourceFilename,
+      language,
+      generated: new Date().toISOString(),
+      type: 'location',
+      count: locations.length,
+      pipeline: skipCoref ? 'entity-discovery-v2' : 'entity-discovery-v2-coref'
+    },
+    entities: locations
+  };
+
+  fs.writeFileSync(
+    path.join(outputPath, 'locations.json'),
+    JSON.stringify(locationsOutput, null, 2)
+  );
+
+  // Generate collectives.json (members linked after merging, so IDs are final)
+  linkMembers(collectives, [...confirmedCharacters, ...candidates]);
+  const collectivesOutput = {
+    metadata: {
+      source: sourceFilename,
+      language,
+      generated: new Date().toISOString(),
+      type: 'collective',
+      count: collectives.length,
+      pipeline: skipCoref ? 'entity-discovery-v2' : 'entity-discovery-v2-coref'
+    },
+    entities: collectives
+  };
+
+  fs.writeFileSync(
+    path.join(outputPath, 'collectives.json'),
+    JSON.stringify(collectivesOutput, null, 2)
+  );
+
+  // Generate objects.json
+  const objectsOutput = {
+    metadata: {
+      source: sourceFilename,
+      language,
+      generated: new Date().toISOString(),
+      type: 'object',
+      count: objects.length,
+      pipeline: skipCoref ? 'entity-discovery-v2' : 'entity-discovery-v2-coref'
+    },
+    entities: objects
+  };
+
+  fs.writeFileSync(
+    path.join(outputPath, 'objects.json'),
+    JSON.stringify(objectsOutput, null, 2)
+  );
+
   // Generate stats
   const exclusionReasons = {};
   for (const item of excluded) {
@@ -235,7 +542,7 @@ async function discover(args) {
   }
 
   // Count low-frequency exclusions (groups that didn't make it to candidates)
-  const lowFrequencyExcluded = clean.filter(g => g.totalMentions < minMentions).length;
+  const lowFrequencyExcluded = remaining.filter(g => g.totalMentions < minMentions).length;
   if (lowFrequencyExcluded > 0) {
     exclusionReasons['low_frequency'] = lowFrequencyExcluded;
   }
@@ -244,18 +551,49 @@ async function discover(args) {
     source: sourceFilename,
     confirmedCharacters: confirmedCharacters.length,
     candidates: candidates.length,
+    locations: locations.length,
+    collectives: collectives.length,
+    objects: objects.length,
     excluded: excluded.length + lowFrequencyExcluded,
     exclusionReasons,
     corefMerges: corefStats || { skipped: true },
+    config: { source: configPath, ...effectiveConfig },
     topConfirmedByMentions: confirmedCharacters.slice(0, 10).map(c => ({
       name: c.canonicalName,
       mentions: c.mentions,
+      score: c.scoring.score,
       qualifiedBy: c.qualifiedBy,
+      pronouns: c.pronouns.set,
+      epithets: c.epithets.map(e => e.form),
+      aliases: (c.aliases || []).map(a => a.nickname),
       mergedFrom: c.mergedFrom || null
     })),
     topCandidatesByMentions: candidates.slice(0, 10).map(c => ({
       name: c.canonicalName,
-      mentions: c.mentions
+      mentions: c.mentions,
+      score: c.scoring.score
+    })),
+    // Borderline entities first: the candidates closest to the confirm cut-off
+    topCandidatesByScore: [...candidates].sort((a, b) => b.scoring.score - a.scoring.score).slice(0, 10).map(c => ({
+      name: c.canonicalName,
+      score: c.scoring.score,
+      features: c.scoring.features
+    })),
+    topLocationsByMentions: locations.slice(0, 10).map(l => ({
+      name: l.canonicalName,
+      mentions: l.mentions,
+      confidence: l.confidence
+    })),
+    topCollectivesByMentions: collectives.slice(0, 10).map(c => ({
+      name: c.canonicalName,
+      type: c.type,
+      mentions: c.mentions,
+      members: (c.members || []).length
+    })),
+    topObjectsByMentions: objects.slice(0, 10).map(o => ({
+      name: o.canonicalName,
+      mentions: o.mentions,
+      confidence: o.confidence
     }))
   };
 
@@ -268,6 +606,9 @@ async function discover(args) {
   console.log('\n=== Discovery Complete ===\n');
   console.log(`Confirmed Characters: ${confirmedCharacters.length}`);
   console.log(`Candidates:           ${candidates.length}`);
+  console.log(`Locations:            ${locations.length}`);
+  console.log(`Collectives:          ${collectives.length}`);
+  console.log(`Objects:              ${objects.length}`);
   console.log(`Excluded:             ${excluded.length + lowFrequencyExcluded}`);
 
   if (corefStats && !corefStats.error && !corefStats.skipped) {
@@ -283,24 +624,48 @@ async function discover(args) {
 
   console.log('Top 10 Confirmed Characters:');
   confirmedCharacters.slice(0, 10).forEach((c, i) => {
-    console.log(`  ${i + 1}. ${c.canonicalName} (${c.mentions} mentions, ${c.qualifiedBy})`);
+    console.log(`  ${i + 1}. ${c.canonicalName} (${c.mentions} mentions, ${c.qualifiedBy}, score ${c.scoring.score})`);
   });
   console.log('');
 
   console.log('Top 5 Candidates:');
   candidates.slice(0, 5).forEach((c, i) => {
-    console.log(`  ${i + 1}. ${c.canonicalName} (${c.mentions} mentions)`);
+    console.log(`  ${i + 1}. ${c.canonicalName} (${c.mentions} mentions, score ${c.scoring.score})`);
   });
   console.log('');
 
   console.log(`Output:`);
   console.log(`  ${outputPath}/confirmed_characters.json`);
   console.log(`  ${outputPath}/candidates.json`);
+  console.log(`  ${outputPath}/locations.json`);
+  console.log(`  ${outputPath}/collectives.json`);
+  console.log(`  ${outputPath}/objects.json`);
   console.log(`  ${outputPath}/stats.json`);
   console.log(`  ${outputPath}/debug/excluded.json`);
+  console.log(`  ${outputPath}/debug/filter_decisions.json`);
   if (corefDebug) {
     console.log(`  ${outputPath}/debug/llm_coref_response.json`);
   }
+
+  // --explain: why each named entity was kept or excluded
+  for (const name of args.explain) {
+    console.log('');
+    const lines = explainName(name, {
+      decisions,
+      extractionResult,
+      outputs: {
+        confirmed_characters: confirmedCharacters,
+        candidates,
+        locations,
+        collectives,
+        objects
+      },
+      thresholds: effectiveConfig.thresholds
+    });
+    for (const line of lines) console.log(line);
+  }
+
+  return { confirmedCharacters, candidates, language };
 }
 
 // Run
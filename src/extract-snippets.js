@@ -6,24 +6,59 @@
  * Phase 2: Snippet Extraction Pipeline
  *
  * Extracts text snippets around every entity mention, creating a queryable
- * index for efficient LLM context retrieval.
+ * index for efficient LLM context retrieval. Quoted speech is written to
+ * dialogue.jsonl with the speaking entity.
  *
  * Usage:
  *   node src/extract-snippets.js \
  *     --input path/to/book.md \
  *     --entities path/to/confirmed_characters.json \
  *     --output path/to/output/
+ *
+ *   node src/extract-snippets.js \
+ *     --series path/to/series.json \
+ *     --entities path/to/series_registry.json \
+ *     --output path/to/output/
+ *
+ *   node src/extract-snippets.js \
+ *     --input path/to/book.md \
+ *     --entities path/to/confirmed_characters.json \
+ *     --entities path/to/locations.json \
+ *     --entities path/to/objects.json \
+ *     --output path/to/output/
+ *
+ * Options:
+ *   --entities    Entity file; repeat to index several typed files together.
+ *                 The merged, typed entities are written to entities.json
+ *   --book N      Book number recorded on snippets from --input (default: 1)
+ *   --series      Series manifest; extracts every book, snippets carry their book number
+ *   --lang        Language pack (default: the language recorded by discover.js, else en)
+ *   --resolve-pronouns  Also link pronouns to entities ("He stepped inside."), adding
+ *                 resolved: "pronoun" mentions to snippets and indices
+ *   --resolve-epithets  Also link learned epithets to entities ("the innkeeper"),
+ *                 adding resolved: "epithet" mentions
  */
 
 const fs = require('fs');
 const path = require('path');
 
 // Import pipeline modules
-const { parseChapters, splitParagraphs } = require('./lib/parse-chapters');
-const { splitSentences } = require('./lib/split-sentences');
+const { readInputLines } = require('./lib/read-input');
+const { streamChapters, locateParagraphs } = require('./lib/parse-chapters');
+const { chapterLabel } = require('./lib/chapter-headers');
+const { locateSentences } = require('./lib/tokenizer');
 const { buildVariantLookup, findMentions } = require('./lib/find-mentions');
 const { dedupeSnippets } = require('./lib/dedupe-snippets');
-const { buildEntityIndex, buildCooccurrenceIndex, getTopCooccurrences, buildChapterIndex } = require('./lib/build-indices');
+const { attributeDialogue } = require('./lib/attribute-dialogue');
+const { createPronounResolver } = require('./lib/resolve-pronouns');
+const { createEpithetResolver } = require('./lib/resolve-epithets');
+const { getTopCooccurrences, createIndexBuilder } = require('./lib/build-indices');
+const { loadSeriesManifest } = require('./lib/series');
+const { DEFAULT_LANGUAGE, loadLanguagePack } = require('./lib/language');
+const { ENTITY_TYPES, entityType } = require('./lib/entity-types');
+
+// Types that can be attributed dialogue
+const SPEAKER_TYPES = new Set(['character', 'unknown']);
 
 /**
  * Parse CLI arguments
@@ -31,10 +66,16 @@ const { buildEntityIndex, buildCooccurrenceIndex, getTopCooccurrences, buildChap
 function parseArgs() {
   const args = {
     input: null,
-    entities: null,
+    series: null,
+    book: 1,
+    entities: [],
     output: null,
     includeCandidates: false,
     contextSentences: 1,
+    headerPatterns: [],
+    language: null,
+    resolvePronouns: false,
+    resolveEpithets: false,
     verbose: false
   };
 
@@ -43,14 +84,26 @@ function parseArgs() {
 
     if (arg === '--input' && process.argv[i + 1]) {
       args.input = process.argv[++i];
+    } else if (arg === '--series' && process.argv[i + 1]) {
+      args.series = process.argv[++i];
+    } else if (arg === '--book' && process.argv[i + 1]) {
+      args.book = parseInt(process.argv[++i], 10);
     } else if (arg === '--entities' && process.argv[i + 1]) {
-      args.entities = process.argv[++i];
+      args.entities.push(process.argv[++i]);
     } else if (arg === '--output' && process.argv[i + 1]) {
       args.output = process.argv[++i];
     } else if (arg === '--include-candidates') {
       args.includeCandidates = true;
     } else if (arg === '--context-sentences' && process.argv[i + 1]) {
       args.contextSentences = parseInt(process.argv[++i], 10);
+    } else if (arg === '--header-pattern' && process.argv[i + 1]) {
+      args.headerPatterns.push(process.argv[++i]);
+    } else if (arg === '--lang' && process.argv[i + 1]) {
+      args.language = process.argv[++i];
+    } else if (arg === '--resolve-pronouns') {
+      args.resolvePronouns = true;
+    } else if (arg === '--resolve-epithets') {
+      args.resolveEpithets = true;
     } else if (arg === '--verbose' || arg === '-v') {
       args.verbose = true;
     }
@@ -61,44 +114,75 @@ function parseArgs() {
 
 /**
  * Extract snippets from chapters using entity mentions
+ * With an epithet resolver (createEpithetResolver) or a pronoun resolver
+ * (createPronounResolver), resolved epithets and pronouns count as mentions too.
  */
 function extractSnippets(chapters, variantLookup, options = {}) {
-  const { verbose = false } = options;
+  const { verbose = false, book = 1, language, epithetResolver = null, pronounResolver = null } = options;
   const snippets = [];
   let snippetId = 0;
 
   for (const chapter of chapters) {
     if (verbose) {
-      console.log(`[Extract] Chapter ${chapter.number}: ${chapter.title}`);
+      console.log(`[Extract] Book ${book}, ${chapterLabel(chapter.key)}: ${chapter.title}`);
     }
 
-    const paragraphs = splitParagraphs(chapter.text);
+    const paragraphs = locateParagraphs(chapter.text);
 
     for (let paraIndex = 0; paraIndex < paragraphs.length; paraIndex++) {
-      const paragraph = paragraphs[paraIndex];
-      const sentences = splitSentences(paragraph);
+      const paragraphStart = chapter.offset + paragraphs[paraIndex].start;
+      const sentences = locateSentences(paragraphs[paraIndex].text, { language });
+      const sentenceMentions = sentences.map(s => findMentions(s.text, variantLookup));
+      const addResolved = (resolvedMentions) => resolvedMentions.forEach((resolved, index) => {
+        if (resolved.length === 0) return;
+        sentenceMentions[index] = [...sentenceMentions[index], ...resolved].sort((a, b) => a.start - b.start);
+      });
+
+      // Epithets stay in scope within a chapter; resolved first, so a pronoun
+      // can point back to "the innkeeper"
+      if (epithetResolver) {
+        if (paraIndex === 0) epithetResolver.reset();
+        addResolved(epithetResolver.resolve(paragraphs[paraIndex].text, sentences, sentenceMentions));
+      }
 
-      for (let sentIndex = 0; sentIndex < sentences.length; sentIndex++) {
-        const sentence = sentences[sentIndex];
+      // Pronouns never reach back across a chapter or scene break
+      if (pronounResolver) {
+        if (paraIndex === 0 || paragraphs[paraIndex].scene !== paragraphs[paraIndex - 1].scene) {
+          pronounResolver.reset();
+        }
+        addResolved(pronounResolver.resolve(paragraphs[paraIndex].text, sentences, sentenceMentions));
+      }
 
-        // Find mentions in this sentence
-        const mentions = findMentions(sentence, variantLookup);
+      // Source offsets of a sentence, and of each mention found in it
+      const sourceSpan = (sentence) => sentence
+        ? { start: paragraphStart + sentence.start, end: paragraphStart + sentence.end }
+        : null;
+      const locate = (index, slot) => (sentenceMentions[index] || []).map(m => ({
+        entity: m.entity,
+        variant: m.variant,
+        sentence: slot,
+        start: m.start,
+        end: m.end,
+        source: {
+          start: paragraphStart + sentences[index].start + m.start,
+          end: paragraphStart + sentences[index].start + m.end
+        },
+        ...(m.resolved && { resolved: m.resolved, confidence: m.confidence })
+      }));
 
-        if (mentions.length === 0) continue;
+      for (let sentIndex = 0; sentIndex < sentences.length; sentIndex++) {
+        // Find mentions in this sentence
+        if (sentenceMentions[sentIndex].length === 0) continue;
 
         // Build the 3-sentence window
-        const prevSent = sentences[sentIndex - 1] || '';
-        const nextSent = sentences[sentIndex + 1] || '';
-
-        // Find mentions in context sentences
-        const prevMentions = findMentions(prevSent, variantLookup);
-        const nextMentions = findMentions(nextSent, variantLookup);
+        const prevSent = sentences[sentIndex - 1];
+        const nextSent = sentences[sentIndex + 1];
 
-        // Collect all mentions with location info
+        // Collect all mentions with location info (start/end are offsets into text[sentence])
         const allMentions = [
-          ...prevMentions.map(m => ({ ...m, sentence: 'before' })),
-          ...mentions.map(m => ({ ...m, sentence: 'match' })),
-          ...nextMentions.map(m => ({ ...m, sentence: 'after' }))
+          ...locate(sentIndex - 1, 'before'),
+          ...locate(sentIndex, 'match'),
+          ...locate(sentIndex + 1, 'after')
         ];
 
         // Unique entity IDs
@@ -106,17 +190,24 @@ function extractSnippets(chapters, variantLookup, options = {}) {
 
         snippets.push({
           id: `s_${String(snippetId++).padStart(4, '0')}`,
-          book: 1,
-          chapter: chapter.number,
+          book,
+          chapter: chapter.key,
           chapterTitle: chapter.title,
           location: {
+            chapterIndex: chapter.index,
+            scene: paragraphs[paraIndex].scene,
             paragraphIndex: paraIndex,
             sentenceIndex: sentIndex
           },
           text: {
-            before: prevSent,
-            match: sentence,
-            after: nextSent
+            before: prevSent ? prevSent.text : '',
+            match: sentences[sentIndex].text,
+            after: nextSent ? nextSent.text : ''
+          },
+          sourceSpans: {
+            before: sourceSpan(prevSent),
+            match: sourceSpan(sentences[sentIndex]),
+            after: sourceSpan(nextSent)
           },
           entities: entityIds,
           mentions: allMentions
@@ -130,13 +221,16 @@ function extractSnippets(chapters, variantLookup, options = {}) {
 
 /**
  * Build statistics object
+ * @param {Object} totals - Running counts: { rawSnippets, snippets, multiEntitySnippets, entityRefs,
+ *   pronounMentions and epithetMentions (null unless resolved), dialogue: { lines, byAttribution, bySpeaker } }
  */
-function buildStats(snippets, dedupedSnippets, entities, entityIndex, cooccurrenceIndex, chapterIndex) {
+function buildStats(totals, entities, entityIndex, cooccurrenceIndex, chapterIndex, bookIndex = null) {
   const byEntity = {};
   for (const entity of entities) {
     const snippetIds = entityIndex[entity.id] || [];
     byEntity[entity.id] = {
       canonicalName: entity.canonicalName,
+      type: entity.type,
       snippets: snippetIds.length,
       mentions: entity.mentions
     };
@@ -147,48 +241,94 @@ function buildStats(snippets, dedupedSnippets, entities, entityIndex, cooccurren
     byChapter[chapter] = { snippets: snippetIds.length };
   }
 
-  const multiEntitySnippets = dedupedSnippets.filter(s => s.entities.length > 1).length;
-  const avgEntities = dedupedSnippets.length > 0
-    ? dedupedSnippets.reduce((sum, s) => sum + s.entities.length, 0) / dedupedSnippets.length
+  let byBook;
+  if (bookIndex) {
+    byBook = {};
+    for (const [book, snippetIds] of Object.entries(bookIndex)) {
+      byBook[book] = { snippets: snippetIds.length };
+    }
+  }
+
+  const avgEntities = totals.snippets > 0
+    ? totals.entityRefs / totals.snippets
     : 0;
 
   const topPairs = getTopCooccurrences(cooccurrenceIndex, 10)
     .map(p => ({ pair: p.pair, snippets: p.count }));
 
+  const { dialogue } = totals;
+  const attributedLines = dialogue.lines - (dialogue.byAttribution.none || 0);
+  const topSpeakers = Object.entries(dialogue.bySpeaker)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([id, lines]) => ({
+      id,
+      canonicalName: (entities.find(e => e.id === id) || {}).canonicalName || id,
+      lines
+    }));
+
   return {
     extraction: {
-      totalSnippets: dedupedSnippets.length,
-      beforeDedup: snippets.length,
-      dedupReduction: snippets.length > 0
-        ? `${Math.round((1 - dedupedSnippets.length / snippets.length) * 100)}%`
+      totalSnippets: totals.snippets,
+      beforeDedup: totals.rawSnippets,
+      dedupReduction: totals.rawSnippets > 0
+        ? `${Math.round((1 - totals.snippets / totals.rawSnippets) * 100)}%`
         : '0%'
     },
     entities: {
-      totalUsed: entities.length
+      totalUsed: entities.length,
+      byType: countByType(entities)
     },
     coverage: {
-      snippetsWithMultipleEntities: multiEntitySnippets,
-      avgEntitiesPerSnippet: Math.round(avgEntities * 10) / 10
+      snippetsWithMultipleEntities: totals.multiEntitySnippets,
+      avgEntitiesPerSnippet: Math.round(avgEntities * 10) / 10,
+      ...(totals.pronounMentions !== null && { pronounMentions: totals.pronounMentions }),
+      ...(totals.epithetMentions !== null && { epithetMentions: totals.epithetMentions })
     },
     byEntity,
+    ...(byBook && { byBook }),
     byChapter,
     cooccurrences: {
       totalPairs: Object.keys(cooccurrenceIndex).length,
       topPairs
+    },
+    dialogue: {
+      totalLines: dialogue.lines,
+      attributed: attributedLines,
+      attributionRate: dialogue.lines > 0
+        ? `${Math.round(attributedLines / dialogue.lines * 100)}%`
+        : '0%',
+      byAttribution: dialogue.byAttribution,
+      topSpeakers
     }
   };
 }
 
+/**
+ * Entity counts per type, in ENTITY_TYPES order (types with no entities omitted)
+ */
+function countByType(entities) {
+  const counts = {};
+  for (const type of ENTITY_TYPES) {
+    const count = entities.filter(e => e.type === type).length;
+    if (count > 0) counts[type] = count;
+  }
+  return counts;
+}
+
 /**
  * Generate review.md - human-readable audit report
+ * @param {Map} samples - Entity ID -> first few snippets for that entity
+ * @param {Array<string>} sources - Entity file paths
  */
-function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stats, outputPath) {
+function generateReview(samples, entities, entityIndex, cooccurrenceIndex, stats, outputPath, sources) {
   const lines = [];
 
   // Header
   lines.push('# Extraction Review\n');
   lines.push(`**Source:** ${stats.source}`);
-  lines.push(`**Entities:** ${entities.length} from confirmed_characters.json`);
+  const byType = Object.entries(stats.entities.byType).map(([type, count]) => `${count} ${type}`).join(', ');
+  lines.push(`**Entities:** ${entities.length} (${byType}) from ${sources.map(p => path.basename(p)).join(', ')}`);
   lines.push(`**Generated:** ${new Date().toISOString()}\n`);
   lines.push('---\n');
 
@@ -201,6 +341,7 @@ function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stat
   lines.push(`| Dedup Reduction | ${stats.extraction.dedupReduction} |`);
   lines.push(`| Co-occurrence Pairs | ${stats.cooccurrences.totalPairs} |`);
   lines.push(`| Avg Entities/Snippet | ${stats.coverage.avgEntitiesPerSnippet} |`);
+  lines.push(`| Dialogue Lines | ${stats.dialogue.totalLines} (${stats.dialogue.attributionRate} attributed) |`);
   lines.push('');
 
   // Entity coverage
@@ -221,8 +362,8 @@ function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stat
 
   // Top entities table
   lines.push('### Top 10 by Snippet Count\n');
-  lines.push('| Entity | Snippets | Mentions | Coverage |');
-  lines.push('|--------|----------|----------|----------|');
+  lines.push('| Entity | Type | Snippets | Mentions | Coverage |');
+  lines.push('|--------|------|----------|----------|----------|');
 
   const sortedEntities = entities
     .map(e => ({
@@ -233,7 +374,7 @@ function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stat
 
   for (const e of sortedEntities.slice(0, 10)) {
     const coverage = e.mentions > 0 ? Math.round(e.snippetCount / e.mentions * 100) : 0;
-    lines.push(`| ${e.canonicalName} | ${e.snippetCount} | ${e.mentions} | ${coverage}% |`);
+    lines.push(`| ${e.canonicalName} | ${e.type} | ${e.snippetCount} | ${e.mentions} | ${coverage}% |`);
   }
   lines.push('');
 
@@ -263,23 +404,34 @@ function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stat
   }
   lines.push('');
 
+  // Dialogue
+  lines.push('---\n');
+  lines.push('## Dialogue\n');
+  lines.push('### Top Speakers\n');
+  lines.push('| Speaker | Lines |');
+  lines.push('|---------|-------|');
+  for (const speaker of stats.dialogue.topSpeakers) {
+    lines.push(`| ${speaker.canonicalName} | ${speaker.lines} |`);
+  }
+  lines.push('');
+  lines.push('### Attribution\n');
+  lines.push('| Method | Lines |');
+  lines.push('|--------|-------|');
+  for (const [method, count] of Object.entries(stats.dialogue.byAttribution)) {
+    lines.push(`| ${method} | ${count} |`);
+  }
+  lines.push('');
+
   // Sample snippets for top 5 entities
   lines.push('---\n');
   lines.push('## Sample Snippets\n');
 
-  const snippetMap = new Map(snippets.map(s => [s.id, s]));
-
   for (const entity of sortedEntities.slice(0, 5)) {
     lines.push(`### ${entity.canonicalName} (3 samples)\n`);
 
-    const entitySnippetIds = entityIndex[entity.id] || [];
-    const sampleIds = entitySnippetIds.slice(0, 3);
-
-    for (const sid of sampleIds) {
-      const s = snippetMap.get(sid);
-      if (!s) continue;
-
-      lines.push(`**[${s.id}]** Chapter ${s.chapter}: ${s.chapterTitle}`);
+    for (const s of (samples.get(entity.id) || []).slice(0, 3)) {
+      const bookLabel = stats.byBook ? `Book ${s.book}, ` : '';
+      lines.push(`**[${s.id}]** ${bookLabel}${chapterLabel(s.chapter)}: ${s.chapterTitle}`);
       lines.push(`> **Before:** ${s.text.before || '(start of paragraph)'}`);
       lines.push(`> **Match:** ${s.text.match}`);
       lines.push(`> **After:** ${s.text.after || '(end of paragraph)'}`);
@@ -314,9 +466,15 @@ function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stat
   // Files generated
   lines.push('---\n');
   lines.push('## Files Generated\n');
+  lines.push(`- \`entities.json\` — ${entities.length} typed entities`);
   lines.push(`- \`snippets.jsonl\` — ${stats.extraction.totalSnippets} snippets`);
+  lines.push('- `snippet_offsets.json` — Byte offset of each snippet in snippets.jsonl');
   lines.push(`- \`entity_index.json\` — ${Object.keys(entityIndex).length} entities indexed`);
   lines.push(`- \`cooccurrence_index.json\` — ${stats.cooccurrences.totalPairs} entity pairs`);
+  lines.push(`- \`dialogue.jsonl\` — ${stats.dialogue.totalLines} dialogue lines`);
+  if (stats.byBook) {
+    lines.push(`- \`book_index.json\` — ${Object.keys(stats.byBook).length} books indexed`);
+  }
   lines.push('- `stats.json` — Full statistics');
   lines.push('- `review.md` — This file');
 
@@ -327,18 +485,56 @@ function generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stat
   return reviewPath;
 }
 
+/**
+ * Load and merge entity files, typing each entity from its own type or its
+ * file's metadata (see entity-types.js)
+ * An ID already loaded from an earlier file is skipped.
+ * @param {Array<string>} filePaths - Entity files, in priority order
+ * @returns {Object} { entities, recordedLanguage } - recordedLanguage is the
+ *   first language found in the files' metadata
+ */
+function loadEntityFiles(filePaths, options = {}) {
+  const { verbose = false } = options;
+  const entities = [];
+  const seenIds = new Set();
+  let recordedLanguage = null;
+
+  for (const filePath of filePaths) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const metadata = data.metadata || {};
+    recordedLanguage = recordedLanguage || metadata.language || null;
+
+    let loaded = 0;
+    for (const entity of data.entities || []) {
+      if (seenIds.has(entity.id)) continue;
+      seenIds.add(entity.id);
+      entities.push({ ...entity, type: entityType(entity, metadata) });
+      loaded++;
+    }
+
+    if (verbose) {
+      console.log(`  ${path.basename(filePath)}: ${loaded} entities`);
+    }
+  }
+
+  return { entities, recordedLanguage };
+}
+
 /**
  * Main extraction pipeline
  */
 async function extractSnippetsPipeline(args) {
-  const { input, entities: entitiesPath, output, includeCandidates, verbose } = args;
+  const {
+    input, series, book, entities: entitiesPaths, output, includeCandidates, headerPatterns,
+    resolvePronouns, resolveEpithets, verbose
+  } = args;
 
   // Validate inputs
-  if (!input) {
-    console.error('Error: --input is required');
+  if (!input && !series) {
+    console.error('Error: --input or --series is required');
     process.exit(1);
   }
-  if (!entitiesPath) {
+  if (entitiesPaths.length === 0) {
     console.error('Error: --entities is required');
     process.exit(1);
   }
@@ -347,17 +543,40 @@ async function extractSnippetsPipeline(args) {
     process.exit(1);
   }
 
-  const inputPath = path.resolve(input);
-  const entitiesFilePath = path.resolve(entitiesPath);
+  const inputPath = path.resolve(series || input);
+  const entitiesFilePaths = entitiesPaths.map(p => path.resolve(p));
   const outputPath = path.resolve(output);
 
   if (!fs.existsSync(inputPath)) {
-    console.error(`Error: Input file not found: ${inputPath}`);
+    console.error(`Error: ${series ? 'Series manifest' : 'Input file'} not found: ${inputPath}`);
     process.exit(1);
   }
-  if (!fs.existsSync(entitiesFilePath)) {
-    console.error(`Error: Entities file not found: ${entitiesFilePath}`);
-    process.exit(1);
+  for (const entitiesFilePath of entitiesFilePaths) {
+    if (!fs.existsSync(entitiesFilePath)) {
+      console.error(`Error: Entities file not found: ${entitiesFilePath}`);
+      process.exit(1);
+    }
+  }
+
+  // One source per book
+  let manifest = null;
+  if (series) {
+    try {
+      manifest = loadSeriesManifest(inputPath);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  const books = manifest
+    ? manifest.books
+    : [{ number: book, file: inputPath, title: path.basename(inputPath) }];
+
+  for (const b of books) {
+    if (!fs.existsSync(b.file)) {
+      console.error(`Error: Book ${b.number} not found: ${b.file}`);
+      process.exit(1);
+    }
   }
 
   // Create output directory
@@ -365,61 +584,153 @@ async function extractSnippetsPipeline(args) {
 
   console.log('\n=== Snippet Extraction Pipeline ===\n');
   console.log(`Input:    ${inputPath}`);
-  console.log(`Entities: ${entitiesFilePath}`);
+  console.log(`Entities: ${entitiesFilePaths.join(', ')}`);
   console.log(`Output:   ${outputPath}`);
   console.log('');
 
   // Step 1: Load entities
-  console.log('[1/6] Loading entities...');
-  const entitiesData = JSON.parse(fs.readFileSync(entitiesFilePath, 'utf8'));
-  let entities = entitiesData.entities || [];
-
-  if (verbose) {
-    console.log(`  Loaded ${entities.length} entities`);
+  console.log('[1/4] Loading entities...');
+  const { entities, recordedLanguage } = loadEntityFiles(entitiesFilePaths, { verbose });
+
+  // The book's language, as recorded by discover.js unless overridden
+  const language = args.language || recordedLanguage || DEFAULT_LANGUAGE;
+  try {
+    loadLanguagePack(language);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 
-  // Step 2: Parse chapters
-  console.log('[2/6] Parsing chapters...');
-  const markdown = fs.readFileSync(inputPath, 'utf8');
-  const chapters = parseChapters(markdown);
-
   if (verbose) {
-    console.log(`  Parsed ${chapters.length} chapters`);
+    console.log(`  Loaded ${entities.length} entities`);
+    console.log(`  Language: ${language}`);
   }
 
-  // Step 3: Build variant lookup
-  console.log('[3/6] Building variant lookup...');
+  // Step 2: Build variant lookup
+  console.log('[2/4] Building variant lookup...');
   const variantLookup = buildVariantLookup(entities);
+  const speakerLookup = buildVariantLookup(entities.filter(e => SPEAKER_TYPES.has(e.type)));
+
+  const pronounResolver = resolvePronouns ? createPronounResolver(entities, { language }) : null;
+  const epithetResolver = resolveEpithets ? createEpithetResolver(entities) : null;
 
   if (verbose) {
     console.log(`  ${variantLookup.size} variant patterns`);
   }
 
-  // Step 4: Extract snippets
-  console.log('[4/6] Extracting snippets...');
-  const rawSnippets = extractSnippets(chapters, variantLookup, { verbose });
+  // Step 3: Stream chapters -> extract, deduplicate, write (one chapter in memory at a time)
+  console.log('[3/4] Extracting snippets and dialogue...');
 
-  if (verbose) {
-    console.log(`  Extracted ${rawSnippets.length} raw snippets`);
+  const snippetsPath = path.join(outputPath, 'snippets.jsonl');
+  const snippetsFd = fs.openSync(snippetsPath, 'w');
+  const snippetOffsets = {}; // Snippet ID -> byte offset of its line, for query.js
+  let bytesWritten = 0;
+
+  const dialoguePath = path.join(outputPath, 'dialogue.jsonl');
+  const dialogueFd = fs.openSync(dialoguePath, 'w');
+
+  const indexBuilder = createIndexBuilder({ byBook: Boolean(manifest) });
+  const samples = new Map(); // Entity ID -> first 3 snippets (for review.md)
+  const totals = {
+    rawSnippets: 0,
+    snippets: 0,
+    multiEntitySnippets: 0,
+    entityRefs: 0,
+    pronounMentions: resolvePronouns ? 0 : null,
+    epithetMentions: resolveEpithets ? 0 : null,
+    dialogue: { lines: 0, byAttribution: {}, bySpeaker: {} }
+  };
+
+  try {
+    for (const b of books) {
+      let chapterCount = 0;
+      const lines = readInputLines(b.file, { headerPatterns, language });
+
+      for await (const chapter of streamChapters(lines, { headerPatterns, language })) {
+        chapterCount++;
+        const rawSnippets = extractSnippets([chapter], variantLookup, {
+          verbose,
+          book: b.number,
+          language,
+          epithetResolver,
+          pronounResolver
+        });
+        const snippets = dedupeSnippets(rawSnippets, { firstId: totals.snippets, language });
+
+        for (const snippet of snippets) {
+          const separator = totals.snippets > 0 ? '\n' : '';
+          snippetOffsets[snippet.id] = bytesWritten + separator.length;
+          bytesWritten += fs.writeSync(snippetsFd, separator + JSON.stringify(snippet));
+
+          totals.snippets++;
+          totals.entityRefs += snippet.entities.length;
+          if (snippet.entities.length > 1) totals.multiEntitySnippets++;
+          for (const m of snippet.mentions) {
+            if (m.resolved && m.sentence === 'match') totals[`${m.resolved}Mentions`]++;
+          }
+
+          for (const entityId of snippet.entities) {
+            if (!samples.has(entityId)) samples.set(entityId, []);
+            if (samples.get(entityId).length < 3) samples.get(entityId).push(snippet);
+          }
+        }
+
+        totals.rawSnippets += rawSnippets.length;
+        indexBuilder.add(snippets);
+
+        // Dialogue lines and their speakers
+        const { dialogue } = totals;
+        for (const line of attributeDialogue(chapter, speakerLookup, { book: b.number, firstId: dialogue.lines, language })) {
+          fs.writeSync(dialogueFd, (dialogue.lines > 0 ? '\n' : '') + JSON.stringify(line));
+          dialogue.lines++;
+          const method = line.attribution || 'none';
+          dialogue.byAttribution[method] = (dialogue.byAttribution[method] || 0) + 1;
+          if (line.speaker) {
+            dialogue.bySpeaker[line.speaker] = (dialogue.bySpeaker[line.speaker] || 0) + 1;
+          }
+        }
+      }
+
+      if (verbose) {
+        console.log(`  Book ${b.number}: ${chapterCount} chapters`);
+      }
+    }
+  } finally {
+    fs.closeSync(snippetsFd);
+    fs.closeSync(dialogueFd);
   }
 
-  // Step 5: Deduplicate
-  console.log('[5/6] Deduplicating overlapping snippets...');
-  const snippets = dedupeSnippets(rawSnippets);
+  const reduction = totals.rawSnippets > 0 ? Math.round((1 - totals.snippets / totals.rawSnippets) * 100) : 0;
+  console.log(`  ${totals.rawSnippets} -> ${totals.snippets} snippets (${reduction}% reduction)`);
+  console.log(`  ${totals.dialogue.lines} dialogue lines`);
+  if (epithetResolver) console.log(`  ${totals.epithetMentions} epithet mentions resolved`);
+  if (pronounResolver) console.log(`  ${totals.pronounMentions} pronoun mentions resolved`);
 
-  console.log(`  ${rawSnippets.length} -> ${snippets.length} snippets (${Math.round((1 - snippets.length / rawSnippets.length) * 100)}% reduction)`);
+  // Step 4: Write indices
+  console.log('[4/4] Writing indices...');
 
-  // Step 6: Build indices and output
-  console.log('[6/6] Building indices and writing output...');
+  const { entityIndex, cooccurrenceIndex, chapterIndex, bookIndex: allBooks } = indexBuilder.finish();
+  const bookIndex = manifest ? allBooks : null;
 
-  const entityIndex = buildEntityIndex(snippets);
-  const cooccurrenceIndex = buildCooccurrenceIndex(snippets);
-  const chapterIndex = buildChapterIndex(snippets);
+  // Write entities.json (the typed entities indexed, for query.js)
+  fs.writeFileSync(
+    path.join(outputPath, 'entities.json'),
+    JSON.stringify({
+      metadata: {
+        sources: entitiesFilePaths.map(p => path.basename(p)),
+        language,
+        generated: new Date().toISOString(),
+        count: entities.length
+      },
+      entities
+    }, null, 2)
+  );
 
-  // Write snippets.jsonl
-  const snippetsPath = path.join(outputPath, 'snippets.jsonl');
-  const snippetsContent = snippets.map(s => JSON.stringify(s)).join('\n');
-  fs.writeFileSync(snippetsPath, snippetsContent);
+  // Write snippet_offsets.json
+  fs.writeFileSync(
+    path.join(outputPath, 'snippet_offsets.json'),
+    JSON.stringify(snippetOffsets)
+  );
 
   // Write entity_index.json
   fs.writeFileSync(
@@ -433,9 +744,17 @@ async function extractSnippetsPipeline(args) {
     JSON.stringify(cooccurrenceIndex, null, 2)
   );
 
+  // Write book_index.json (series only)
+  if (bookIndex) {
+    fs.writeFileSync(
+      path.join(outputPath, 'book_index.json'),
+      JSON.stringify(bookIndex, null, 2)
+    );
+  }
+
   // Build and write stats
-  const stats = buildStats(rawSnippets, snippets, entities, entityIndex, cooccurrenceIndex, chapterIndex);
-  stats.source = path.basename(inputPath);
+  const stats = buildStats(totals, entities, entityIndex, cooccurrenceIndex, chapterIndex, bookIndex);
+  stats.source = manifest ? manifest.title : path.basename(inputPath);
   fs.writeFileSync(
     path.join(outputPath, 'stats.json'),
     JSON.stringify(stats, null, 2)
@@ -443,11 +762,11 @@ async function extractSnippetsPipeline(args) {
 
   // Generate review.md
   console.log('  Generating review.md...');
-  generateReview(snippets, entities, entityIndex, cooccurrenceIndex, stats, outputPath);
+  generateReview(samples, entities, entityIndex, cooccurrenceIndex, stats, outputPath, entitiesFilePaths);
 
   // Print summary
   console.log('\n=== Extraction Complete ===\n');
-  console.log(`Total Snippets:    ${snippets.length}`);
+  console.log(`Total Snippets:    ${totals.snippets}`);
   console.log(`Entities Indexed:  ${Object.keys(entityIndex).length}`);
   console.log(`Co-occurrence Pairs: ${Object.keys(cooccurrenceIndex).length}`);
   console.log('');
@@ -471,9 +790,15 @@ async function extractSnippetsPipeline(args) {
   console.log('');
 
   console.log('Output files:');
+  console.log(`  ${outputPath}/entities.json`);
   console.log(`  ${outputPath}/snippets.jsonl`);
+  console.log(`  ${outputPath}/snippet_offsets.json`);
+  console.log(`  ${outputPath}/dialogue.jsonl`);
   console.log(`  ${outputPath}/entity_index.json`);
   console.log(`  ${outputPath}/cooccurrence_index.json`);
+  if (bookIndex) {
+    console.log(`  ${outputPath}/book_index.json`);
+  }
   console.log(`  ${outputPath}/stats.json`);
   console.log(`  ${outputPath}/review.md`);
 }
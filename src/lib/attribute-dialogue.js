@@ -0,0 +1,345 @@
+/**
+ * attribute-dialogue.js
+ *
+ * Finds quoted speech in chapter text and attributes each line to a speaker.
+ * Attribution, strongest evidence first:
+ * 1. tag         - speech tag next to the quote ("said Harry", "Hartwell reported")
+ * 2. pronoun     - pronoun speech tag ("she cried"), resolved to the character
+ *                  the paragraph opens with, else the last character named in narration
+ * 3. paragraph   - untagged quote in a paragraph whose other lines have one tagged speaker
+ * 4. continued   - quote continuing an unclosed quote from the previous paragraph
+ * 5. action      - paragraph opens with a character's action ("Hartwell nodded. "...")
+ * 6. turn-taking - unattributed line in an exchange, alternating with the line before
+ *
+ * Speaker state never crosses a scene break or chapter boundary.
+ */
+
+const { locateParagraphs } = require('./parse-chapters');
+const { findMentions } = require('./find-mentions');
+const { loadLanguagePack } = require('./language');
+
+// Tag after the quote: `"...," said Harry` / `"...," Harry said` / `"...!" she cried`
+const LEAD_PATTERN = /^[\s,;:—–-]*/u;
+
+// Dialogue dashes (Spanish, French): `—Hola —dijo Juan—. ¿Vienes?`
+const DASHES = /[—―–]/g;
+
+// Word boundaries that also hold next to accented letters ("preguntó", "répondit")
+const WORD_START = '(?<![\\p{L}\\p{M}])';
+const WORD_END = '(?![\\p{L}\\p{M}])';
+
+const speechPatterns = new Map(); // Language code -> speech tag patterns
+
+/**
+ * Build the speech tag patterns for a language pack
+ */
+function getSpeechPatterns(pack) {
+  if (speechPatterns.has(pack.code)) return speechPatterns.get(pack.code);
+
+  const VERB = `(?:${pack.speechVerbs
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(v => v.replace(/\s+/g, '\\s+'))
+    .join('|')})`;
+  const PRONOUN = `(?:${pack.speechPronouns.join('|')})`;
+  const ADVERB_WORD = pack.speechAdverbSuffixes.length > 0
+    ? `\\p{L}+(?:${pack.speechAdverbSuffixes.join('|')})`
+    : null;
+  const ADVERB = ADVERB_WORD ? `(?:${ADVERB_WORD}\\s+)?` : '';
+  const TRAILING_ADVERB = ADVERB_WORD ? `(?:\\s+${ADVERB_WORD})?` : '';
+
+  const patterns = {
+    verbFirst: new RegExp(`^${ADVERB}${VERB}\\s+`, 'iu'),
+    verbAfterName: new RegExp(`^\\s+${ADVERB}${VERB}${WORD_END}`, 'iu'),
+    // "said he", and the French inversion "dit-il", "demanda-t-elle"
+    pronounTag: new RegExp(`^(?:${PRONOUN}\\s+${ADVERB}${VERB}|${VERB}(?:\\s+|-(?:t-)?)${PRONOUN})${WORD_END}`, 'iu'),
+
+    // Tag before the quote: `Harry said, "..."` / `she whispered: "..."`
+    trailingVerb: new RegExp(`\\s+${ADVERB}${VERB}${TRAILING_ADVERB}$`, 'iu'),
+    trailingVerbBeforeName: new RegExp(`${WORD_START}${VERB}\\s+$`, 'iu'),
+    trailingPronounTag: new RegExp(`${WORD_START}${PRONOUN}\\s+${ADVERB}${VERB}${TRAILING_ADVERB}$`, 'iu'),
+
+    // Speech tag set off by a comma inside dash dialogue: `— Bonjour, dit Jean.`
+    incise: new RegExp(`[,?!…](?=\\s+${VERB}(?:${WORD_END}|-))`, 'iu')
+  };
+  speechPatterns.set(pack.code, patterns);
+  return patterns;
+}
+
+/**
+ * Find quoted spans in a paragraph
+ * Double quotes (the pack's pairs: “…”, „…“, «…») are used when present;
+ * otherwise single quotes, where ’ followed by a letter is an apostrophe.
+ * Languages with dialogue dashes also read a paragraph opening with "—" as
+ * speech, alternating with narration at each further dash.
+ * @param {string} text - One paragraph
+ * @param {Object} [options] - { language }
+ * @returns {Array} Array of { start, end, open, close, closed } where start/end
+ *   bound the quoted words and open/close bound the quote marks
+ */
+function findQuotes(text, options = {}) {
+  const pack = loadLanguagePack(options.language);
+  const doubleOpen = new Set(pack.quotes.double.map(pair => pair[0]));
+  const doubleClose = new Set(pack.quotes.double.map(pair => pair[1]));
+  const doubleQuoted = [...text].some(ch => doubleOpen.has(ch) || doubleClose.has(ch));
+
+  if (pack.quotes.dash && !doubleQuoted && /^\s*[—―–]/.test(text)) {
+    return findDashQuotes(text, getSpeechPatterns(pack));
+  }
+
+  const singleOpen = new Set(pack.quotes.single.map(pair => pair[0]));
+  const singleClose = new Set(pack.quotes.single.map(pair => pair[1]));
+  const quotes = [];
+  let open = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (open === null) {
+      if (doubleQuoted ? doubleOpen.has(ch) : singleOpen.has(ch)) {
+        open = i;
+      }
+      continue;
+    }
+
+    const closes = doubleQuoted
+      ? doubleClose.has(ch)
+      : singleClose.has(ch) && !(/['’]/.test(ch) && /\p{L}/u.test(text[i + 1] || ''));
+    if (closes) {
+      quotes.push({ start: open + 1, end: i, open, close: i + 1, closed: true });
+      open = null;
+    }
+  }
+
+  // Unclosed quote runs to the end of the paragraph (continued in the next one)
+  if (open !== null) {
+    quotes.push({ start: open + 1, end: text.length, open, close: text.length, closed: false });
+  }
+
+  return quotes.filter(q => /\p{L}/u.test(text.slice(q.start, q.end)));
+}
+
+/**
+ * Speech in a paragraph opening with a dialogue dash
+ * Dashes alternate speech and narration: `—Yo —dijo Juan— no sé.` is speech
+ * "Yo", narration "dijo Juan", speech "no sé." A speech span has no closing
+ * mark, so it ends at the dash that opens the narration, or at a speech tag
+ * set off by a comma (`— Bonjour, dit Jean. Il sourit.`), the rest of the
+ * span being narration.
+ */
+function findDashQuotes(text, patterns) {
+  const dashes = [...text.matchAll(DASHES)].map(m => m.index);
+  const quotes = [];
+
+  for (let i = 0; i < dashes.length; i += 2) {
+    const open = dashes[i];
+    let end = i + 1 < dashes.length ? dashes[i + 1] : text.length;
+    const start = open + 1 + text.slice(open + 1, end).search(/[^\s.,;:]|$/);
+    const incise = text.slice(start, end).match(patterns.incise);
+    if (incise) end = start + incise.index + 1;
+    quotes.push({ start, end, open, close: end, closed: true });
+  }
+
+  return quotes.filter(q => /\p{L}/u.test(text.slice(q.start, q.end)));
+}
+
+/**
+ * Mention starting exactly at an offset
+ */
+function mentionAt(mentions, offset) {
+  return mentions.find(m => m.start === offset) || null;
+}
+
+/**
+ * Read a speech tag at the start of the narration after a quote
+ * @param {string} segment - Narration following the quote
+ * @param {Array} mentions - findMentions(segment)
+ * @param {Object} patterns - getSpeechPatterns(pack)
+ * @returns {Object|null} { speaker } or { pronoun: true }
+ */
+function readTagAfter(segment, mentions, patterns) {
+  const lead = segment.match(LEAD_PATTERN)[0].length;
+  const rest = segment.slice(lead);
+
+  // "said Harry", "said Mr. Dursley quietly"
+  const verbFirst = rest.match(patterns.verbFirst);
+  if (verbFirst) {
+    const mention = mentionAt(mentions, lead + verbFirst[0].length);
+    if (mention) return { speaker: mention.entity };
+  }
+
+  // "Harry said", "Hartwell reported"
+  const mention = mentionAt(mentions, lead);
+  if (mention && patterns.verbAfterName.test(segment.slice(mention.end))) {
+    return { speaker: mention.entity };
+  }
+
+  // "she cried", "said he"
+  if (patterns.pronounTag.test(rest)) return { pronoun: true };
+
+  return null;
+}
+
+/**
+ * Read a speech tag at the end of the narration before a quote
+ * Only narration ending in "," or ":" introduces speech (`Harry said, "..."`).
+ * @param {string} segment - Narration preceding the quote
+ * @param {Array} mentions - findMentions(segment)
+ * @param {Object} patterns - getSpeechPatterns(pack)
+ * @returns {Object|null} { speaker } or { pronoun: true }
+ */
+function readTagBefore(segment, mentions, patterns) {
+  const stripped = segment.replace(/\s+$/, '');
+  if (!/[,:]$/.test(stripped)) return null;
+  const clause = stripped.slice(0, -1).replace(/\s+$/, '');
+
+  // "Harry said quietly,"
+  const verb = clause.match(patterns.trailingVerb);
+  if (verb) {
+    const mention = mentions.find(m => m.end === verb.index);
+    if (mention) return { speaker: mention.entity };
+  }
+
+  // "said Harry:"
+  const last = mentions.find(m => m.end === clause.length);
+  if (last && patterns.trailingVerbBeforeName.test(clause.slice(0, last.start))) {
+    return { speaker: last.entity };
+  }
+
+  if (patterns.trailingPronounTag.test(clause)) return { pronoun: true };
+
+  return null;
+}
+
+/**
+ * Check if an untagged quote is a scare quote inside a sentence (`the "so-called" heir`)
+ */
+function isEmbeddedQuote(text, quote) {
+  return /\p{Ll}\s$/u.test(text.slice(Math.max(0, quote.open - 2), quote.open)) &&
+    /^\s\p{Ll}/u.test(text.slice(quote.close, quote.close + 2));
+}
+
+/**
+ * Find and attribute dialogue in one chapter
+ * @param {Object} chapter - Chapter from parseChapters/streamChapters
+ * @param {Map} variantLookup - Map from buildVariantLookup
+ * @param {Object} options - { book: 1, firstId: 0, language } (firstId keeps IDs sequential across chapters)
+ * @returns {Array} Array of dialogue lines:
+ *   { id, book, chapter, chapterTitle, location, text, speaker, attribution, source }
+ */
+function attributeDialogue(chapter, variantLookup, options = {}) {
+  const { book = 1, firstId = 0 } = options;
+  const patterns = getSpeechPatterns(loadLanguagePack(options.language));
+  const lines = [];
+
+  let scene = null;
+  let lastNarrated = null; // Last character named in narration (for pronoun tags)
+  let exchange = []; // Speakers of the preceding dialogue paragraphs, most recent last
+  let continuedSpeaker; // Speaker of an unclosed quote at the end of the previous paragraph
+
+  const paragraphs = locateParagraphs(chapter.text);
+
+  for (let paraIndex = 0; paraIndex < paragraphs.length; paraIndex++) {
+    const paragraph = paragraphs[paraIndex];
+    const text = paragraph.text;
+
+    if (paragraph.scene !== scene) {
+      scene = paragraph.scene;
+      lastNarrated = null;
+      exchange = [];
+      continuedSpeaker = undefined;
+    }
+
+    const quotes = findQuotes(text, options).filter(q => !isEmbeddedQuote(text, q));
+
+    // Narration segments around the quotes: segments[i] precedes quotes[i]
+    const segments = [];
+    let cursor = 0;
+    for (const quote of quotes) {
+      segments.push({ start: cursor, text: text.slice(cursor, quote.open) });
+      cursor = quote.close;
+    }
+    segments.push({ start: cursor, text: text.slice(cursor) });
+    for (const segment of segments) {
+      segment.mentions = findMentions(segment.text, variantLookup);
+    }
+
+    if (quotes.length === 0) {
+      const mentions = segments[0].mentions;
+      if (mentions.length > 0) lastNarrated = mentions[mentions.length - 1].entity;
+      exchange = [];
+      continuedSpeaker = undefined;
+      continue;
+    }
+
+    // Character the paragraph opens with ("Hartwell nodded. ...")
+    const opening = segments[0].text.trim() ? mentionAt(segments[0].mentions, segments[0].text.search(/\S/)) : null;
+    const subject = opening ? opening.entity : null;
+
+    // 1-2. Speech tags
+    const attributed = quotes.map((quote, i) => {
+      const narratedBefore = segments.slice(0, i + 1).flatMap(s => s.mentions);
+      const tag = readTagAfter(segments[i + 1].text, segments[i + 1].mentions, patterns) ||
+        readTagBefore(segments[i].text, segments[i].mentions, patterns);
+      if (!tag) return null;
+      if (tag.speaker) return { speaker: tag.speaker, attribution: 'tag' };
+
+      const recent = narratedBefore.length > 0 ? narratedBefore[narratedBefore.length - 1].entity : lastNarrated;
+      const speaker = subject || recent;
+      return speaker ? { speaker, attribution: 'pronoun' } : null;
+    });
+
+    // 3-6. Untagged quotes share the paragraph's speaker
+    const tagged = new Set(attributed.filter(Boolean).map(a => a.speaker));
+    let fallback = null;
+    if (tagged.size === 1) {
+      fallback = { speaker: [...tagged][0], attribution: 'paragraph' };
+    } else if (tagged.size === 0) {
+      if (continuedSpeaker && quotes[0].open === 0) {
+        fallback = { speaker: continuedSpeaker, attribution: 'continued' };
+      } else if (subject) {
+        fallback = { speaker: subject, attribution: 'action' };
+      } else if (exchange.length >= 2 && exchange[exchange.length - 2] !== exchange[exchange.length - 1]) {
+        fallback = { speaker: exchange[exchange.length - 2], attribution: 'turn-taking' };
+      }
+    }
+
+    quotes.forEach((quote, i) => {
+      const result = attributed[i] || fallback || { speaker: null, attribution: null };
+      lines.push({
+        id: `d_${String(firstId + lines.length).padStart(4, '0')}`,
+        book,
+        chapter: chapter.key,
+        chapterTitle: chapter.title,
+        location: {
+          chapterIndex: chapter.index,
+          scene: paragraph.scene,
+          paragraphIndex: paraIndex
+        },
+        text: text.slice(quote.start, quote.end).trim(),
+        speaker: result.speaker,
+        attribution: result.attribution,
+        source: {
+          start: chapter.offset + paragraph.start + quote.start,
+          end: chapter.offset + paragraph.start + quote.end
+        }
+      });
+    });
+
+    // Carry state to the next paragraph
+    const speakers = attributed.map(a => (a || fallback || {}).speaker || null);
+    const paragraphSpeaker = speakers[speakers.length - 1];
+    exchange = paragraphSpeaker ? [...exchange, paragraphSpeaker] : [];
+    continuedSpeaker = quotes[quotes.length - 1].closed ? undefined : paragraphSpeaker;
+
+    const narrated = segments.flatMap(s => s.mentions);
+    if (narrated.length > 0) lastNarrated = narrated[narrated.length - 1].entity;
+  }
+
+  return lines;
+}
+
+module.exports = {
+  attributeDialogue,
+  findQuotes
+};
@@ -31,7 +31,8 @@ function buildEntityIndex(snippets) {
 
 /**
  * Build co-occurrence index: "entity1+entity2" -> [snippet IDs]
- * Only includes snippets where both entities appear
+ * Only includes snippets where both entities appear. A snippet never spans a
+ * scene break, so entities are only paired within one scene.
  * @param {Array} snippets - Array of snippet objects
  * @returns {Object} Co-occurrence index
  */
@@ -81,15 +82,18 @@ function getTopCooccurrences(cooccurrenceIndex, limit = 20) {
 }
 
 /**
- * Build chapter index: chapter number -> [snippet IDs]
+ * Build chapter index: chapter key (number, or "interlude-1") -> [snippet IDs]
+ * With byBook, keys are "book:chapter" so chapters of different books stay apart.
  * @param {Array} snippets - Array of snippet objects
+ * @param {Object} options - { byBook }
  * @returns {Object} Chapter index
  */
-function buildChapterIndex(snippets) {
+function buildChapterIndex(snippets, options = {}) {
+  const { byBook = false } = options;
   const index = {};
 
   for (const snippet of snippets) {
-    const chapter = snippet.chapter;
+    const chapter = byBook ? `${snippet.book}:${snippet.chapter}` : snippet.chapter;
     if (!index[chapter]) {
       index[chapter] = [];
     }
@@ -99,9 +103,73 @@ function buildChapterIndex(snippets) {
   return index;
 }
 
+/**
+ * Build book index: book number -> [snippet IDs]
+ * @param {Array} snippets - Array of snippet objects
+ * @returns {Object} Book index
+ */
+function buildBookIndex(snippets) {
+  const index = {};
+
+  for (const snippet of snippets) {
+    const book = snippet.book;
+    if (!index[book]) {
+      index[book] = [];
+    }
+    index[book].push(snippet.id);
+  }
+
+  return index;
+}
+
+/**
+ * Build all indices incrementally, one batch of snippets at a time
+ * Gives the same result as calling each build function on every snippet at once;
+ * only snippet IDs are kept, never snippet text.
+ * @param {Object} options - { byBook } (see buildChapterIndex)
+ * @returns {Object} { add(snippets), finish() => { entityIndex, cooccurrenceIndex, chapterIndex, bookIndex } }
+ */
+function createIndexBuilder(options = {}) {
+  const indices = {
+    entityIndex: {},
+    cooccurrenceIndex: {},
+    chapterIndex: {},
+    bookIndex: {}
+  };
+
+  const append = (target, partial) => {
+    for (const [key, snippetIds] of Object.entries(partial)) {
+      if (!target[key]) {
+        target[key] = [];
+      }
+      target[key].push(...snippetIds);
+    }
+  };
+
+  return {
+    add(snippets) {
+      append(indices.entityIndex, buildEntityIndex(snippets));
+      append(indices.cooccurrenceIndex, buildCooccurrenceIndex(snippets));
+      append(indices.chapterIndex, buildChapterIndex(snippets, options));
+      append(indices.bookIndex, buildBookIndex(snippets));
+    },
+    finish() {
+      // Sort snippet IDs for consistency
+      for (const index of [indices.entityIndex, indices.cooccurrenceIndex]) {
+        for (const key of Object.keys(index)) {
+          index[key].sort();
+        }
+      }
+      return indices;
+    }
+  };
+}
+
 module.exports = {
   buildEntityIndex,
   buildCooccurrenceIndex,
   getTopCooccurrences,
-  buildChapterIndex
+  buildChapterIndex,
+  buildBookIndex,
+  createIndexBuilder
 };
@@ -0,0 +1,398 @@
+/**
+ * chapter-headers.js
+ *
+ * Shared header grammar for every stage that needs to know where chapters
+ * begin. Recognizes:
+ *   ## CHAPTER ONE: Title        # Chapter 1        ## Chapter XIV. Title
+ *   ## Chapter Thirty-Four       ## PART TWO        # BOOK III: Title
+ *   ## PROLOGUE                  ## Epilogue: Title ## INTERLUDE
+ * plus the language pack's keywords (KAPITEL, CAPÍTULO, PROLOGUE...) and
+ * user-supplied regexes with optional `number` and `title` named groups.
+ * Spelled-out numerals come from the language pack ("Kapitel Dreiundzwanzig",
+ * "Capítulo Uno", "Chapitre premier").
+ *
+ * Chapter numbering is assigned by createChapterTracker() so that discovery
+ * and snippet extraction always agree on which chapter a line belongs to.
+ *
+ * Scene breaks inside a chapter (***, * * *, #, ⁂, ---) are recognized by
+ * isSceneBreak().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadLanguagePack } = require('./language');
+
+const configDir = path.join(__dirname, '..', 'config');
+const headerConfig = JSON.parse(fs.readFileSync(path.join(configDir, 'chapter-headers.json'), 'utf8'));
+
+// Keyword (lowercase) -> level ('part' | 'chapter')
+const NUMBERED_KEYWORDS = new Map();
+for (const [level, keywords] of Object.entries(headerConfig.numberedLevels)) {
+  for (const keyword of keywords) {
+    NUMBERED_KEYWORDS.set(keyword.toLowerCase(), level);
+  }
+}
+
+// Keyword (lowercase) -> section kind ('prologue', 'epilogue', ...)
+const UNNUMBERED_KEYWORDS = new Map(
+  Object.entries(headerConfig.unnumberedSections).map(([k, kind]) => [k.toLowerCase(), kind])
+);
+
+const SCENE_BREAK_GLYPHS = new Set(headerConfig.sceneBreaks.glyphs);
+const SCENE_BREAK_RULES = new Set(headerConfig.sceneBreaks.rules);
+
+// Canonical scene-break line written by the structured readers (<hr> in HTML/EPUB)
+const SCENE_BREAK = '* * *';
+
+// Longest line (without spaces) still treated as a scene break
+const MAX_SCENE_BREAK_LENGTH = 40;
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+const ROMAN_PATTERN = /^M{0,4}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/i;
+
+// Separators allowed between the numeral and the title
+const SEPARATOR_PATTERN = /^[\s:.\-–—]+/;
+
+// Longest line still treated as a heading in unmarked text
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * Convert spelled-out number words to a value
+ * @param {Array<string>} words - e.g., ['Thirty', 'Four'] or ['one', 'hundred', 'and', 'two']
+ * @param {Object} [numerals] - pack.numerals (default: English)
+ * @returns {number|null}
+ */
+function wordsToNumber(words, numerals = loadLanguagePack().numerals) {
+  let total = 0;
+  let current = 0;
+  let seen = false;
+
+  for (const word of words) {
+    const lower = word.normalize('NFC').toLowerCase();
+    if (numerals.conjunctions.has(lower)) continue;
+
+    if (numerals.words.has(lower)) {
+      current += numerals.words.get(lower);
+    } else if (numerals.multipliers.has(lower)) {
+      // "hundred" scales the words before it; "thousand" closes them off
+      const scale = numerals.multipliers.get(lower);
+      if (scale < 1000) {
+        current = (current || 1) * scale;
+      } else {
+        total += (current || 1) * scale;
+        current = 0;
+      }
+    } else {
+      return null;
+    }
+    seen = true;
+  }
+
+  return seen ? total + current : null;
+}
+
+/**
+ * Convert a Roman numeral to a value
+ * @param {string} numeral - e.g., "XIV"
+ * @returns {number|null}
+ */
+function romanToNumber(numeral) {
+  if (!numeral || !ROMAN_PATTERN.test(numeral)) return null;
+
+  const chars = numeral.toLowerCase();
+  let value = 0;
+  for (let i = 0; i < chars.length; i++) {
+    const current = ROMAN_VALUES[chars[i]];
+    const next = ROMAN_VALUES[chars[i + 1]] || 0;
+    value += current < next ? -current : current;
+  }
+  return value;
+}
+
+/**
+ * Parse a numeral from the start of a string
+ * @param {string} text - e.g., "Thirty-Four: The Title" or "XIV. The Title"
+ * @param {Object} [numerals] - pack.numerals for spelled-out numbers (default: English)
+ * @returns {Object|null} { number, rest } or null if no numeral is present
+ */
+function parseLeadingNumeral(text, numerals = loadLanguagePack().numerals) {
+  // Digits: "12"
+  const digitMatch = text.match(/^(\d+)(?=$|[\s:.\-–—])/);
+  if (digitMatch) {
+    return { number: parseInt(digitMatch[1], 10), rest: text.slice(digitMatch[0].length) };
+  }
+
+  // Roman numerals: "XIV" (all one case to avoid matching words like "Mix")
+  const romanMatch = text.match(/^([IVXLCDM]+|[ivxlcdm]+)(?=$|[\s:.\-–—])/);
+  if (romanMatch) {
+    const value = romanToNumber(romanMatch[1]);
+    if (value) {
+      return { number: value, rest: text.slice(romanMatch[0].length) };
+    }
+  }
+
+  // Spelled-out numbers: "Thirty-Four", "One Hundred and Two", and compounds
+  // read piece by piece ("Dreiundzwanzig" is "drei" + "und" + "zwanzig")
+  const words = [];
+  let numeral = null; // { words, end } of the longest numeral ending on a word boundary
+  let position = 0;
+
+  while (true) {
+    const word = numerals.morphemes.find(m => text.substr(position, m.length).normalize('NFC').toLowerCase() === m);
+    if (!word) break;
+    words.push(word);
+    position += word.length;
+
+    if (/[\p{L}\p{M}]/u.test(text.charAt(position))) continue; // Compound goes on
+    if (!numerals.conjunctions.has(word)) numeral = { words: [...words], end: position };
+    const gap = text.slice(position).match(/^[\s-]+/);
+    if (!gap) break;
+    position += gap[0].length;
+  }
+
+  if (numeral) {
+    const value = wordsToNumber(numeral.words, numerals);
+    if (value !== null) {
+      return { number: value, rest: text.slice(numeral.end) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a standalone numeral (digits, Roman, or spelled-out)
+ * @param {string} text - e.g., "14", "XIV", "Fourteen"
+ * @param {Object} [numerals] - pack.numerals (default: English)
+ * @returns {number|null}
+ */
+function parseNumeral(text, numerals) {
+  if (!text) return null;
+  const parsed = parseLeadingNumeral(text.trim(), numerals);
+  if (!parsed || parsed.rest.trim().length > 0) return null;
+  return parsed.number;
+}
+
+/**
+ * Compile user-supplied header patterns
+ * @param {Array} patterns - Strings, RegExps, or { pattern, level, kind }
+ * @returns {Array} Array of { regex, level, kind }
+ */
+function compilePatterns(patterns) {
+  return patterns.map(entry => {
+    const spec = (typeof entry === 'string' || entry instanceof RegExp) ? { pattern: entry } : entry;
+    const regex = spec.pattern instanceof RegExp ? spec.pattern : new RegExp(spec.pattern, 'i');
+    const level = spec.level || 'chapter';
+    return { regex, level, kind: spec.kind || level };
+  });
+}
+
+/**
+ * Add a language pack's header keywords to the built-in ones
+ * @param {Object} headers - pack.headers: { part: [], chapter: [], unnumbered: { keyword: kind } }
+ * @returns {Object} { numbered, unnumbered } keyword maps
+ */
+function buildKeywords(headers) {
+  const numbered = new Map(NUMBERED_KEYWORDS);
+  const unnumbered = new Map(UNNUMBERED_KEYWORDS);
+  for (const level of ['part', 'chapter']) {
+    for (const keyword of headers[level] || []) {
+      numbered.set(keyword.toLowerCase().normalize('NFC'), level);
+    }
+  }
+  for (const [keyword, kind] of Object.entries(headers.unnumbered || {})) {
+    unnumbered.set(keyword.toLowerCase().normalize('NFC'), kind);
+  }
+  return { numbered, unnumbered };
+}
+
+/**
+ * Create a header matcher
+ * @param {Object} options - { headerPatterns: Array, requireMarker: boolean, language: string }
+ *   headerPatterns - Extra regexes (tried first). Named groups `number` and `title` are used if present.
+ *   requireMarker  - Only built-in headers preceded by markdown `#` are recognized (default: true)
+ *   language       - Language pack whose header keywords are also recognized (default: 'en')
+ * @returns {Function} (line) => { level, kind, number, title } | null
+ */
+function createHeaderMatcher(options = {}) {
+  const { headerPatterns = [], requireMarker = true } = options;
+  const customPatterns = compilePatterns(headerPatterns);
+  const pack = loadLanguagePack(options.language);
+  const keywords = buildKeywords(pack.headers);
+
+  return function matchHeader(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    const markerMatch = trimmed.match(/^#{1,6}\s+(.*)$/);
+    const body = markerMatch ? markerMatch[1].trim() : trimmed;
+
+    // Custom patterns may be written with or without the markdown marker
+    for (const { regex, level, kind } of customPatterns) {
+      const match = trimmed.match(regex) || (markerMatch && body.match(regex));
+      if (!match) continue;
+      const groups = match.groups || {};
+      return {
+        level,
+        kind,
+        number: groups.number ? parseNumeral(groups.number, pack.numerals) : null,
+        title: (groups.title || '').trim()
+      };
+    }
+
+    if (!markerMatch && requireMarker) return null;
+
+    const keywordMatch = body.normalize('NFC').match(/^(\p{L}+)(?![\p{L}\p{M}])(.*)$/u);
+    if (!keywordMatch) return null;
+
+    const keyword = keywordMatch[1].toLowerCase();
+    const rest = keywordMatch[2];
+
+    if (keywords.unnumbered.has(keyword)) {
+      return {
+        level: 'chapter',
+        kind: keywords.unnumbered.get(keyword),
+        number: null,
+        title: rest.replace(SEPARATOR_PATTERN, '').trim()
+      };
+    }
+
+    if (keywords.numbered.has(keyword)) {
+      const numeral = parseLeadingNumeral(rest.replace(/^\s+/, ''), pack.numerals);
+      if (!numeral) return null;
+      // Require a separator between numeral and title ("CHAPTER ONEThe" is not a header)
+      if (numeral.rest && !SEPARATOR_PATTERN.test(numeral.rest)) return null;
+
+      const level = keywords.numbered.get(keyword);
+      return {
+        level,
+        kind: level === 'chapter' ? 'chapter' : keyword,
+        number: numeral.number,
+        title: numeral.rest.replace(SEPARATOR_PATTERN, '').trim()
+      };
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Check if a short line reads like a chapter title ("THE BOY WHO LIVED", "Down the Rabbit-Hole")
+ */
+function looksLikeTitle(line) {
+  return line.length <= MAX_HEADING_LENGTH &&
+    /^[\p{Lu}"'‘“„«»¿¡]/u.test(line) &&
+    !/[,;]$/.test(line) &&
+    !/[.?!]["'’”]?$/.test(line.replace(/\b(Mr|Mrs|Dr|St)\.$/, '$1'));
+}
+
+/**
+ * Detect a chapter heading in unmarked text (plain text, unstyled paragraphs)
+ * @param {string} paragraph - One whole paragraph
+ * @param {Function} matchHeader - From createHeaderMatcher({ requireMarker: false })
+ * @returns {Object|null} { line, header } where line is the heading without trailing punctuation
+ */
+function detectHeading(paragraph, matchHeader) {
+  if (paragraph.length > MAX_HEADING_LENGTH) return null;
+
+  // Bare numerals on their own line: "IV." or "12"
+  const bareNumeral = paragraph.match(/^([IVXLC]+|\d+)\.?$/);
+  if (bareNumeral) {
+    const line = `CHAPTER ${bareNumeral[1]}`;
+    return { line, header: matchHeader(line) };
+  }
+
+  const header = matchHeader(paragraph);
+  if (!header) return null;
+
+  // Reject prose that happens to start with a keyword ("Book two was better.")
+  if (header.title && !looksLikeTitle(header.title)) return null;
+
+  return { line: paragraph.replace(/[.:]$/, ''), header };
+}
+
+/**
+ * Human-readable name of a chapter key: "Chapter 3", "Interlude 2"
+ * @param {number|string} key - chapter.key (the `chapter` of snippets and mentions)
+ * @returns {string}
+ */
+function chapterLabel(key) {
+  if (typeof key === 'number') return `Chapter ${key}`;
+  const [, kind, sequence] = String(key).match(/^(.*)-(\d+)$/) || [null, String(key), null];
+  const name = kind.charAt(0).toUpperCase() + kind.slice(1);
+  return sequence ? `${name} ${sequence}` : name;
+}
+
+/**
+ * Check if a line is a scene break ("***", "* * *", "#", "⁂", "---", "<hr/>")
+ * @param {string} line - One line (or one whole paragraph)
+ * @returns {boolean}
+ */
+function isSceneBreak(line) {
+  const trimmed = line.trim();
+  if (/^<hr\b[^>]*>$/i.test(trimmed)) return true;
+
+  const chars = [...trimmed.replace(/\s+/g, '')];
+  if (chars.length === 0 || chars.length > MAX_SCENE_BREAK_LENGTH) return false;
+  if (chars.every(c => SCENE_BREAK_GLYPHS.has(c))) return true;
+
+  // Horizontal rules need a few characters ("—" alone is an interrupted line, not a break)
+  return chars.length >= 3 && chars.every(c => SCENE_BREAK_RULES.has(c) || SCENE_BREAK_GLYPHS.has(c));
+}
+
+/**
+ * Create a stateful tracker that assigns chapter numbers as headers are seen.
+ *
+ * Numbering rules (shared by every pipeline stage):
+ * - number:   the header's own numeral, or null for unnumbered sections
+ * - sequence: for unnumbered sections, 1-based position among sections of
+ *   the same kind (the second INTERLUDE is 2), else null
+ * - key:      the number, or kind and sequence ("interlude-2"), so an
+ *   interlude never shares a chapter with the numbered chapter after it
+ * - index:    1-based position among all chapter-level sections (always unique)
+ * - part:     the enclosing PART/BOOK/VOLUME header, or null
+ *
+ * @param {Object} options - Passed to createHeaderMatcher
+ * @returns {Object} { next(line) } returning { level: 'part', part } | { level: 'chapter', chapter } | null
+ */
+function createChapterTracker(options = {}) {
+  const matchHeader = createHeaderMatcher(options);
+  let part = null;
+  let index = 0;
+  const sequences = {}; // Kind of unnumbered section -> sections seen
+
+  return {
+    next(line) {
+      const header = matchHeader(line);
+      if (!header) return null;
+
+      if (header.level === 'part') {
+        part = { kind: header.kind, number: header.number, title: header.title };
+        return { level: 'part', part };
+      }
+
+      const { number, kind } = header;
+      const sequence = number === null ? (sequences[kind] = (sequences[kind] || 0) + 1) : null;
+      const key = number === null ? `${kind}-${sequence}` : number;
+      index++;
+
+      return {
+        level: 'chapter',
+        chapter: { number, sequence, key, index, kind, title: header.title, part }
+      };
+    }
+  };
+}
+
+module.exports = {
+  chapterLabel,
+  createHeaderMatcher,
+  createChapterTracker,
+  detectHeading,
+  isSceneBreak,
+  SCENE_BREAK,
+  looksLikeTitle,
+  parseNumeral,
+  romanToNumber,
+  wordsToNumber
+};
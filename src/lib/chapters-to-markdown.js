@@ -0,0 +1,155 @@
+/**
+ * chapters-to-markdown.js
+ *
+ * Shared output stage for structured input readers (EPUB, HTML, DOCX).
+ * Turns labelled chapters into pipeline markdown, and turns a flat list of
+ * heading/paragraph blocks into labelled chapters.
+ */
+
+const { createHeaderMatcher, createChapterTracker, detectHeading, isSceneBreak } = require('./chapter-headers');
+
+/**
+ * Build the markdown header line for a chapter label
+ * Labels the header grammar already understands ("Chapter 3", "Prologue",
+ * "Part Two") are kept verbatim; anything else is numbered sequentially.
+ */
+function buildHeader(label, matchHeader, lastNumber) {
+  const header = matchHeader(`## ${label}`);
+  if (header) {
+    return header.level === 'part' ? `# ${label}` : `## ${label}`;
+  }
+
+  // "1. The Boy Who Lived", "XIV The Return"
+  const numbered = /^(\d+|[IVXLCDM]+)\b/.test(label) && matchHeader(`## CHAPTER ${label}`);
+  if (numbered) return `## CHAPTER ${label}`;
+
+  return label
+    ? `## CHAPTER ${lastNumber + 1}: ${label}`
+    : `## CHAPTER ${lastNumber + 1}`;
+}
+
+/**
+ * Convert labelled chapters to pipeline markdown
+ * @param {Array} chapters - Array of { label, paragraphs: Array<string> }
+ * @param {Object} options - { title } plus header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function chaptersToMarkdown(chapters, options = {}) {
+  const { title = null } = options;
+  const matchHeader = createHeaderMatcher(options);
+  const tracker = createChapterTracker(options);
+  let lastNumber = 0;
+
+  const lines = [];
+  if (title) {
+    lines.push('---', `title: ${title}`, '---', '');
+  }
+
+  for (const chapter of chapters) {
+    const headerLine = buildHeader(chapter.label, matchHeader, lastNumber);
+    const isPart = matchHeader(headerLine)?.level === 'part';
+
+    // Empty sections only matter when they open a part
+    if (chapter.paragraphs.length === 0 && !isPart) continue;
+
+    const header = tracker.next(headerLine);
+    if (header && header.level === 'chapter' && header.chapter.number !== null) {
+      lastNumber = header.chapter.number;
+    }
+
+    lines.push(headerLine, '');
+    for (const paragraph of chapter.paragraphs) {
+      lines.push(paragraph, '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Decide which headings open chapters
+ * 1. Headings the header grammar recognizes ("Chapter 4", "Part Two"), if any
+ * 2. Otherwise the highest heading level used two or more times
+ * 3. Otherwise the last heading before the first paragraph (single-chapter pages)
+ * @returns {Function} (block) => boolean
+ */
+function chooseChapterHeadings(blocks, matchHeader) {
+  const headings = blocks.filter(b => b.type === 'heading');
+
+  if (headings.some(h => matchHeader(`## ${h.text}`))) {
+    return block => matchHeader(`## ${block.text}`) !== null;
+  }
+
+  const levelCounts = {};
+  for (const heading of headings) {
+    levelCounts[heading.level] = (levelCounts[heading.level] || 0) + 1;
+  }
+  const repeatedLevels = Object.keys(levelCounts)
+    .filter(level => levelCounts[level] >= 2)
+    .map(Number);
+  if (repeatedLevels.length > 0) {
+    const chapterLevel = Math.min(...repeatedLevels);
+    return block => block.level === chapterLevel;
+  }
+
+  const firstParagraph = blocks.findIndex(b => b.type === 'paragraph' && !isSceneBreak(b.text));
+  const leading = blocks.slice(0, firstParagraph === -1 ? blocks.length : firstParagraph)
+    .filter(b => b.type === 'heading');
+  const titleHeading = leading[leading.length - 1];
+  return block => block === titleHeading;
+}
+
+/**
+ * Treat unstyled paragraphs that read as headings ("Chapter 4", "PROLOGUE") as headings
+ */
+function promoteHeadingParagraphs(blocks, options) {
+  const matchUnmarked = createHeaderMatcher({ ...options, requireMarker: false });
+  return blocks.map(block => {
+    if (block.type !== 'paragraph') return block;
+    const heading = detectHeading(block.text, matchUnmarked);
+    return heading && heading.header
+      ? { type: 'heading', level: 0, text: heading.line }
+      : block;
+  });
+}
+
+/**
+ * Group heading/paragraph blocks into labelled chapters
+ * Text before the first chapter heading and headings below chapter level are dropped.
+ * @param {Array} rawBlocks - Array of { type: 'heading' | 'paragraph', level?, text }
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {Array} Array of { label, paragraphs: Array<string> }
+ */
+function blocksToChapters(rawBlocks, options = {}) {
+  const blocks = promoteHeadingParagraphs(rawBlocks, options);
+  const headings = blocks.filter(b => b.type === 'heading');
+  if (headings.length === 0) {
+    return [{ label: '', paragraphs: blocks.map(b => b.text) }];
+  }
+
+  const matchHeader = createHeaderMatcher(options);
+  const isChapterHeading = chooseChapterHeadings(blocks, matchHeader);
+
+  const chapters = [];
+  let current = null;
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      if (isChapterHeading(block)) {
+        current = { label: block.text, paragraphs: [] };
+        chapters.push(current);
+      }
+      continue;
+    }
+    if (current) {
+      current.paragraphs.push(block.text);
+    }
+  }
+
+  return chapters;
+}
+
+module.exports = {
+  chaptersToMarkdown,
+  blocksToChapters
+};
@@ -0,0 +1,175 @@
+/**
+ * classify-collectives.js
+ *
+ * Types collective entities before tiering, so families and groups are not
+ * reviewed (or co-reference merged) as individual people:
+ * 1. Family: plural of a known surname ("Weasleys", "Dursleys")
+ * 2. Family: a surname beside a family noun ("the Potter family")
+ * 3. Organization: a plural name with plural verb agreement ("the Gryffindors were")
+ * A surname is known when it ends a multi-part name ("Ron Weasley", "Mr Dursley").
+ * Families are linked to their members after tiering (linkMembers).
+ * Word lists come from the language pack's collectives.json; thresholds are
+ * the defaults in src/config/thresholds.json ("collectives").
+ */
+
+const { generateEntityId } = require('./entity-ids');
+const { splitNameUnits } = require('./name-parts');
+const { resolveConfig, resolvePack } = require('./config');
+
+/**
+ * Split clean groups into collectives and the groups left for tiering
+ * @param {Array} cleanGroups - Entity groups from filterJunk (after classifyLocations)
+ * @param {Object} extractionResult - Raw extraction result with mentionCounts,
+ *   familyCounts, pluralVerbCounts and firstAppearances
+ * @param {Object} options - { verbose, language, config, usedIds }; usedIds is
+ *   the ID set shared with tierEntities
+ * @returns {Object} { collectives: Array, remaining: Array }
+ */
+function classifyCollectives(cleanGroups, extractionResult, options = {}) {
+  const { verbose = false, usedIds = new Set() } = options;
+  const thresholds = resolveConfig(options.config).thresholds.collectives;
+  const { collectives: words } = resolvePack(options);
+  const { mentionCounts = {}, familyCounts = {}, pluralVerbCounts = {}, firstAppearances = {} } = extractionResult;
+
+  const surnames = collectSurnames(mentionCounts, familyCounts);
+  const families = new Map(); // Surname -> family entity
+  const collectives = [];
+  const remaining = [];
+
+  for (const group of cleanGroups) {
+    const units = splitNameUnits(group.canonicalName);
+    const surname = units.length === 1 ? pluralBase(units[0], words.pluralSuffixes, surnames) : null;
+    const pluralVerbs = (group.variants || []).reduce((sum, v) => sum + (pluralVerbCounts[v.form] || 0), 0);
+    const isPlural = words.pluralSuffixes.some(suffix => units[units.length - 1].endsWith(suffix));
+
+    if (surname) {
+      if (verbose) console.log(`[Collectives] "${group.canonicalName}" is the ${surname} family`);
+      const family = createCollective(group, 'family', 1, usedIds, { pluralVerbs });
+      family.surname = surname;
+      family.members = [];
+      families.set(surname, family);
+      collectives.push(family);
+    } else if (isPlural && pluralVerbs >= thresholds.minPluralVerbMentions &&
+               pluralVerbs / group.totalMentions >= thresholds.minPluralVerbRatio) {
+      if (verbose) console.log(`[Collectives] "${group.canonicalName}" is an organization (${pluralVerbs} plural verbs)`);
+      // 0.5 at the plural-verb ratio threshold, 1 at twice it
+      const confidence = Math.min(1, Math.round(pluralVerbs / group.totalMentions / thresholds.minPluralVerbRatio * 50) / 100);
+      collectives.push(createCollective(group, 'organization', confidence, usedIds, { pluralVerbs }));
+    } else {
+      remaining.push(group);
+    }
+  }
+
+  // Families seen beside a family noun ("the Potter family"); joins the plural group if there is one
+  for (const [surname, count] of countFamilyContexts(familyCounts)) {
+    if (count < thresholds.minFamilyContexts) continue;
+    const known = families.get(surname);
+    if (known) {
+      known.mentions += count;
+      known.variants.push({ form: words.familyName.replace('{surname}', surname), count });
+      known.evidence.familyContexts = count;
+      continue;
+    }
+
+    const canonicalName = words.familyName.replace('{surname}', surname);
+    if (verbose) console.log(`[Collectives] "${canonicalName}" from ${count} family-noun contexts`);
+    const family = createCollective({
+      canonicalName,
+      totalMentions: count,
+      variants: [{ form: canonicalName, count }],
+      firstAppearance: firstAppearances[surname] || null
+    }, 'family', 1, usedIds, { pluralVerbs: 0, familyContexts: count });
+    family.surname = surname;
+    family.members = [];
+    families.set(surname, family);
+    collectives.push(family);
+  }
+
+  collectives.sort((a, b) => b.mentions - a.mentions);
+
+  if (verbose) {
+    console.log(`[Collectives] ${collectives.length} collectives, ${remaining.length} remaining`);
+  }
+
+  return { collectives, remaining };
+}
+
+/**
+ * Surnames: last parts of every multi-part name extracted ("Ron Weasley",
+ * "Mr Dursley") and names seen beside a family noun
+ */
+function collectSurnames(mentionCounts, familyCounts) {
+  const surnames = new Set(countFamilyContexts(familyCounts).keys());
+  for (const form of Object.keys(mentionCounts)) {
+    const units = splitNameUnits(form);
+    if (units.length >= 2) surnames.add(units[units.length - 1]);
+  }
+  return surnames;
+}
+
+/**
+ * Family-noun contexts per surname (the last part of the form beside the noun)
+ */
+function countFamilyContexts(familyCounts) {
+  const counts = new Map();
+  for (const [form, count] of Object.entries(familyCounts)) {
+    const units = splitNameUnits(form);
+    const surname = units[units.length - 1];
+    counts.set(surname, (counts.get(surname) || 0) + count);
+  }
+  return counts;
+}
+
+/**
+ * Surname a plural form is made from ("Weasleys" -> "Weasley"), or null
+ */
+function pluralBase(word, pluralSuffixes, surnames) {
+  for (const suffix of pluralSuffixes) {
+    if (word.length > suffix.length && word.endsWith(suffix)) {
+      const base = word.slice(0, -suffix.length);
+      if (surnames.has(base)) return base;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collective entity from a group
+ */
+function createCollective(group, type, confidence, usedIds, evidence) {
+  return {
+    id: generateEntityId(group.canonicalName, usedIds),
+    canonicalName: group.canonicalName,
+    type,
+    typeConfidence: { [type]: confidence },
+    mentions: group.totalMentions,
+    variants: group.variants.map(v => ({ form: v.form, count: v.count })),
+    evidence,
+    firstAppearance: group.firstAppearance
+  };
+}
+
+/**
+ * Link each family to the entities sharing its surname ("Ron Weasley",
+ * "Mr Weasley"), by ID
+ * @param {Array} collectives - From classifyCollectives (members filled in place)
+ * @param {Array} entities - Tiered person entities (confirmed characters and candidates)
+ * @returns {Array} collectives
+ */
+function linkMembers(collectives, entities) {
+  for (const family of collectives) {
+    if (family.type !== 'family') continue;
+    family.members = entities
+      .filter(entity => [entity.canonicalName, ...(entity.variants || []).map(v => v.form)].some(form => {
+        const units = splitNameUnits(form);
+        return units.length >= 2 && units[units.length - 1] === family.surname;
+      }))
+      .map(entity => ({ id: entity.id, canonicalName: entity.canonicalName }));
+  }
+  return collectives;
+}
+
+module.exports = {
+  classifyCollectives,
+  linkMembers
+};
@@ -0,0 +1,133 @@
+/**
+ * classify-locations.js
+ *
+ * Types entity groups as locations before tiering, so places like
+ * "Thornhaven" and "Gryffindor House" are not reviewed as characters.
+ * A group scores for:
+ * 1. Name shape: a location prefix or suffix ("Mount Doom", "Privet Drive")
+ * 2. A listed location indicator ("the Great Hall")
+ * 3. Spatial contexts: mentions after a spatial preposition or place noun
+ * and loses score for person evidence: speech tags ("said Thornhaven") and
+ * possessives ("Thornhaven's"). Titled names are never locations.
+ * Word lists come from the language pack's spatial-prepositions.json;
+ * thresholds are the defaults in src/config/thresholds.json ("locations").
+ */
+
+const { generateEntityId } = require('./entity-ids');
+const { splitNameUnits } = require('./name-parts');
+const { resolveConfig, resolvePack } = require('./config');
+
+// Score weights (each signal's contribution at full strength)
+const NAME_SHAPE_WEIGHT = 0.5;
+const INDICATOR_WEIGHT = 0.6;
+const SPATIAL_WEIGHT = 0.6;
+const SPEECH_PENALTY = 0.6;
+const POSSESSIVE_PENALTY = 0.3;
+
+/**
+ * Split clean groups into locations and the groups left for tiering
+ * @param {Array} cleanGroups - Filtered entity groups from filterJunk
+ * @param {Object} extractionResult - Raw extraction result with spatialCounts,
+ *   speechCounts and possessiveCounts
+ * @param {Object} options - { verbose, language, config, usedIds }; usedIds is
+ *   the ID set shared with tierEntities
+ * @returns {Object} { locations: Array, remaining: Array }; remaining groups
+ *   keep their location score in typeConfidence
+ */
+function classifyLocations(cleanGroups, extractionResult, options = {}) {
+  const { verbose = false, usedIds = new Set() } = options;
+  const thresholds = resolveConfig(options.config).thresholds.locations;
+  const pack = resolvePack(options);
+
+  const locations = [];
+  const remaining = [];
+
+  for (const group of cleanGroups) {
+    const score = scoreLocation(group, extractionResult, thresholds, pack);
+
+    if (score && score.confidence >= thresholds.minScore) {
+      if (verbose) console.log(`[Locations] "${group.canonicalName}" is a location (${score.confidence})`);
+      locations.push({
+        id: generateEntityId(group.canonicalName, usedIds),
+        canonicalName: group.canonicalName,
+        type: 'location',
+        mentions: group.totalMentions,
+        variants: group.variants.map(v => ({ form: v.form, count: v.count })),
+        confidence: score.confidence,
+        typeConfidence: { location: score.confidence },
+        evidence: score.evidence,
+        firstAppearance: group.firstAppearance
+      });
+    } else {
+      group.typeConfidence = { ...group.typeConfidence, location: score ? score.confidence : 0 };
+      remaining.push(group);
+    }
+  }
+
+  locations.sort((a, b) => b.mentions - a.mentions);
+
+  if (verbose) {
+    console.log(`[Locations] ${locations.length} locations, ${remaining.length} remaining`);
+  }
+
+  return { locations, remaining };
+}
+
+/**
+ * Score a group as a location
+ * Returns null for titled names, else { confidence, evidence }
+ */
+function scoreLocation(group, extractionResult, thresholds, pack) {
+  const { spatialCounts = {}, speechCounts = {}, possessiveCounts = {} } = extractionResult;
+  const words = splitNameUnits(group.canonicalName);
+
+  if (group.evidence?.titlePatterns?.length > 0 || group.evidence?.isTitledName) return null;
+  if (pack.titlePrefixes.has(words[0].toLowerCase().replace(/\.$/, ''))) return null;
+
+  const count = (counts) => (group.variants || []).reduce((sum, v) => sum + (counts[v.form] || 0), 0);
+  const total = group.totalMentions || 1;
+  const spatialContexts = count(spatialCounts);
+  const speechTags = count(speechCounts);
+  const possessives = count(possessiveCounts);
+
+  const nameShape = matchNameShape(words, pack.spatial);
+  const indicator = pack.spatial.locationIndicators.has(words.join(' ').toLowerCase());
+  const strength = (n, fullRatio) => Math.min(1, n / total / fullRatio);
+
+  const score =
+    (nameShape ? NAME_SHAPE_WEIGHT : 0) +
+    (indicator ? INDICATOR_WEIGHT : 0) +
+    SPATIAL_WEIGHT * strength(spatialContexts, thresholds.fullSpatialRatio) -
+    SPEECH_PENALTY * strength(speechTags, thresholds.fullSpeechRatio) -
+    POSSESSIVE_PENALTY * strength(possessives, thresholds.fullPossessiveRatio);
+
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+    evidence: { nameShape, indicator, spatialContexts, speechTags, possessives }
+  };
+}
+
+/**
+ * Match a location prefix or suffix: "Mount Doom" -> 'prefix', "Privet Drive"
+ * and German "Hauptstraße" -> 'suffix', else null
+ */
+function matchNameShape(words, spatial) {
+  const first = words[0].toLowerCase();
+  const last = words[words.length - 1];
+
+  if (words.length > 1 && spatial.locationPrefixes.has(first)) return 'prefix';
+
+  for (const suffix of spatial.locationSuffixes) {
+    if (suffix !== suffix.toLowerCase()) {
+      if (words.length > 1 && last.toLowerCase() === suffix.toLowerCase()) return 'suffix';
+    } else if (last.toLowerCase().endsWith(suffix) && (words.length > 1 || last.length > suffix.length)) {
+      return 'suffix';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  classifyLocations
+};
@@ -0,0 +1,109 @@
+/**
+ * classify-objects.js
+ *
+ * Types entity groups as objects before tiering, so artifacts like
+ * "the Silver Crown" and "the Sorcerer's Stone" are not confirmed as
+ * characters by their title or possessive forms.
+ * A group scores for:
+ * 1. Determiner contexts: mentions after "the", "a", "this" ("the Silver Crown")
+ * 2. Object verbs: mentions after a verb that takes a thing ("wore the Silver Crown")
+ * and loses score for agent contexts ("Elena smiled") and speech tags.
+ * Titled names are never objects.
+ * Word lists come from the language pack's objects.json; thresholds are the
+ * defaults in src/config/thresholds.json ("objects").
+ */
+
+const { generateEntityId } = require('./entity-ids');
+const { splitNameUnits } = require('./name-parts');
+const { resolveConfig, resolvePack } = require('./config');
+
+// Score weights (each signal's contribution at full strength)
+const DETERMINER_WEIGHT = 0.4;
+const OBJECT_VERB_WEIGHT = 0.4;
+const AGENT_PENALTY = 0.6;
+const SPEECH_PENALTY = 0.6;
+
+/**
+ * Split clean groups into objects and the groups left for tiering
+ * @param {Array} cleanGroups - Entity groups from filterJunk (after the location
+ *   and collective stages)
+ * @param {Object} extractionResult - Raw extraction result with determinerCounts,
+ *   objectVerbCounts, agentCounts and speechCounts
+ * @param {Object} options - { verbose, language, config, usedIds }; usedIds is
+ *   the ID set shared with tierEntities
+ * @returns {Object} { objects: Array, remaining: Array }; remaining groups
+ *   keep their object score in typeConfidence
+ */
+function classifyObjects(cleanGroups, extractionResult, options = {}) {
+  const { verbose = false, usedIds = new Set() } = options;
+  const thresholds = resolveConfig(options.config).thresholds.objects;
+  const pack = resolvePack(options);
+
+  const objects = [];
+  const remaining = [];
+
+  for (const group of cleanGroups) {
+    const score = scoreObject(group, extractionResult, thresholds, pack);
+
+    if (score && score.confidence >= thresholds.minScore) {
+      if (verbose) console.log(`[Objects] "${group.canonicalName}" is an object (${score.confidence})`);
+      objects.push({
+        id: generateEntityId(group.canonicalName, usedIds),
+        canonicalName: group.canonicalName,
+        type: 'object',
+        mentions: group.totalMentions,
+        variants: group.variants.map(v => ({ form: v.form, count: v.count })),
+        confidence: score.confidence,
+        typeConfidence: { ...group.typeConfidence, object: score.confidence },
+        evidence: score.evidence,
+        firstAppearance: group.firstAppearance
+      });
+    } else {
+      group.typeConfidence = { ...group.typeConfidence, object: score ? score.confidence : 0 };
+      remaining.push(group);
+    }
+  }
+
+  objects.sort((a, b) => b.mentions - a.mentions);
+
+  if (verbose) {
+    console.log(`[Objects] ${objects.length} objects, ${remaining.length} remaining`);
+  }
+
+  return { objects, remaining };
+}
+
+/**
+ * Score a group as an object
+ * Returns null for titled names, else { confidence, evidence }
+ */
+function scoreObject(group, extractionResult, thresholds, pack) {
+  const { determinerCounts = {}, objectVerbCounts = {}, agentCounts = {}, speechCounts = {} } = extractionResult;
+  const words = splitNameUnits(group.canonicalName);
+
+  if (group.evidence?.titlePatterns?.length > 0 || group.evidence?.isTitledName) return null;
+  if (pack.titlePrefixes.has(words[0].toLowerCase().replace(/\.$/, ''))) return null;
+
+  const count = (counts) => (group.variants || []).reduce((sum, v) => sum + (counts[v.form] || 0), 0);
+  const total = group.totalMentions || 1;
+  const determiners = count(determinerCounts);
+  const objectVerbs = count(objectVerbCounts);
+  const agentVerbs = count(agentCounts);
+  const speechTags = count(speechCounts);
+  const strength = (n, fullRatio) => Math.min(1, n / total / fullRatio);
+
+  const score =
+    DETERMINER_WEIGHT * strength(determiners, thresholds.fullDeterminerRatio) +
+    OBJECT_VERB_WEIGHT * strength(objectVerbs, thresholds.fullObjectVerbRatio) -
+    AGENT_PENALTY * strength(agentVerbs, thresholds.fullAgentRatio) -
+    SPEECH_PENALTY * strength(speechTags, thresholds.fullSpeechRatio);
+
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+    evidence: { determiners, objectVerbs, agentVerbs, speechTags }
+  };
+}
+
+module.exports = {
+  classifyObjects
+};
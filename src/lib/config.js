@@ -0,0 +1,225 @@
+/**
+ * config.js
+ *
+ * Per-book configuration, read from narrative.config.json or passed to any
+ * stage as options.config:
+ *   {
+ *     "language": "de",
+ *     "stopwords": { "add": ["Hogwarts"], "remove": ["Will"] },
+ *     "titles": { "add": [{ "pattern": "Sergeant", "type": "military", "confidence": 0.9 }], "remove": ["Lord"] },
+ *     "thresholds": { "filter": { "maxSentenceStartRatio": 0.7 }, "tiering": { "minCandidateMentions": 5 } },
+ *     "filterRules": { "disable": ["truncated_phrase"], "plugins": ["./rules.js"], "settings": { "my_rule": {} } }
+ *   }
+ * Every key is optional; thresholds fall back to src/config/thresholds.json
+ * and word lists to the language pack.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE, loadLanguagePack } = require('./language');
+
+const CONFIG_FILENAME = 'narrative.config.json';
+
+const { description, ...DEFAULT_THRESHOLDS } = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'thresholds.json'), 'utf8')
+);
+
+const CONFIG_KEYS = new Set(['description', 'language', 'stopwords', 'titles', 'thresholds', 'filterRules']);
+
+const resolved = new WeakMap(); // Config object -> effective config
+const packs = new WeakMap(); // Config object -> Map(language code -> pack with overrides)
+
+/**
+ * Find the config file for a book: narrative.config.json next to the input
+ * @param {string} inputPath - Book file
+ * @returns {string|null} Path, or null if there is none
+ */
+function findConfigFile(inputPath) {
+  const candidate = path.join(path.dirname(path.resolve(inputPath)), CONFIG_FILENAME);
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+/**
+ * Read and validate a config file
+ * @param {string} filePath
+ * @returns {Object} The config, as written, with filterRules.plugins resolved
+ *   against the file's directory
+ */
+function loadConfigFile(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config ${filePath}: ${error.message}`);
+  }
+  if (config.filterRules && Array.isArray(config.filterRules.plugins)) {
+    const dir = path.dirname(path.resolve(filePath));
+    config.filterRules.plugins = config.filterRules.plugins.map(p => (typeof p === 'string' ? path.resolve(dir, p) : p));
+  }
+  try {
+    resolveConfig(config);
+  } catch (error) {
+    throw new Error(`Invalid config ${filePath}: ${error.message}`);
+  }
+  return config;
+}
+
+/**
+ * Whether a config value is a { key: value } object (not null or an array)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check an { add, remove } word-list override; remove is always words
+ */
+function resolveListOverride(name, override = {}) {
+  if (!isPlainObject(override)) throw new Error(`${name} must be an object with add and remove lists`);
+  for (const key of Object.keys(override)) {
+    if (key !== 'add' && key !== 'remove') throw new Error(`${name}.${key} is not a setting (use add, remove)`);
+  }
+  const { add = [], remove = [] } = override;
+  if (!Array.isArray(add) || !Array.isArray(remove)) throw new Error(`${name}.add and ${name}.remove must be arrays`);
+  if (!remove.every(word => typeof word === 'string')) throw new Error(`${name}.remove must be an array of strings`);
+  return { add, remove };
+}
+
+/**
+ * Check filterRules: { disable: [rule names], plugins: [module paths], settings: { rule: {} } }
+ * Rule names are checked against the rules when they are loaded (resolveFilterRules).
+ */
+function resolveFilterRuleOptions(options = {}) {
+  for (const key of Object.keys(options)) {
+    if (!['disable', 'plugins', 'settings'].includes(key)) {
+      throw new Error(`filterRules.${key} is not a setting (use disable, plugins, settings)`);
+    }
+  }
+  const { disable = [], plugins = [], settings = {} } = options;
+  if (!Array.isArray(disable) || !disable.every(n => typeof n === 'string')) {
+    throw new Error('filterRules.disable must be an array of rule names');
+  }
+  if (!Array.isArray(plugins) || !plugins.every(p => typeof p === 'string')) {
+    throw new Error('filterRules.plugins must be an array of module paths');
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings) ||
+      !Object.values(settings).every(v => v && typeof v === 'object' && !Array.isArray(v))) {
+    throw new Error('filterRules.settings must map rule names to objects');
+  }
+  return { disable, plugins, settings };
+}
+
+/**
+ * Merge threshold overrides over the defaults, rejecting unknown names and non-numbers
+ */
+function resolveThresholds(overrides = {}) {
+  const thresholds = {};
+  for (const [stage, values] of Object.entries(DEFAULT_THRESHOLDS)) {
+    thresholds[stage] = { ...values };
+  }
+
+  if (!isPlainObject(overrides)) throw new Error('thresholds must be an object of threshold groups');
+  for (const [stage, values] of Object.entries(overrides)) {
+    if (!thresholds[stage]) {
+      throw new Error(`Unknown threshold group "${stage}" (expected: ${Object.keys(thresholds).join(', ')})`);
+    }
+    if (!isPlainObject(values)) {
+      throw new Error(`Threshold group "${stage}" must be an object of thresholds`);
+    }
+    for (const [name, value] of Object.entries(values)) {
+      if (!(name in thresholds[stage])) {
+        throw new Error(`Unknown threshold "${stage}.${name}" (expected: ${Object.keys(thresholds[stage]).join(', ')})`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Threshold "${stage}.${name}" must be a number`);
+      }
+      thresholds[stage][name] = value;
+    }
+  }
+
+  return thresholds;
+}
+
+/**
+ * Effective configuration: overrides applied to the defaults (cached per config object)
+ * @param {Object} [config] - Config as in narrative.config.json
+ * @returns {Object} { language, stopwords: { add, remove }, titles: { add, remove }, thresholds,
+ *   filterRules: { disable, plugins, settings } }
+ */
+function resolveConfig(config = {}) {
+  if (resolved.has(config)) return resolved.get(config);
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.has(key)) throw new Error(`"${key}" is not a setting`);
+  }
+
+  const stopwords = resolveListOverride('stopwords', config.stopwords);
+  if (!stopwords.add.every(word => typeof word === 'string')) throw new Error('stopwords.add must be an array of strings');
+  const titles = resolveListOverride('titles', config.titles);
+  for (const title of titles.add) {
+    if (!isPlainObject(title) || typeof title.pattern !== 'string') throw new Error('titles.add entries need a "pattern"');
+  }
+
+  const effective = {
+    language: config.language || DEFAULT_LANGUAGE,
+    stopwords,
+    titles,
+    thresholds: resolveThresholds(config.thresholds),
+    filterRules: resolveFilterRuleOptions(config.filterRules)
+  };
+  loadLanguagePack(effective.language); // Unknown language fails here, not mid-pipeline
+
+  resolved.set(config, effective);
+  return effective;
+}
+
+/**
+ * Language pack with the config's stopword and title overrides applied
+ * @param {Object} [options] - { language, config }; options.language wins over config.language
+ * @returns {Object} Pack (see loadLanguagePack)
+ */
+function resolvePack(options = {}) {
+  const config = options.config || {};
+  const effective = resolveConfig(config);
+  const code = options.language || effective.language;
+
+  if (!packs.has(config)) packs.set(config, new Map());
+  const cache = packs.get(config);
+  if (cache.has(code)) return cache.get(code);
+
+  const base = loadLanguagePack(code);
+  const { stopwords, titles } = effective;
+  let pack = base;
+
+  if (stopwords.add.length > 0 || stopwords.remove.length > 0 || titles.add.length > 0 || titles.remove.length > 0) {
+    const lower = (word) => word.replace(/[‘’ʼ']/g, "'").toLowerCase();
+    const removedStopwords = new Set(stopwords.remove.map(lower));
+    const removedTitles = new Set(titles.remove.map(t => t.toLowerCase()));
+    const addedTitles = new Set(titles.add.map(t => t.pattern.toLowerCase()));
+
+    const patterns = [
+      ...base.titles.filter(t => !removedTitles.has(t.pattern.toLowerCase()) && !addedTitles.has(t.pattern.toLowerCase())),
+      ...titles.add.map(t => ({ type: 'honorific', confidence: 0.9, ...t }))
+    ];
+
+    pack = {
+      ...base,
+      stopwords: new Set([...[...base.stopwords].filter(w => !removedStopwords.has(w)), ...stopwords.add.map(lower)]),
+      titles: patterns,
+      titlePrefixes: new Set(patterns.map(p => p.pattern.toLowerCase())),
+      titleBases: new Map(patterns.filter(p => p.inflectionOf).map(p => [p.pattern.toLowerCase(), p.inflectionOf]))
+    };
+  }
+
+  cache.set(code, pack);
+  return pack;
+}
+
+module.exports = {
+  CONFIG_FILENAME,
+  DEFAULT_THRESHOLDS,
+  findConfigFile,
+  loadConfigFile,
+  resolveConfig,
+  resolvePack
+};
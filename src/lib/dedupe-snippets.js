@@ -2,9 +2,11 @@
  * dedupe-snippets.js
  *
  * Merges overlapping snippets in same paragraph where sentence indices
- * are within 2 of each other.
+ * are within 2 of each other. Snippets from different scenes never merge.
  */
 
+const { splitSentences } = require('./tokenizer');
+
 /**
  * Group items by a key function
  * @param {Array} items
@@ -22,33 +24,41 @@ function groupBy(items, keyFn) {
 }
 
 /**
- * Split text into sentences (simple approach)
- * @param {string} text
- * @returns {Array} Array of sentences
+ * Chapter ordering key for a snippet (falls back to chapter number for older snippets)
+ * @param {Object} snippet
+ * @returns {number}
  */
-function splitIntoSentences(text) {
-  if (!text || !text.trim()) return [];
-
-  // Split on sentence-ending punctuation followed by space and capital letter
-  // Handle common abbreviations by not splitting after them
-  const abbrevs = /(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e)\./gi;
-  const protected = text.replace(abbrevs, match => match.replace('.', '\x00'));
+function chapterKey(snippet) {
+  return typeof snippet.location.chapterIndex === 'number'
+    ? snippet.location.chapterIndex
+    : snippet.chapter;
+}
 
-  // Split on . ! ? followed by space (or end)
-  const sentences = protected
-    .split(/(?<=[.!?])\s+/)
-    .map(s => s.replace(/\x00/g, '.').trim())
-    .filter(s => s.length > 0);
+/**
+ * Book number for a snippet (single-book snippets may omit it)
+ * @param {Object} snippet
+ * @returns {number}
+ */
+function bookKey(snippet) {
+  return typeof snippet.book === 'number' ? snippet.book : 1;
+}
 
-  return sentences;
+/**
+ * Scene number for a snippet (snippets from before scene detection count as scene 0)
+ * @param {Object} snippet
+ * @returns {number}
+ */
+function sceneKey(snippet) {
+  return typeof snippet.location.scene === 'number' ? snippet.location.scene : 0;
 }
 
 /**
  * Combine text segments, removing duplicate sentences
- * @param {...string} texts - Text segments to combine
+ * @param {Array<string>} texts - Text segments to combine
+ * @param {Object} [options] - { language }
  * @returns {string} Combined text
  */
-function combineText(...texts) {
+function combineText(texts, options = {}) {
   const nonEmpty = texts.filter(t => t && t.trim().length > 0);
 
   // Split all texts into sentences and dedupe
@@ -56,7 +66,7 @@ function combineText(...texts) {
   const result = [];
 
   for (const text of nonEmpty) {
-    const sentences = splitIntoSentences(text);
+    const sentences = splitSentences(text, options);
     for (const sentence of sentences) {
       if (!seen.has(sentence)) {
         seen.add(sentence);
@@ -72,9 +82,10 @@ function combineText(...texts) {
  * Merge two overlapping snippets
  * @param {Object} a - First snippet
  * @param {Object} b - Second snippet (later in document)
+ * @param {Object} [options] - { language }
  * @returns {Object} Merged snippet
  */
-function mergeSnippets(a, b) {
+function mergeSnippets(a, b, options = {}) {
   // Get sentence range
   const startSent = typeof a.location.sentenceIndex === 'number'
     ? a.location.sentenceIndex
@@ -83,32 +94,106 @@ function mergeSnippets(a, b) {
     ? b.location.sentenceIndex
     : b.location.sentenceRange[1];
 
+  const location = {
+    chapterIndex: a.location.chapterIndex,
+    scene: a.location.scene,
+    paragraphIndex: a.location.paragraphIndex,
+    sentenceRange: [startSent, endSent]
+  };
+
+  if (a.sourceSpans && b.sourceSpans) {
+    return mergeLocatedSnippets(a, b, location);
+  }
+
   return {
     ...a,
     text: {
       before: a.text.before,
-      match: combineText(a.text.match, a.text.after, b.text.before, b.text.match),
+      match: combineText([a.text.match, a.text.after, b.text.before, b.text.match], options),
       after: b.text.after
     },
     entities: [...new Set([...a.entities, ...b.entities])],
     mentions: [...a.mentions, ...b.mentions],
-    location: {
-      paragraphIndex: a.location.paragraphIndex,
-      sentenceRange: [startSent, endSent]
+    location
+  };
+}
+
+/**
+ * Merge snippets that carry source spans, keeping mention offsets exact
+ * The merged match joins the distinct source sentences between a.match and
+ * b.match; each mention's start/end is moved to where its sentence landed.
+ */
+function mergeLocatedSnippets(a, b, location) {
+  const parts = [
+    { snippet: a, slot: 'match' },
+    { snippet: a, slot: 'after' },
+    { snippet: b, slot: 'before' },
+    { snippet: b, slot: 'match' }
+  ]
+    .map(part => ({ ...part, text: part.snippet.text[part.slot], span: part.snippet.sourceSpans[part.slot] }))
+    .filter(part => part.text && part.span);
+
+  // Sentences are atomic, so overlapping parts are always nested
+  const kept = [];
+  for (const part of parts) {
+    const covered = kept.some(k => k.span.start <= part.span.start && part.span.end <= k.span.end);
+    if (!covered) kept.push(part);
+  }
+  kept.sort((x, y) => x.span.start - y.span.start);
+
+  let position = 0;
+  for (const part of kept) {
+    part.position = position;
+    position += part.text.length + 1;
+  }
+
+  const mentions = [];
+  for (const m of a.mentions) {
+    if (m.sentence === 'before') mentions.push(m);
+  }
+  for (const part of kept) {
+    for (const m of part.snippet.mentions) {
+      if (m.sentence !== part.slot) continue;
+      mentions.push({ ...m, sentence: 'match', start: m.start + part.position, end: m.end + part.position });
     }
+  }
+  for (const m of b.mentions) {
+    if (m.sentence === 'after') mentions.push(m);
+  }
+
+  return {
+    ...a,
+    text: {
+      before: a.text.before,
+      match: kept.map(part => part.text).join(' '),
+      after: b.text.after
+    },
+    sourceSpans: {
+      before: a.sourceSpans.before,
+      match: { start: kept[0].span.start, end: kept[kept.length - 1].span.end },
+      after: b.sourceSpans.after
+    },
+    entities: [...new Set([...a.entities, ...b.entities])],
+    mentions,
+    location
   };
 }
 
 /**
  * Deduplicate snippets by merging overlapping ones
+ * Snippets only merge within a paragraph, so chapters can be deduplicated
+ * one at a time; pass firstId to keep IDs sequential across calls.
  * @param {Array} snippets - Array of snippet objects
+ * @param {Object} options - { firstId: 0, language }
  * @returns {Array} Deduplicated snippets with new sequential IDs
  */
-function dedupeSnippets(snippets) {
+function dedupeSnippets(snippets, options = {}) {
+  const { firstId = 0 } = options;
+
   if (snippets.length === 0) return [];
 
-  // Group by chapter + paragraph
-  const groups = groupBy(snippets, s => `${s.chapter}_${s.location.paragraphIndex}`);
+  // Group by book + chapter + scene + paragraph (chapterIndex is unique even when printed numbers repeat)
+  const groups = groupBy(snippets, s => `${bookKey(s)}_${chapterKey(s)}_${sceneKey(s)}_${s.location.paragraphIndex}`);
 
   const deduped = [];
 
@@ -140,7 +225,7 @@ function dedupeSnippets(snippets) {
 
       if (gap <= 2) {
         // Merge overlapping snippets
-        current = mergeSnippets(current, next);
+        current = mergeSnippets(current, next, options);
       } else {
         deduped.push(current);
         current = next;
@@ -149,9 +234,11 @@ function dedupeSnippets(snippets) {
     deduped.push(current);
   }
 
-  // Sort by chapter, paragraph, sentence for consistent ordering
+  // Sort by book, chapter, scene, paragraph, sentence for consistent ordering
   deduped.sort((a, b) => {
-    if (a.chapter !== b.chapter) return a.chapter - b.chapter;
+    if (bookKey(a) !== bookKey(b)) return bookKey(a) - bookKey(b);
+    if (chapterKey(a) !== chapterKey(b)) return chapterKey(a) - chapterKey(b);
+    if (sceneKey(a) !== sceneKey(b)) return sceneKey(a) - sceneKey(b);
     if (a.location.paragraphIndex !== b.location.paragraphIndex) {
       return a.location.paragraphIndex - b.location.paragraphIndex;
     }
@@ -167,7 +254,7 @@ function dedupeSnippets(snippets) {
   // Re-assign sequential IDs
   return deduped.map((s, i) => ({
     ...s,
-    id: `s_${String(i).padStart(4, '0')}`
+    id: `s_${String(firstId + i).padStart(4, '0')}`
   }));
 }
 
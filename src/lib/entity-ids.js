@@ -0,0 +1,54 @@
+/**
+ * entity-ids.js
+ *
+ * Entity IDs from canonical names. Names are transliterated to ASCII where a
+ * mapping exists ("Zoë" -> zoe, "Łukasz" -> lukasz, "Ольга" -> olga); letters
+ * in other scripts are kept, so no name reduces to bare underscores.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const configDir = path.join(__dirname, '..', 'config');
+const transliteration = JSON.parse(fs.readFileSync(path.join(configDir, 'transliteration.json'), 'utf8'));
+const letterMap = new Map(Object.entries(transliteration.letters));
+
+/**
+ * Transliterate a name to ASCII where possible (lowercased)
+ * @param {string} name
+ * @returns {string}
+ */
+function transliterate(name) {
+  return Array.from(
+    name.normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase(),
+    ch => (letterMap.has(ch) ? letterMap.get(ch) : ch)
+  ).join('');
+}
+
+/**
+ * Generate entity ID from canonical name
+ * With usedIds, IDs that would collide ("Zoë" and "Zoe") get a numeric
+ * suffix (zoe, zoe_2) and the new ID is added to the set.
+ * @param {string} canonicalName
+ * @param {Set} [usedIds] - IDs already assigned
+ * @returns {string}
+ */
+function generateEntityId(canonicalName, usedIds = null) {
+  const base = transliterate(canonicalName)
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_|_$/g, '') || 'entity';
+
+  if (!usedIds) return base;
+
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${base}_${n}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+module.exports = {
+  generateEntityId,
+  transliterate
+};
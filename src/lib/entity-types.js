@@ -0,0 +1,53 @@
+/**
+ * entity-types.js
+ *
+ * Entity types shared by discovery, snippet extraction and query:
+ *   character     confirmed_characters.json (tier 1)
+ *   location      locations.json
+ *   family        collectives.json (a kind of organization with members)
+ *   organization  collectives.json
+ *   object        objects.json
+ *   unknown       candidates.json (not yet reviewed)
+ * Each entity carries its type and typeConfidence, a 0-1 score per type the
+ * pipeline scored it for. Files written before entities were typed are typed
+ * from their metadata.
+ */
+
+const ENTITY_TYPES = ['character', 'location', 'family', 'organization', 'object', 'unknown'];
+
+// Untyped entity files: type by the tier recorded in their metadata
+const TIER_TYPES = {
+  confirmed_characters: 'character',
+  candidates: 'unknown',
+  series_registry: 'character'
+};
+
+/**
+ * Type of an entity, falling back to its file's metadata
+ * @param {Object} entity
+ * @param {Object} [metadata] - The entity file's metadata ({ tier } or { type })
+ * @returns {string} One of ENTITY_TYPES
+ */
+function entityType(entity, metadata = {}) {
+  if (ENTITY_TYPES.includes(entity.type)) return entity.type;
+  if (entity.tier === 'candidate') return 'unknown'; // Series registry candidates
+  if (ENTITY_TYPES.includes(metadata.type)) return metadata.type;
+  return TIER_TYPES[metadata.tier] || 'unknown';
+}
+
+/**
+ * Check a --type option value
+ * @param {string} type
+ * @throws {Error} For a type that is not one of ENTITY_TYPES
+ */
+function assertEntityType(type) {
+  if (!ENTITY_TYPES.includes(type)) {
+    throw new Error(`Unknown entity type "${type}" (expected one of: ${ENTITY_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  entityType,
+  assertEntityType
+};
@@ -0,0 +1,79 @@
+/**
+ * explain-name.js
+ *
+ * Says why a name was kept or excluded (discover.js --explain): which group it
+ * fell into, every filter rule's verdict and evidence, and where the group
+ * ended up (a tier, a typed file, or dropped).
+ */
+
+/**
+ * Explain the pipeline's decision for one name
+ * @param {string} name - A canonical name or any variant, any case
+ * @param {Object} results - { decisions (from filterJunk), extractionResult,
+ *   outputs: { confirmed_characters, candidates, locations, collectives, objects },
+ *   thresholds (effective config thresholds) }
+ * @returns {Array<string>} Report lines
+ */
+function explainName(name, results) {
+  const { decisions, extractionResult, outputs, thresholds } = results;
+  const wanted = name.trim().toLowerCase();
+  const lines = [`Explain "${name}":`];
+
+  // The name as a whole form, else as one word of a form ("Pemberton" in "Mrs Pemberton")
+  const forms = (d) => [d.text, ...d.variants].map(f => f.toLowerCase());
+  const exact = decisions.filter(d => forms(d).includes(wanted));
+  const matches = exact.length > 0
+    ? exact
+    : decisions.filter(d => forms(d).some(f => f.split(/\s+/).includes(wanted)));
+
+  if (matches.length === 0) {
+    const { mentionCounts = {} } = extractionResult;
+    const seen = Object.entries(mentionCounts).filter(([form]) => form.toLowerCase() === wanted);
+    if (seen.length === 0) {
+      lines.push('  Not found as a proper noun in the text');
+    } else {
+      const count = seen.reduce((sum, [, n]) => sum + n, 0);
+      lines.push(`  Seen ${count} times but never formed a group (groups need grouping.minMentions: ${thresholds.grouping.minMentions})`);
+    }
+    return lines;
+  }
+
+  for (const decision of matches) {
+    lines.push(`  Group "${decision.text}" (${decision.mentions} mentions; variants: ${decision.variants.join(', ')})`);
+    lines.push('  Filter rules:');
+    for (const v of decision.rules) {
+      const verdict = v.verdict.replace('_', ' ').padEnd(15);
+      lines.push(`    ${verdict} ${v.rule}${v.evidence ? ` — ${v.evidence}` : ''}`);
+    }
+    lines.push(`  Result: ${describeOutcome(decision, outputs, thresholds)}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Where a filtered group ended up
+ */
+function describeOutcome(decision, outputs, thresholds) {
+  if (decision.excluded) return `excluded by ${decision.reasons.join(', ')} (debug/excluded.json)`;
+
+  const forms = new Set(decision.variants);
+  for (const [file, entities] of Object.entries(outputs)) {
+    const entity = entities.find(e => e.canonicalName === decision.text ||
+      (e.variants || []).some(v => forms.has(v.form)));
+    if (!entity) continue;
+
+    const score = entity.scoring ? `, score ${entity.scoring.score}` : '';
+    const merged = entity.canonicalName !== decision.text ? ` as part of "${entity.canonicalName}"` : '';
+    return `kept: ${entity.type} in ${file}.json${merged}${score}`;
+  }
+
+  if (decision.mentions < thresholds.tiering.minCandidateMentions) {
+    return `kept by the filter, then dropped: ${decision.mentions} mentions, below tiering.minCandidateMentions (${thresholds.tiering.minCandidateMentions})`;
+  }
+  return `kept by the filter, then dropped: score below tiering.candidateScore (${thresholds.tiering.candidateScore})`;
+}
+
+module.exports = {
+  explainName
+};
@@ -2,11 +2,19 @@
  * extract-proper-nouns.js
  *
  * Extracts proper nouns from markdown text with position tracking.
- * Handles multi-word names, possessives, and title patterns.
+ * Handles multi-word names, possessives, and title patterns. Stopwords,
+ * titles, contractions and possessive endings come from the language pack
+ * (options.language), with the book's overrides (options.config).
  */
 
-const fs = require('fs');
-const path = require('path');
+const { chapterLabel, createChapterTracker, isSceneBreak } = require('./chapter-headers');
+const { segment } = require('./tokenizer');
+const { MAX_NAME_WORDS, isParticle, hasElidedPrefix } = require('./name-parts');
+const { resolvePack } = require('./config');
+const { findQuotes } = require('./attribute-dialogue');
+
+// Longest epithet, in words after the article ("the old sea captain")
+const MAX_EPITHET_WORDS = 3;
 
 /**
  * Normalize all apostrophe variants to standard straight apostrophe
@@ -17,165 +25,427 @@ function normalizeApostrophes(str) {
   return str.replace(/[\u2018\u2019\u02BC']/g, "'");
 }
 
-// Load config
-const configDir = path.join(__dirname, '..', 'config');
-const stopwords = JSON.parse(fs.readFileSync(path.join(configDir, 'stopwords.json'), 'utf8'));
-const titlePatterns = JSON.parse(fs.readFileSync(path.join(configDir, 'title-patterns.json'), 'utf8'));
-
-// Build lookup sets (normalize apostrophes for consistent matching)
-const stopwordSet = new Set(stopwords.words.map(w => normalizeApostrophes(w).toLowerCase()));
-const chapterPatterns = new Set(stopwords.chapterStartPatterns.map(p => p.toLowerCase()));
-const titlePrefixes = new Set(titlePatterns.patterns.map(p => p.pattern.toLowerCase()));
-
 /**
  * Extract proper nouns from markdown text
  * @param {string} text - The markdown content
- * @param {Object} options - Extraction options
+ * @param {Object} options - Extraction options (header options are passed to createChapterTracker)
  * @returns {Object} Extraction results with mentions and metadata
  */
 function extractProperNouns(text, options = {}) {
-  const { verbose = false } = options;
+  const extractor = createProperNounExtractor(options);
+  for (const line of text.split('\n')) {
+    extractor.addLine(line);
+  }
+  return extractor.finish();
+}
+
+/**
+ * Incremental extractor: feed lines one at a time, then call finish()
+ * Lines are buffered into paragraphs so sentences (and sentence starts) are
+ * found across hard-wrapped lines. All counts are per distinct form, so memory
+ * does not grow with text length unless keepMentions is set (the default,
+ * for extractProperNouns).
+ * @param {Object} options - { verbose, keepMentions = true, language } plus header options
+ * @returns {Object} { addLine(line), finish() => extraction result }
+ */
+function createProperNounExtractor(options = {}) {
+  const { verbose = false, keepMentions = true } = options;
 
   // Parse the document
-  const lines = text.split('\n');
+  const tracker = createChapterTracker(options);
   let inFrontmatter = false;
   let currentChapter = 0;
-  let chapterTitle = '';
+  let chaptersProcessed = 0;
   let paragraphIndex = 0;
+  let scene = 0; // Scene within the chapter (same numbering as locateParagraphs)
+  let sceneHasText = false;
+  let lineIndex = 0;
+  let lineStart = 0; // Character offset of the current line in text
+  let paragraphLines = []; // { line, lineNumber, lineOffset } of the open paragraph
 
   // Results storage
-  const mentions = []; // All individual mentions
+  const mentions = []; // All individual mentions (only when keepMentions)
+  let totalMentions = 0;
   const mentionCounts = {}; // Form (normalized) -> count
   const possessiveCounts = {}; // Base form -> count of possessive mentions
   const sentenceStartCounts = {}; // Form -> count of sentence-start occurrences
+  const startEvidenceCounts = {}; // Form -> { possessive, vocative, speech, quoted } sentence starts that still look like a name
+  let lowercaseCounts = {}; // Lowercase word -> count of occurrences ("still"), kept for name words only
+  const spatialCounts = {}; // Form -> count of mentions after a spatial preposition or place noun
+  const speechCounts = {}; // Form -> count of mentions next to a speech verb
+  const familyCounts = {}; // Form -> count of mentions beside a family noun ("the Potter family")
+  const pluralVerbCounts = {}; // Form -> count of mentions before a plural verb ("the Weasleys were")
+  const determinerCounts = {}; // Form -> count of mentions after a determiner ("the Silver Crown")
+  const objectVerbCounts = {}; // Form -> count of mentions after a verb that takes a thing ("wore the Silver Crown")
+  const agentCounts = {}; // Form -> count of mentions before an agent verb ("Elena smiled")
+  const pronounCounts = {}; // Form -> { he, she, they } pronouns following its lone mentions ("Elena nodded. She ...")
+  const epithetCounts = {}; // Form -> { epithet: count } from apposition and copulas ("Mrs. Pemberton, the innkeeper")
+  const chapterCounts = {}; // Form -> number of chapters it appears in
+  const cooccurrenceCounts = {}; // "Form|Form" (sorted) -> sentences naming both (for nickname merges)
+  const lastChapters = {}; // Form -> chapter it was last counted in
   const firstAppearances = {}; // Form -> {chapter, paragraph}
-
-  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-    const line = lines[lineIndex];
-
-    // Handle frontmatter
-    if (line.trim() === '---') {
-      inFrontmatter = !inFrontmatter;
-      continue;
-    }
-    if (inFrontmatter) continue;
-
-    // Handle chapter headers
-    const chapterMatch = line.match(/^##\s+CHAPTER\s+(\w+):\s*(.*)$/i);
-    if (chapterMatch) {
-      currentChapter++;
-      chapterTitle = chapterMatch[2].trim();
-      paragraphIndex = 0;
-      if (verbose) console.log(`[Chapter ${currentChapter}] ${chapterTitle}`);
-      continue;
+  const knownNames = new Set(); // Words of names seen so far (for German "Annas" as a possessive of "Anna")
+  const lowercaseNameWords = new Set(); // The same words, lowercased (for lowercaseCounts)
+  const paragraphOptions = { ...options, knownNames };
+  const formStats = {}; // Form -> { count, titledCount, titleType } (used by groupVariants)
+
+  // Line holding a paragraph offset (lines are joined with "\n")
+  const lineAt = (offset) => {
+    const first = paragraphLines[0].lineOffset;
+    let found = paragraphLines[0];
+    for (const entry of paragraphLines) {
+      if (entry.lineOffset - first > offset) break;
+      found = entry;
     }
+    return found;
+  };
 
-    // Skip empty lines, increment paragraph on blank lines
-    if (line.trim() === '') {
-      paragraphIndex++;
-      continue;
+  // Extract proper nouns from the buffered paragraph (with sentence-start tracking)
+  const flushParagraph = () => {
+    if (paragraphLines.length === 0) return;
+    const text = paragraphLines.map(entry => entry.line).join('\n');
+    const found = extractFromText(text, paragraphOptions);
+    countCooccurrences(found, cooccurrenceCounts);
+    for (const pn of found) {
+      for (const word of pn.normalized.split(' ')) {
+        knownNames.add(word);
+        lowercaseNameWords.add(word.toLowerCase());
+      }
     }
 
-    // Extract proper nouns from this line (with sentence-start tracking)
-    const lineProperNouns = extractFromLine(line);
-
-    for (const pn of lineProperNouns) {
-      const mention = {
-        form: pn.form,
-        normalized: pn.normalized,
-        isPossessive: pn.isPossessive,
-        hasTitle: pn.hasTitle,
-        titleType: pn.titleType,
-        isAtSentenceStart: pn.isAtSentenceStart,
-        chapter: currentChapter,
-        paragraph: paragraphIndex,
-        line: lineIndex + 1
-      };
-
-      mentions.push(mention);
+    for (const pn of found) {
+      totalMentions++;
+
+      if (keepMentions) {
+        mentions.push({
+          form: pn.form,
+          normalized: pn.normalized,
+          isPossessive: pn.isPossessive,
+          hasTitle: pn.hasTitle,
+          titleType: pn.titleType,
+          isAtSentenceStart: pn.isAtSentenceStart,
+          chapter: currentChapter,
+          paragraph: paragraphIndex,
+          scene,
+          line: lineAt(pn.start).lineNumber,
+          start: paragraphLines[0].lineOffset + pn.start,
+          end: paragraphLines[0].lineOffset + pn.end
+        });
+      }
 
       // Track counts
       mentionCounts[pn.normalized] = (mentionCounts[pn.normalized] || 0) + 1;
 
+      // Track per-form shape for grouping
+      if (!formStats[pn.normalized]) {
+        formStats[pn.normalized] = { count: 0, titledCount: 0, titleType: null };
+      }
+      const stats = formStats[pn.normalized];
+      stats.count++;
+      if (pn.hasTitle) {
+        if (stats.titledCount === 0) stats.titleType = pn.titleType;
+        stats.titledCount++;
+      }
+
       // Track possessive counts (for tier classification)
       if (pn.isPossessive) {
         possessiveCounts[pn.normalized] = (possessiveCounts[pn.normalized] || 0) + 1;
       }
 
-      // Track sentence-start counts
+      // Track sentence-start counts, and the starts that are name evidence anyway
       if (pn.isAtSentenceStart) {
         sentenceStartCounts[pn.normalized] = (sentenceStartCounts[pn.normalized] || 0) + 1;
+        const evidence = pn.isPossessive ? 'possessive' : pn.isVocative ? 'vocative'
+          : pn.inSpeechTag ? 'speech' : pn.isQuoted ? 'quoted' : null;
+        if (evidence) {
+          const counts = startEvidenceCounts[pn.normalized] || (startEvidenceCounts[pn.normalized] = {});
+          counts[evidence] = (counts[evidence] || 0) + 1;
+        }
+      }
+
+      // Track location and speaker contexts (for location typing)
+      if (pn.inSpatialContext) {
+        spatialCounts[pn.normalized] = (spatialCounts[pn.normalized] || 0) + 1;
+      }
+      if (pn.inSpeechTag) {
+        speechCounts[pn.normalized] = (speechCounts[pn.normalized] || 0) + 1;
+      }
+
+      // Track family and plural contexts (for collective typing)
+      if (pn.inFamilyContext) {
+        familyCounts[pn.normalized] = (familyCounts[pn.normalized] || 0) + 1;
+      }
+      if (pn.beforePluralVerb) {
+        pluralVerbCounts[pn.normalized] = (pluralVerbCounts[pn.normalized] || 0) + 1;
+      }
+
+      // Track object and agent contexts (for object typing)
+      if (pn.afterDeterminer) {
+        determinerCounts[pn.normalized] = (determinerCounts[pn.normalized] || 0) + 1;
+      }
+      if (pn.afterObjectVerb) {
+        objectVerbCounts[pn.normalized] = (objectVerbCounts[pn.normalized] || 0) + 1;
+      }
+      if (pn.beforeAgentVerb) {
+        agentCounts[pn.normalized] = (agentCounts[pn.normalized] || 0) + 1;
+      }
+
+      // Track pronouns that follow (for pronoun inference)
+      if (pn.followingPronouns) {
+        const counts = pronounCounts[pn.normalized] || (pronounCounts[pn.normalized] = {});
+        for (const [set, count] of Object.entries(pn.followingPronouns)) {
+          counts[set] = (counts[set] || 0) + count;
+        }
+      }
+
+      // Track role descriptions (for epithet learning)
+      if (pn.epithet) {
+        const counts = epithetCounts[pn.normalized] || (epithetCounts[pn.normalized] = {});
+        counts[pn.epithet] = (counts[pn.epithet] || 0) + 1;
+      }
+
+      // Track spread across chapters (for tier scoring)
+      if (lastChapters[pn.normalized] !== currentChapter) {
+        lastChapters[pn.normalized] = currentChapter;
+        chapterCounts[pn.normalized] = (chapterCounts[pn.normalized] || 0) + 1;
       }
 
       // Track first appearance
       if (!firstAppearances[pn.normalized]) {
         firstAppearances[pn.normalized] = {
           chapter: currentChapter,
+          chapterIndex: chaptersProcessed,
           paragraph: paragraphIndex,
           form: pn.form
         };
       }
     }
-  }
 
-  return {
-    mentions,
-    mentionCounts,
-    possessiveCounts,
-    sentenceStartCounts,
-    firstAppearances,
-    metadata: {
-      totalMentions: mentions.length,
-      uniqueForms: Object.keys(mentionCounts).length,
-      chaptersProcessed: currentChapter
+    // Track lowercase uses of every word (a capitalized "Still" is a common word
+    // if "still" is too); which words matter is known only once the book is read
+    for (const match of text.matchAll(/(?<![\p{L}\p{M}])\p{Ll}[\p{L}\p{M}]*/gu)) {
+      lowercaseCounts[match[0]] = (lowercaseCounts[match[0]] || 0) + 1;
     }
+
+    paragraphLines = [];
   };
+
+  const addLine = (line) => {
+    const lineNumber = ++lineIndex;
+    const lineOffset = lineStart;
+    lineStart += line.length + 1;
+
+    // Handle frontmatter (only at the top; a later "---" is a scene break)
+    if (inFrontmatter) {
+      if (line.trim() === '---') inFrontmatter = false;
+      return;
+    }
+    if (lineNumber === 1 && line.trim() === '---') {
+      inFrontmatter = true;
+      return;
+    }
+
+    // Handle chapter and part headers (same numbering as parseChapters)
+    const header = tracker.next(line);
+    if (header) {
+      flushParagraph();
+      if (header.level === 'chapter') {
+        currentChapter = header.chapter.key;
+        chaptersProcessed = header.chapter.index;
+        paragraphIndex = 0;
+        scene = 0;
+        sceneHasText = false;
+        if (verbose) console.log(`[${chapterLabel(currentChapter)}] ${header.chapter.title}`);
+      }
+      return;
+    }
+
+    // Skip empty lines, increment paragraph on blank lines
+    if (line.trim() === '') {
+      flushParagraph();
+      paragraphIndex++;
+      return;
+    }
+
+    // Scene breaks end the paragraph and open a new scene
+    if (isSceneBreak(line)) {
+      flushParagraph();
+      paragraphIndex++;
+      if (sceneHasText) {
+        scene++;
+        sceneHasText = false;
+      }
+      return;
+    }
+    sceneHasText = true;
+
+    paragraphLines.push({ line, lineNumber, lineOffset });
+  };
+
+  const finish = () => {
+    flushParagraph();
+    // Keep the lowercase counts of words seen in a name, wherever they fell
+    lowercaseCounts = Object.fromEntries(Object.entries(lowercaseCounts)
+      .filter(([word]) => lowercaseNameWords.has(word)));
+    return {
+      mentions,
+      mentionCounts,
+      possessiveCounts,
+      sentenceStartCounts,
+      startEvidenceCounts,
+      lowercaseCounts,
+      spatialCounts,
+      speechCounts,
+      familyCounts,
+      pluralVerbCounts,
+      determinerCounts,
+      objectVerbCounts,
+      agentCounts,
+      pronounCounts,
+      epithetCounts,
+      chapterCounts,
+      cooccurrenceCounts,
+      firstAppearances,
+      formStats,
+      metadata: {
+        totalMentions,
+        uniqueForms: Object.keys(mentionCounts).length,
+        chaptersProcessed
+      }
+    };
+  };
+
+  return { addLine, finish };
+}
+
+/**
+ * Count the sentences naming two different forms ("Ron and Ronald" are two
+ * people), once per pair per sentence
+ * @param {Array} found - Proper nouns of one paragraph (extractFromText)
+ * @param {Object} counts - "Form|Form" -> count, updated in place
+ */
+function countCooccurrences(found, counts) {
+  const bySentence = new Map();
+  for (const pn of found) {
+    if (!bySentence.has(pn.sentence)) bySentence.set(pn.sentence, new Set());
+    bySentence.get(pn.sentence).add(pn.normalized);
+  }
+  for (const names of bySentence.values()) {
+    const sorted = [...names].sort();
+    for (let a = 0; a < sorted.length; a++) {
+      for (let b = a + 1; b < sorted.length; b++) {
+        const key = `${sorted[a]}|${sorted[b]}`;
+        counts[key] = (counts[key] || 0) + 1;
+      }
+    }
+  }
 }
 
 /**
- * Extract proper nouns from a single line
- * @param {string} line - A line of text
+ * Extract proper nouns from a paragraph (or any run of text)
+ * @param {string} text - Text to scan; sentences may span line breaks
+ * @param {Object} [options] - { language, knownNames }; knownNames are name
+ *   words seen before this text, so a bare possessive ending ("Annas Hund")
+ *   can be told from a name that ends that way ("Lukas")
  * @returns {Array} Array of proper noun objects with sentence-start tracking
+ *   and start/end offsets into text
  */
-function extractFromLine(line) {
+function extractFromText(text, options = {}) {
+  const pack = resolvePack(options);
   const results = [];
 
-  // Tokenize - split on whitespace but preserve punctuation info
-  const words = line.split(/\s+/).filter(w => w.length > 0);
+  // Shared tokenizer: each token knows which sentence it belongs to
+  const { tokens } = segment(text, options);
 
-  // Build set of word indices that are at sentence start
-  // Index 0 is always sentence start, then any word after sentence-ending punctuation
-  const sentenceStartIndices = new Set([0]);
-  for (let j = 0; j < words.length - 1; j++) {
-    if (endsSentence(words[j])) {
-      sentenceStartIndices.add(j + 1);
+  // Names a bare possessive may belong to: known ones, and capitalized words standing alone here
+  let knownNames = null;
+  if (pack.possessive.bareSuffixes.length > 0) {
+    knownNames = new Set(options.knownNames || []);
+    for (const token of tokens) {
+      const word = cleanToken(token.text);
+      if (isCapitalized(word) && !isStopword(word, pack)) knownNames.add(word);
+    }
+  }
+  const quotes = findQuotes(text, options);
+  const isQuoted = (token) => quotes.some(q => token.start >= q.open && token.start < q.close);
+
+  // Elided words are not part of the name: French "qu'Harry" -> "Harry"
+  if (pack.elisionPattern) {
+    for (const token of tokens) {
+      const elision = token.text.match(pack.elisionPattern);
+      if (elision) {
+        token.text = token.text.slice(elision[0].length);
+        token.start += elision[0].length;
+      }
     }
   }
 
   let i = 0;
-  while (i < words.length) {
-    const word = words[i];
+  while (i < tokens.length) {
+    const word = tokens[i].text;
 
     // Skip contractions entirely (He'd, I'm, They'll, etc.)
-    if (isContraction(word)) {
+    if (isContraction(word, pack)) {
       i++;
       continue;
     }
 
     const cleanWord = cleanToken(word);
 
-    // Skip if empty after cleaning or is a stopword
-    if (!cleanWord || isStopword(cleanWord)) {
+    // Skip if empty after cleaning or is a stopword; a title that is also a
+    // stopword ("Frau") still starts a name when one follows ("Frau Schmidt")
+    const stopTitle = isStopword(cleanWord, pack) && pack.titlePrefixes.has(cleanWord.toLowerCase().replace(/\.$/, ''));
+    if (!cleanWord || (isStopword(cleanWord, pack) && !isParticle(cleanWord) && !stopTitle)) {
       i++;
       continue;
     }
 
-    // Check if this starts a proper noun
-    if (isCapitalized(cleanWord)) {
-      const result = extractProperNounSequence(words, i);
-      if (result) {
-        // Add sentence-start tracking
-        result.isAtSentenceStart = sentenceStartIndices.has(i);
+    // Check if this starts a proper noun ("Harry", "van Helsing", "d'Artagnan");
+    // where particles are everyday prepositions ("la casa de Pablo") they only join names
+    if (isNameWord(cleanWord) || (pack.particlesStartNames && isParticle(cleanWord))) {
+      const result = extractProperNounSequence(tokens, i, pack, knownNames);
+      if (result && !(stopTitle && result.wordCount === 1)) {
+        // "the Sorcerer's Stone" is one name, not a possessive "Sorcerer" and a "Stone"
+        const before = wordBefore(tokens, i - 1, i);
+        if (result.isPossessive && /'s?$/.test(normalizeApostrophes(result.form)) && pack.objects.determiners.has(before)) {
+          const next = result.endIndex + 1;
+          const nextWord = next < tokens.length && wordAfter(tokens, result.endIndex) !== null ? cleanToken(tokens[next].text) : '';
+          const rest = isCapitalized(nextWord) && !isStopword(nextWord, pack) ? extractProperNounSequence(tokens, next, pack, knownNames) : null;
+          if (rest && !rest.hasTitle) {
+            Object.assign(result, {
+              form: `${result.form} ${rest.form}`,
+              normalized: `${result.form} ${rest.normalized}`,
+              isPossessive: rest.isPossessive,
+              wordCount: result.wordCount + rest.wordCount,
+              endIndex: rest.endIndex
+            });
+          }
+        }
+
+        // First word of its sentence (a lone dash or quote before it doesn't count: "— Viens")
+        let previous = i - 1;
+        while (previous >= 0 && tokens[previous].sentence === tokens[i].sentence && !/\p{L}/u.test(tokens[previous].text)) {
+          previous--;
+        }
+        result.isAtSentenceStart = previous < 0 || tokens[previous].sentence !== tokens[i].sentence;
+        result.sentence = tokens[i].sentence;
+        result.isQuoted = isQuoted(tokens[i]);
+        result.isVocative = isVocative(tokens, result.endIndex, result.isQuoted);
+        result.inSpatialContext = !result.isPossessive && isSpatialContext(tokens, i, pack); // Not "in Harry's voice"
+        result.inSpeechTag = isSpeechTag(tokens, i, result.endIndex, pack);
+        result.inFamilyContext = isFamilyContext(tokens, i, result.endIndex, pack);
+        result.beforePluralVerb = pack.collectives.pluralVerbs.has(wordAfter(tokens, result.endIndex));
+        result.afterDeterminer = pack.objects.determiners.has(before);
+        result.afterObjectVerb = isObjectVerbContext(tokens, i, pack);
+        result.beforeAgentVerb = pack.objects.agentVerbs.has(wordAfter(tokens, result.endIndex));
+        result.epithet = findEpithet(tokens, result, pack);
+
+        // Span from the first letter of the first word to the end of the last word
+        const first = tokens[i];
+        const last = tokens[result.endIndex];
+        result.start = first.start + tokenPadding(first.text).leading;
+        result.end = last.end - tokenPadding(last.text).trailing;
+
         results.push(result);
         i = result.endIndex + 1;
         continue;
@@ -185,71 +455,268 @@ function extractFromLine(line) {
     i++;
   }
 
+  countFollowingPronouns(tokens, results, pack, isQuoted);
   return results;
 }
 
+/**
+ * Whether a name is addressed rather than described: followed by "!" or "?"
+ * ("Elena!"), or in speech by a comma and a lowercase word ("Elena, come
+ * look", not "Viens, Julien")
+ * @param {Array} tokens
+ * @param {number} endIndex - The name's last token
+ * @param {boolean} quoted - The name is inside quotation marks
+ */
+function isVocative(tokens, endIndex, quoted) {
+  const punctuation = tokens[endIndex].text.match(/([,!?])[\p{Pi}\p{Pf}"'»«]*$/u);
+  if (!punctuation) return false;
+  if (punctuation[1] !== ',') return true;
+  const next = tokens[endIndex + 1];
+  return quoted && next !== undefined && /^\p{Ll}/u.test(cleanToken(next.text));
+}
+
+/**
+ * Count the pronouns after each lone name: in narration, from the name to the
+ * end of its sentence, and through the next sentence when that names no one
+ * ("Hartwell nodded. He turned to the window.") A sentence naming two people
+ * is skipped, and so is anything in quotes. Sets result.followingPronouns
+ * ({ he, she, they } counts) on the name's last mention.
+ */
+function countFollowingPronouns(tokens, results, pack, isQuoted) {
+  if (results.length === 0 || pack.pronouns.size === 0) return;
+
+  const bySentence = new Map(); // Sentence -> mentions in it
+  for (const result of results) {
+    const sentence = tokens[result.endIndex].sentence;
+    if (!bySentence.has(sentence)) bySentence.set(sentence, []);
+    bySentence.get(sentence).push(result);
+  }
+
+  for (const [sentence, names] of bySentence) {
+    if (new Set(names.map(n => n.normalized)).size > 1) continue;
+    const name = names[names.length - 1];
+    if (isQuoted(tokens[name.endIndex])) continue;
+    const lastSentence = bySentence.has(sentence + 1) ? sentence : sentence + 1;
+
+    const counts = {};
+    for (let t = name.endIndex + 1; t < tokens.length && tokens[t].sentence <= lastSentence; t++) {
+      if (isQuoted(tokens[t])) continue;
+      const set = pack.pronouns.get(cleanToken(tokens[t].text).toLowerCase());
+      if (set) counts[set] = (counts[set] || 0) + 1;
+    }
+    if (Object.keys(counts).length > 0) name.followingPronouns = counts;
+  }
+}
+
+/**
+ * Role description right after a name, lowercased, or null: an apposition
+ * ("Mrs. Pemberton, the innkeeper, ...") or a copula ("Hartwell was the old
+ * scholar who ..."). The description runs from the article to punctuation, the
+ * end of the sentence or an end word, and is at most MAX_EPITHET_WORDS words.
+ */
+function findEpithet(tokens, result, pack) {
+  const { articles, copulas, endWords, excluded, capitalizedNouns } = pack.epithets;
+  const last = tokens[result.endIndex];
+  let j = result.endIndex + 1;
+
+  if (/,$/.test(last.text)) {
+    // Apposition
+  } else if (!result.isPossessive && copulas.has(wordAfter(tokens, result.endIndex))) {
+    if (TRAILING_NON_LETTERS.test(tokens[j].text)) return null;
+    j++;
+  } else {
+    return null;
+  }
+
+  const article = tokens[j];
+  if (!article || article.sentence !== last.sentence || !articles.has(article.text.toLowerCase())) return null;
+
+  const words = [];
+  for (let k = j + 1; k < tokens.length && tokens[k].sentence === last.sentence; k++) {
+    const word = cleanToken(tokens[k].text);
+    if (endWords.has(word.toLowerCase()) && words.length > 0) break;
+    if (!/^\p{L}[\p{L}\p{M}-]*$/u.test(word) || (!capitalizedNouns && isCapitalized(word))) return null;
+    if (pack.pronouns.has(word.toLowerCase()) || words.length === MAX_EPITHET_WORDS) return null;
+    words.push(word.toLowerCase());
+    if (TRAILING_NON_LETTERS.test(tokens[k].text)) break;
+  }
+  if (words.length === 0 || (words.length === 1 && excluded.has(words[0]))) return null;
+
+  return `${article.text.toLowerCase()} ${words.join(' ')}`;
+}
+
+/**
+ * Word before a name in the same sentence, lowercased, or null when there is
+ * none or punctuation separates it from the name ("in, Harry")
+ */
+function wordBefore(tokens, index, nameIndex) {
+  const token = tokens[index];
+  if (!token || token.sentence !== tokens[nameIndex].sentence) return null;
+  if (TRAILING_NON_LETTERS.test(token.text)) return null;
+  return cleanToken(token.text).toLowerCase();
+}
+
+/**
+ * Word after a name in the same sentence, lowercased, or null when there is
+ * none or punctuation separates it from the name ("Harry, said")
+ */
+function wordAfter(tokens, endIndex) {
+  const last = tokens[endIndex];
+  const next = tokens[endIndex + 1];
+  if (!next || next.sentence !== last.sentence || TRAILING_NON_LETTERS.test(last.text)) return null;
+  return cleanToken(next.text).toLowerCase();
+}
+
+/**
+ * Check if a name follows a spatial preposition ("in Thornhaven", "into the
+ * Great Hall") or a place noun ("the village of Thornhaven"). Capitalized
+ * stopwords left out of the name ("Great" in "the Great Hall") are skipped.
+ */
+function isSpatialContext(tokens, index, pack) {
+  const { prepositions, articles, placeNouns, placeNounLinks } = pack.spatial;
+  let j = index - 1;
+  let word = wordBefore(tokens, j, index);
+
+  // Capitalized stopwords in between are skipped, but not "In" or "The" ("In Thornhaven, ...")
+  while (word !== null && isCapitalized(cleanToken(tokens[j].text)) && isStopword(word, pack) &&
+    !prepositions.has(word) && !articles.has(word)) {
+    word = wordBefore(tokens, --j, index);
+  }
+  if (word !== null && articles.has(word)) word = wordBefore(tokens, --j, index);
+  if (word === null) return false;
+  if (prepositions.has(word)) return true;
+
+  if (placeNounLinks.has(word)) word = wordBefore(tokens, --j, index);
+  return word !== null && placeNouns.has(word);
+}
+
+/**
+ * Check if a name sits next to a speech verb ("said Harry", "Harry asked")
+ */
+function isSpeechTag(tokens, startIndex, endIndex, pack) {
+  return pack.speechVerbWords.has(wordBefore(tokens, startIndex - 1, startIndex)) ||
+    pack.speechVerbWords.has(wordAfter(tokens, endIndex));
+}
+
+/**
+ * Check if a name follows a verb that takes a thing, directly or after a
+ * determiner: "wore the Silver Crown", "held Excalibur"
+ */
+function isObjectVerbContext(tokens, index, pack) {
+  const { determiners, objectVerbs } = pack.objects;
+  let j = index - 1;
+  let word = wordBefore(tokens, j, index);
+  if (word !== null && determiners.has(word)) word = wordBefore(tokens, --j, index);
+  return objectVerbs.has(word);
+}
+
+/**
+ * Check if a name sits beside a family noun: "the Potter family", "die Familie Müller"
+ */
+function isFamilyContext(tokens, startIndex, endIndex, pack) {
+  const { familyNouns, familyNounPosition } = pack.collectives;
+  const word = familyNounPosition === 'before'
+    ? wordBefore(tokens, startIndex - 1, startIndex)
+    : wordAfter(tokens, endIndex);
+  return familyNouns.has(word);
+}
+
 /**
  * Extract a proper noun sequence starting at index
- * Handles: "Harry", "Harry Potter", "Mr. Dursley", "Professor McGonagall"
+ * Handles: "Harry", "Harry Potter", "Mr. Dursley", "Professor McGonagall",
+ * "Jean-Luc Picard", "Abraham van Helsing", "Mrs. de Winter" and full names
+ * up to MAX_NAME_WORDS capitalized words. A sequence never crosses a sentence
+ * boundary or punctuation ("Harry, Ron"). A possessive ends it ("Harry's
+ * owl"; "Annas Hund" when "Anna" is in knownNames).
  */
-function extractProperNounSequence(words, startIndex) {
+function extractProperNounSequence(tokens, startIndex, pack, knownNames = null) {
   const components = [];
   let hasTitle = false;
   let titleType = null;
   let endIndex = startIndex;
+  let possessiveSuffix = null;
+
+  // Can the name continue at token i?
+  const continuesAt = (i) => i < tokens.length &&
+    tokens[i].sentence === tokens[i - 1].sentence &&
+    !breaksName(tokens[i - 1].text);
+
+  // Lowercase particles from token i on, then a name word: index of the name word, or -1
+  const nameAfterParticles = (i) => {
+    let j = i;
+    while (j < tokens.length && (j === i || continuesAt(j)) && isParticle(cleanToken(tokens[j].text))) j++;
+    if (j === i || !continuesAt(j)) return -1;
+    const word = cleanToken(tokens[j].text);
+    return isNameWord(word) && !isStopword(word, pack) && !isContraction(tokens[j].text, pack) ? j : -1;
+  };
 
   // Check for title prefix
-  const firstWord = cleanToken(words[startIndex]);
+  const firstWord = cleanToken(tokens[startIndex].text);
   const firstWordLower = firstWord.toLowerCase().replace(/\.$/, ''); // Remove trailing period
 
-  if (titlePrefixes.has(firstWordLower)) {
+  if (pack.titlePrefixes.has(firstWordLower)) {
     hasTitle = true;
-    const titleInfo = titlePatterns.patterns.find(
+    const titleInfo = pack.titles.find(
       p => p.pattern.toLowerCase() === firstWordLower
     );
     titleType = titleInfo?.type || 'honorific';
     components.push(firstWord);
     endIndex = startIndex;
 
-    // Move to next word
-    if (startIndex + 1 < words.length) {
-      const nextWord = cleanToken(words[startIndex + 1]);
-      if (nextWord && isCapitalized(nextWord) && !isStopword(nextWord) && !isContraction(words[startIndex + 1])) {
-        components.push(nextWord);
-        endIndex = startIndex + 1;
+    // Move to next word, taking particles with it ("Mrs. de Winter")
+    let next = continuesAt(startIndex + 1) ? nameAfterParticles(startIndex + 1) : -1;
+    if (next === -1 && continuesAt(startIndex + 1)) {
+      const nextWord = cleanToken(tokens[startIndex + 1].text);
+      if (nextWord && isNameWord(nextWord) && !isStopword(nextWord, pack) && !isContraction(tokens[startIndex + 1].text, pack)) {
+        next = startIndex + 1;
       }
     }
+    if (next !== -1) {
+      for (let i = startIndex + 1; i < next; i++) components.push(cleanToken(tokens[i].text));
+      const word = cleanToken(tokens[next].text);
+      possessiveSuffix = findPossessiveSuffix(tokens[next].text, pack, knownNames);
+      components.push(possessiveSuffix && !word.endsWith(possessiveSuffix) ? word + possessiveSuffix : word);
+      endIndex = next;
+    }
   } else {
-    // Regular proper noun - collect consecutive capitalized words (max 2 - first+last name)
-    for (let i = startIndex; i < words.length && components.length < 2; i++) {
-      const rawWord = words[i];
+    // Regular proper noun - collect consecutive name words (particles don't count toward the limit)
+    let nameWords = 0;
+    let i = startIndex;
+    while (i < tokens.length && nameWords < MAX_NAME_WORDS) {
+      if (i > startIndex && !continuesAt(i)) break;
+
+      const rawWord = tokens[i].text;
       const word = cleanToken(rawWord);
 
       if (!word) break;
 
       // Stop at contractions (He'd, I'm, etc.)
-      if (isContraction(rawWord)) break;
-
-      // If this is not the first word, check if previous word ended a sentence
-      if (i > startIndex) {
-        const prevWord = words[i - 1];
-        if (endsSentence(prevWord)) break;
+      if (isContraction(rawWord, pack)) break;
+
+      // Particles join only when a name word follows ("van Helsing", not "Maxim de")
+      if (isParticle(word)) {
+        const next = nameAfterParticles(i);
+        if (next === -1) break;
+        for (let k = i; k < next; k++) components.push(cleanToken(tokens[k].text));
+        i = next;
+        continue;
       }
 
-      // Check for possessive form
-      const isPossessive = rawWord.includes("'s") && !isContraction(rawWord);
-      const baseWord = word.replace(/'s$/i, '');
+      // Check for possessive form ("Harry's"; "Hans'" in German)
+      const suffix = findPossessiveSuffix(rawWord, pack, knownNames);
+      const baseWord = suffix && word.endsWith(suffix) ? word.slice(0, -suffix.length) : word;
 
-      if (isCapitalized(baseWord) && !isStopword(baseWord)) {
+      if (isNameWord(baseWord) && !isStopword(baseWord, pack)) {
+        nameWords++;
+        endIndex = i;
         // For possessives, only add if it's the last word
-        if (isPossessive) {
-          components.push(baseWord + "'s");
-          endIndex = i;
+        if (suffix) {
+          components.push(baseWord + suffix);
+          possessiveSuffix = suffix;
           break; // Possessive ends the sequence
-        } else {
-          components.push(word);
-          endIndex = i;
         }
+        components.push(word);
+        i++;
       } else {
         break;
       }
@@ -260,11 +727,11 @@ function extractProperNounSequence(words, startIndex) {
 
   // Build the form
   const form = components.join(' ');
-  const isPossessive = form.includes("'s");
-  const normalized = form.replace(/'s$/i, '').replace(/\.$/, '');
+  const isPossessive = possessiveSuffix !== null;
+  const normalized = (isPossessive ? form.slice(0, -possessiveSuffix.length) : form).replace(/\.$/, '');
 
   // Skip if it's a chapter pattern
-  if (chapterPatterns.has(normalized.toLowerCase())) return null;
+  if (pack.chapterStartPatterns.has(normalized.toLowerCase())) return null;
 
   // Skip single-letter or very short results
   if (normalized.length < 2) return null;
@@ -283,36 +750,60 @@ function extractProperNounSequence(words, startIndex) {
 /**
  * Check if a word is a contraction (not possessive)
  */
-function isContraction(word) {
+function isContraction(word, pack) {
   if (!word) return false;
 
   // Normalize apostrophes (handle curly quotes)
-  const normalized = normalizeApostrophes(word);
+  const normalized = normalizeApostrophes(word).replace(/[^\p{L}']+$/u, '').toLowerCase();
+  const apostrophe = normalized.lastIndexOf("'");
+  if (apostrophe <= 0) return false;
+  const base = normalized.slice(0, apostrophe);
+  const ending = normalized.slice(apostrophe + 1);
 
   // Check for contraction patterns: He'd, I'm, They'll, We're, etc.
-  // These have apostrophe followed by: d, m, ll, re, ve, t
   // Exclude possessives (ends with 's where s is the only letter after apostrophe)
-  if (/'s$/i.test(normalized)) {
+  if (ending === 's') {
     // This could be possessive (Harry's) or "is" contraction (He's)
     // If it starts with common pronoun, it's a contraction
-    const base = normalized.replace(/'s$/i, '').toLowerCase();
-    const pronouns = ['he', 'she', 'it', 'that', 'what', 'who', 'there', 'here', 'where'];
-    return pronouns.includes(base);
+    return pack.contractions.sPronouns.includes(base);
   }
   // Other contractions: 'd, 'm, 'll, 're, 've, 't
-  return /'(d|m|ll|re|ve|t)$/i.test(normalized);
+  return pack.contractions.suffixes.includes(ending);
 }
 
 /**
- * Check if previous word ends with sentence-ending punctuation
+ * Possessive ending of a word, if any ("Harry's" -> "'s"), from the language
+ * pack. A bare ending (German "Annas") counts only when the rest of the word
+ * is a known name.
  */
-function endsSentence(word) {
-  if (!word) return false;
-  return /[.!?]["']?$/.test(word);
+function findPossessiveSuffix(rawWord, pack, knownNames = null) {
+  const word = normalizeApostrophes(rawWord).replace(/[^\p{L}\p{M}']+$/u, '');
+  if (isContraction(word, pack)) return null;
+  const suffix = pack.possessive.suffixes.find(s =>
+    word.length > s.length && word.toLowerCase().endsWith(s)
+  );
+  if (suffix || !knownNames) return suffix || null;
+  return pack.possessive.bareSuffixes.find(s =>
+    word.length > s.length + 1 && word.endsWith(s) && knownNames.has(word.slice(0, -s.length))
+  ) || null;
+}
+
+// Punctuation around a word, including quote marks (combining marks belong to the letter before them)
+const LEADING_NON_LETTERS = /^[^\p{L}]+/u;
+const TRAILING_NON_LETTERS = /[^\p{L}\p{M}]+$/u;
+
+/**
+ * Check if punctuation after a word ends a name ("Harry, Ron", '"Harry" Potter')
+ * A period that did not end the sentence belongs to an initial or title ("J. Smith").
+ */
+function breaksName(rawWord) {
+  const trailing = normalizeApostrophes(rawWord).match(TRAILING_NON_LETTERS);
+  return trailing !== null && trailing[0] !== '.';
 }
 
 /**
  * Clean a token - remove punctuation but preserve possessives
+ * Letters are any Unicode letter ("Zoë", "Łukasz"); the result is NFC.
  */
 function cleanToken(word) {
   if (!word) return '';
@@ -320,8 +811,8 @@ function cleanToken(word) {
   // Normalize apostrophes first
   let cleaned = normalizeApostrophes(word);
 
-  // Remove leading/trailing punctuation except apostrophe
-  cleaned = cleaned.replace(/^[^a-zA-Z']+/, '').replace(/[^a-zA-Z']+$/, '');
+  // Remove leading/trailing punctuation and quote marks
+  cleaned = cleaned.replace(LEADING_NON_LETTERS, '').replace(TRAILING_NON_LETTERS, '').normalize('NFC');
 
   // Remove trailing period (for Mr. Mrs. etc.)
   cleaned = cleaned.replace(/\.$/, '');
@@ -329,6 +820,19 @@ function cleanToken(word) {
   return cleaned;
 }
 
+/**
+ * Count the punctuation cleanToken strips from each end of a word
+ */
+function tokenPadding(word) {
+  const normalized = normalizeApostrophes(word);
+  const leading = normalized.match(LEADING_NON_LETTERS);
+  const trailing = normalized.match(TRAILING_NON_LETTERS);
+  return {
+    leading: leading ? leading[0].length : 0,
+    trailing: trailing ? trailing[0].length : 0
+  };
+}
+
 /**
  * Check if a word is capitalized (proper noun candidate)
  */
@@ -337,16 +841,25 @@ function isCapitalized(word) {
   return word[0] === word[0].toUpperCase() && word[0] !== word[0].toLowerCase();
 }
 
+/**
+ * Check if a word can be part of a name: capitalized ("Harry", "O'Brien",
+ * "Jean-Luc") or with an elided lowercase prefix ("d'Artagnan")
+ */
+function isNameWord(word) {
+  return isCapitalized(word) || hasElidedPrefix(word);
+}
+
 /**
  * Check if a word is a stopword
  */
-function isStopword(word) {
+function isStopword(word, pack) {
   // Normalize apostrophes for matching
   const normalized = normalizeApostrophes(word).toLowerCase();
-  return stopwordSet.has(normalized) || stopwordSet.has(word.toLowerCase());
+  return pack.stopwords.has(normalized) || pack.stopwords.has(word.toLowerCase());
 }
 
 module.exports = {
   extractProperNouns,
-  extractFromLine
+  createProperNounExtractor,
+  extractFromText
 };
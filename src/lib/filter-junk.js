@@ -1,54 +1,233 @@
 /**
  * filter-junk.js
  *
- * Filters out junk entities using multiple heuristics:
- * 1. Sentence-start ratio (>50% = likely common word, not entity)
- * 2. Truncated phrase detection (first word appears in 3+ other two-word entities)
- * 3. List-separated names (comma/and/or patterns indicate separate entities)
+ * Filters out junk entities with a set of rules, each a plugin:
+ * 1. sentence_start_ratio_high: mostly at the start of narration sentences, with
+ *    no sign of a name there, and the word is common in lowercase ("Still")
+ * 2. truncated_phrase: first word appears in 3+ other two-word entities
+ * 3. list_separated_names: comma/and/or patterns indicate separate entities
+ * 4. both_words_high_frequency: both words are frequent names on their own
+ * Every rule is evaluated for every group and its verdict recorded, so a
+ * decision can be explained; a group is excluded if any rule excludes it.
+ * Built-in rules read their thresholds from src/config/thresholds.json
+ * ("filter") unless the book's config overrides them. A config's filterRules
+ * can disable rules, load custom ones and give them settings.
+ *
+ * "Two-word" names count name units, so "Maxim de Winter" is two words.
  */
 
+const path = require('path');
+const { splitNameUnits } = require('./name-parts');
+const { loadLanguagePack } = require('./language');
+const { resolveConfig } = require('./config');
+
+/**
+ * Built-in rules, in evaluation order. A rule is
+ *   { name, description, thresholds?: [filter threshold names], defaults?: {},
+ *     check(group, context) => { exclude, evidence, ...details } | null }
+ * check returns null when the rule does not apply to the group. context holds
+ * the rule's settings, the group's words and sentenceStartRatio, the
+ * extraction result, listCounts, twoWordFirstWords and verbose.
+ */
+const BUILTIN_RULES = [
+  {
+    name: 'sentence_start_ratio_high',
+    description: 'Most mentions start a sentence, so the word is probably capitalized for position',
+    thresholds: ['maxSentenceStartRatio', 'minMentionsForSentenceStartRatio', 'minLowercaseShare'],
+    check(group, { settings, words, extractionResult }) {
+      const totalMentions = group.totalMentions || 0;
+      if (totalMentions < settings.minMentionsForSentenceStartRatio) return null;
+      return checkSentenceStarts(group, words[0], extractionResult, settings);
+    }
+  },
+  {
+    name: 'truncated_phrase',
+    description: 'The first word starts many other two-word names ("Professor X", "Professor Y")',
+    thresholds: ['minTruncatedPhraseEntities'],
+    check(group, { settings, words, twoWordFirstWords }) {
+      if (words.length !== 2) return null;
+      const firstWord = words[0];
+      const otherTwoWordCount = twoWordFirstWords.get(firstWord) || 0;
+
+      // If this first word appears in 3+ OTHER two-word entities, it's likely truncated
+      return {
+        exclude: otherTwoWordCount >= settings.minTruncatedPhraseEntities,
+        evidence: `"${firstWord}" appears as first word in ${otherTwoWordCount + 1} two-word entities`
+      };
+    }
+  },
+  {
+    name: 'list_separated_names',
+    description: 'The two words are mostly seen as separate names in a list ("Crabbe and Goyle")',
+    thresholds: ['maxListSeparatedMentions', 'minListPatternCount'],
+    check(group, { settings, words, listCounts }) {
+      // Only apply to RARE two-word names (<10 occurrences) - frequent ones are legitimate
+      if (words.length !== 2 || (group.totalMentions || 0) >= settings.maxListSeparatedMentions) return null;
+      const listSeparation = detectListSeparation(group.canonicalName, words, listCounts, settings);
+      return { exclude: listSeparation.isListSeparated, evidence: listSeparation.evidence };
+    }
+  },
+  {
+    name: 'both_words_high_frequency',
+    description: 'Both words are frequent names on their own ("Malfoy Crabbe")',
+    thresholds: ['minHighFrequencyPartMentions', 'maxHighFrequencyPairMentions'],
+    check(group, { settings, words, extractionResult }) {
+      // EXCEPTION: If the full two-word name itself appears frequently (>30 times),
+      // it's a real full name like "Harry Potter", not a false concatenation.
+      if (words.length !== 2 || (group.totalMentions || 0) >= settings.maxHighFrequencyPairMentions) return null;
+      const { mentionCounts = {} } = extractionResult;
+      const word1Count = mentionCounts[words[0]] || 0;
+      const word2Count = mentionCounts[words[1]] || 0;
+      const minHighFreq = settings.minHighFrequencyPartMentions;
+
+      if (word1Count >= minHighFreq && word2Count >= minHighFreq) {
+        return {
+          exclude: true,
+          evidence: `Both "${words[0]}" (${word1Count}) and "${words[1]}" (${word2Count}) are high-frequency standalone entities`
+        };
+      }
+      return { exclude: false, evidence: `"${words[0]}" (${word1Count}) and "${words[1]}" (${word2Count}) as standalone entities` };
+    }
+  }
+];
+
+const registeredRules = [...BUILTIN_RULES];
+
+/**
+ * Register a filter rule for every later filterJunk call (see BUILTIN_RULES)
+ * @param {Object} rule
+ * @throws {Error} For a malformed rule or a name already registered
+ */
+function registerFilterRule(rule) {
+  assertRule(rule, registeredRules);
+  registeredRules.push(rule);
+}
+
+/**
+ * Check a rule's shape and that its name is free
+ */
+function assertRule(rule, rules, source = 'Filter rule') {
+  if (!rule || typeof rule.name !== 'string' || typeof rule.check !== 'function') {
+    throw new Error(`${source} needs a "name" and a "check" function`);
+  }
+  if (rules.some(r => r.name === rule.name)) {
+    throw new Error(`Filter rule "${rule.name}" is already registered`);
+  }
+}
+
+/**
+ * Rules a config runs: registered rules plus its filterRules.plugins, less
+ * filterRules.disable, each with its settings (built-in thresholds, a custom
+ * rule's defaults, then filterRules.settings)
+ * @param {Object} [config] - Config as in narrative.config.json
+ * @returns {Array} [{ rule, settings }] in evaluation order
+ */
+function resolveFilterRules(config = {}) {
+  const effective = resolveConfig(config);
+  const { disable, plugins, settings } = effective.filterRules;
+
+  const rules = [...registeredRules];
+  for (const pluginPath of plugins) {
+    let exported;
+    try {
+      exported = require(path.resolve(pluginPath));
+    } catch (error) {
+      throw new Error(`Cannot load filter rule ${pluginPath}: ${error.message}`);
+    }
+    for (const rule of Array.isArray(exported) ? exported : [exported]) {
+      assertRule(rule, rules, `Filter rule in ${pluginPath}`);
+      rules.push(rule);
+    }
+  }
+
+  const names = rules.map(r => r.name);
+  for (const name of [...disable, ...Object.keys(settings)]) {
+    if (!names.includes(name)) {
+      throw new Error(`Unknown filter rule "${name}" (expected one of: ${names.join(', ')})`);
+    }
+  }
+
+  return rules
+    .filter(rule => !disable.includes(rule.name))
+    .map(rule => {
+      const thresholds = {};
+      for (const key of rule.thresholds || []) thresholds[key] = effective.thresholds.filter[key];
+      return { rule, settings: { ...thresholds, ...rule.defaults, ...settings[rule.name] } };
+    });
+}
+
 /**
  * Filter entity groups, returning clean groups and excluded items with reasons
  * @param {Array} entityGroups - Array of entity groups from groupVariants
  * @param {Object} extractionResult - Raw extraction result with sentenceStartCounts
- * @param {string} fullText - Original document text for context analysis
- * @param {Object} options - Filter options
- * @returns {Object} { clean: Array, excluded: Array }
+ * @param {string|Object} fullText - Original document text, or list-pattern counts
+ *   from createListPatternCounter (for streamed input)
+ * @param {Object} options - Filter options ({ verbose, language, config })
+ * @returns {Object} { clean: Array, excluded: Array, decisions: Array }; decisions
+ *   hold every group's verdict from every rule:
+ *   { text, mentions, variants, excluded, reasons, rules: [{ rule, verdict, evidence }] }
+ *   with verdict 'exclude', 'keep' or 'not_applicable'
  */
 function filterJunk(entityGroups, extractionResult, fullText, options = {}) {
   const { verbose = false } = options;
-  const { sentenceStartCounts = {}, mentionCounts = {} } = extractionResult;
+  const rules = resolveFilterRules(options.config);
+  const { sentenceStartCounts = {} } = extractionResult;
+
+  // One pass over the text instead of one regex scan per group
+  const listCounts = typeof fullText === 'string' ? countListPatterns(fullText, options) : fullText;
 
   const clean = [];
   const excluded = [];
+  const decisions = [];
 
   // Pre-compute two-word entity first words for truncated phrase detection
   const twoWordFirstWords = buildTwoWordFirstWordMap(entityGroups);
 
   for (const group of entityGroups) {
-    const exclusion = checkForExclusion(
-      group,
-      sentenceStartCounts,
-      mentionCounts,
+    const totalMentions = group.totalMentions || 0;
+    const ssCount = getSentenceStartCount(group, sentenceStartCounts);
+    const sentenceStartRatio = Math.round((totalMentions > 0 ? ssCount / totalMentions : 0) * 100) / 100;
+    const context = {
+      words: splitNameUnits(group.canonicalName),
+      sentenceStartRatio,
+      extractionResult,
+      listCounts,
       twoWordFirstWords,
-      fullText,
       verbose
-    );
+    };
+
+    const verdicts = rules.map(({ rule, settings }) => {
+      const result = rule.check(group, { ...context, settings });
+      if (!result) return { rule: rule.name, verdict: 'not_applicable' };
+      const { exclude, evidence, ...details } = result;
+      return { rule: rule.name, verdict: exclude ? 'exclude' : 'keep', evidence, ...details };
+    });
+    const exclusions = verdicts.filter(v => v.verdict === 'exclude');
 
-    if (exclusion) {
+    decisions.push({
+      text: group.canonicalName,
+      mentions: totalMentions,
+      variants: (group.variants || []).map(v => v.form),
+      excluded: exclusions.length > 0,
+      reasons: exclusions.map(v => v.rule),
+      rules: verdicts
+    });
+
+    if (exclusions.length > 0) {
+      if (verbose) {
+        for (const v of exclusions) console.log(`[Filter] Excluding "${group.canonicalName}" - ${v.rule} (${v.evidence})`);
+      }
       excluded.push({
         text: group.canonicalName,
-        mentions: group.totalMentions,
-        reason: exclusion.reason,
-        evidence: exclusion.evidence,
-        sentenceStartRatio: exclusion.sentenceStartRatio
+        mentions: totalMentions,
+        reason: exclusions[0].rule,
+        evidence: exclusions[0].evidence,
+        sentenceStartRatio,
+        reasons: exclusions.map(v => v.rule)
       });
     } else {
       // Add sentence-start ratio to clean groups for downstream use
-      const totalMentions = group.totalMentions || 0;
-      const ssCount = getSentenceStartCount(group, sentenceStartCounts);
-      const ratio = totalMentions > 0 ? ssCount / totalMentions : 0;
-      group.sentenceStartRatio = Math.round(ratio * 100) / 100;
+      group.sentenceStartRatio = sentenceStartRatio;
       clean.push(group);
     }
   }
@@ -57,82 +236,48 @@ function filterJunk(entityGroups, extractionResult, fullText, options = {}) {
     console.log(`[Filter] ${clean.length} clean, ${excluded.length} excluded`);
   }
 
-  return { clean, excluded };
+  return { clean, excluded, decisions };
 }
 
 /**
- * Check if an entity group should be excluded
- * Returns exclusion reason or null if clean
+ * Weigh a group's sentence starts. Starts in speech ("Elena, come look"),
+ * vocatives ("Elena!"), speech tags ("Elena cried") and possessives
+ * ("Elena's") are name evidence like mid-sentence mentions; only plain
+ * narration starts are in doubt. Speech openings back a name up only
+ * alongside other evidence, since "Guten Morgen" opens speech too. A group
+ * mostly made of doubtful starts is excluded only when its first word is
+ * common in lowercase elsewhere ("Still" and "still"), so a character who
+ * opens most sentences keeps their name.
  */
-function checkForExclusion(group, sentenceStartCounts, mentionCounts, twoWordFirstWords, fullText, verbose) {
-  const name = group.canonicalName;
+function checkSentenceStarts(group, firstWord, extractionResult, settings) {
+  const { sentenceStartCounts = {}, startEvidenceCounts = {}, lowercaseCounts = {} } = extractionResult;
   const totalMentions = group.totalMentions || 0;
 
-  // 1. Sentence-start ratio filter
-  const ssCount = getSentenceStartCount(group, sentenceStartCounts);
-  const ssRatio = totalMentions > 0 ? ssCount / totalMentions : 0;
-
-  if (ssRatio > 0.5 && totalMentions >= 5) {
-    if (verbose) console.log(`[Filter] Excluding "${name}" - sentence start ratio ${(ssRatio * 100).toFixed(0)}%`);
-    return {
-      reason: 'sentence_start_ratio_high',
-      evidence: `${(ssRatio * 100).toFixed(0)}% of mentions at sentence start`,
-      sentenceStartRatio: Math.round(ssRatio * 100) / 100
-    };
-  }
-
-  // 2. Truncated phrase detection (for two-word entities)
-  const words = name.split(/\s+/);
-  if (words.length === 2) {
-    const firstWord = words[0];
-    const otherTwoWordCount = twoWordFirstWords.get(firstWord) || 0;
-
-    // If this first word appears in 3+ OTHER two-word entities, it's likely truncated
-    if (otherTwoWordCount >= 3) {
-      if (verbose) console.log(`[Filter] Excluding "${name}" - truncated phrase (${firstWord} in ${otherTwoWordCount + 1} two-word entities)`);
-      return {
-        reason: 'truncated_phrase',
-        evidence: `"${firstWord}" appears as first word in ${otherTwoWordCount + 1} two-word entities`,
-        sentenceStartRatio: Math.round(ssRatio * 100) / 100
-      };
+  const supported = { possessive: 0, vocative: 0, speech: 0, quoted: 0 };
+  let starts = 0;
+  for (const variant of group.variants || []) {
+    starts += sentenceStartCounts[variant.form] || 0;
+    for (const [kind, count] of Object.entries(startEvidenceCounts[variant.form] || {})) {
+      supported[kind] += count;
     }
   }
+  const named = supported.possessive + supported.vocative + supported.speech;
+  const strongEvidence = totalMentions - starts + named;
+  const plainStarts = starts - named - (strongEvidence > 0 ? supported.quoted : 0);
+  const plainRatio = plainStarts / totalMentions;
 
-  // 3. List-separated names detection (for two-word entities)
-  // Only apply to RARE two-word names (<10 occurrences) - frequent ones are legitimate
-  if (words.length === 2 && totalMentions < 10) {
-    const listSeparation = detectListSeparation(name, words, fullText);
-    if (listSeparation.isListSeparated) {
-      if (verbose) console.log(`[Filter] Excluding "${name}" - list separated (${listSeparation.evidence})`);
-      return {
-        reason: 'list_separated_names',
-        evidence: listSeparation.evidence,
-        sentenceStartRatio: Math.round(ssRatio * 100) / 100
-      };
-    }
-  }
+  const lowercase = lowercaseCounts[firstWord.toLowerCase()] || 0;
+  const lowercaseShare = lowercase / (lowercase + totalMentions);
 
-  // 4. High-frequency both words filter (for two-word entities)
-  // If BOTH words appear as high-frequency single-word entities (>40 each),
-  // it's probably two separate characters, not one name (e.g., "Malfoy Crabbe")
-  // EXCEPTION: If the full two-word name itself appears frequently (>30 times),
-  // it's a real full name like "Harry Potter", not a false concatenation.
-  if (words.length === 2 && totalMentions < 30) {
-    const word1Count = mentionCounts[words[0]] || 0;
-    const word2Count = mentionCounts[words[1]] || 0;
-    const minHighFreq = 40;
-
-    if (word1Count >= minHighFreq && word2Count >= minHighFreq) {
-      if (verbose) console.log(`[Filter] Excluding "${name}" - both words high-frequency: ${words[0]} (${word1Count}), ${words[1]} (${word2Count})`);
-      return {
-        reason: 'both_words_high_frequency',
-        evidence: `Both "${words[0]}" (${word1Count}) and "${words[1]}" (${word2Count}) are high-frequency standalone entities`,
-        sentenceStartRatio: Math.round(ssRatio * 100) / 100
-      };
-    }
-  }
+  const supportText = Object.entries(supported).filter(([, n]) => n > 0).map(([kind, n]) => `${n} ${kind}`);
+  const evidence = `${Math.round(plainRatio * 100)}% of mentions are doubtful sentence starts` +
+    ` (${totalMentions - starts} mid-sentence${supportText.length > 0 ? `, ${supportText.join(', ')} starts` : ''});` +
+    ` "${firstWord.toLowerCase()}" lowercase ${lowercase} times`;
 
-  return null;
+  return {
+    exclude: plainRatio > settings.maxSentenceStartRatio && lowercaseShare >= settings.minLowercaseShare,
+    evidence
+  };
 }
 
 /**
@@ -155,7 +300,7 @@ function buildTwoWordFirstWordMap(entityGroups) {
 
   // First pass: count how many two-word entities use each first word
   for (const group of entityGroups) {
-    const words = group.canonicalName.split(/\s+/);
+    const words = splitNameUnits(group.canonicalName);
     if (words.length === 2) {
       const firstWord = words[0];
       firstWordCounts.set(firstWord, (firstWordCounts.get(firstWord) || 0) + 1);
@@ -179,27 +324,22 @@ function buildTwoWordFirstWordMap(entityGroups) {
  * The comma-based check was too aggressive (e.g., "Gryffindor," is common
  * but "Gryffindor House" is still a valid location).
  */
-function detectListSeparation(fullName, words, fullText) {
+function detectListSeparation(fullName, words, listCounts, thresholds) {
   const [word1, word2] = words;
+  const key = pairKey(word1, word2);
 
-  // Count how many times the full name appears as a unit
-  const fullNameCount = countPattern(fullText, new RegExp(`\\b${escapeRegex(fullName)}\\b`, 'gi'));
+  // How many times the full name appears as a unit
+  const fullNameCount = listCounts.adjacent.get(key) || 0;
 
-  // Count how many times we see "word1 and word2" or "word1, word2, and"
+  // How many times we see "word1 and word2" or "word1, word2, and"
   // This catches "Malfoy, Crabbe, and Goyle" type patterns
-  const andPatternCount = countPattern(
-    fullText,
-    new RegExp(`\\b${escapeRegex(word1)}\\s*,?\\s+(and|or)\\s+${escapeRegex(word2)}\\b`, 'gi')
-  );
+  const andPatternCount = listCounts.conjoined.get(key) || 0;
 
-  // Also count explicit list pattern: "word1, word2," (both in a comma list)
-  const commaListCount = countPattern(
-    fullText,
-    new RegExp(`\\b${escapeRegex(word1)}\\s*,\\s*${escapeRegex(word2)}\\s*,`, 'gi')
-  );
+  // Explicit list pattern: "word1, word2," (both in a comma list)
+  const commaListCount = listCounts.commaListed.get(key) || 0;
 
   // If "word1 and word2" appears often and more than the "full name", it's a list
-  if (andPatternCount >= 3 && andPatternCount > fullNameCount) {
+  if (andPatternCount >= thresholds.minListPatternCount && andPatternCount > fullNameCount) {
     return {
       isListSeparated: true,
       evidence: `"${word1} and ${word2}" pattern appears ${andPatternCount} times vs "${fullName}" ${fullNameCount} times`
@@ -207,31 +347,106 @@ function detectListSeparation(fullName, words, fullText) {
   }
 
   // If we see "word1, word2," (both in comma lists) frequently
-  if (commaListCount >= 3 && commaListCount > fullNameCount) {
+  if (commaListCount >= thresholds.minListPatternCount && commaListCount > fullNameCount) {
     return {
       isListSeparated: true,
       evidence: `"${word1}, ${word2}," list pattern appears ${commaListCount} times`
     };
   }
 
-  return { isListSeparated: false };
+  return {
+    isListSeparated: false,
+    evidence: `"${word1} and ${word2}" ${andPatternCount} times, "${word1}, ${word2}," ${commaListCount} times, "${fullName}" ${fullNameCount} times`
+  };
+}
+
+function pairKey(word1, word2) {
+  return `${word1.toLowerCase()} ${word2.toLowerCase()}`.normalize('NFC');
+}
+
+function isCapitalizedWord(word) {
+  return word[0] !== word[0].toLowerCase();
 }
 
 /**
- * Count regex pattern matches in text
+ * Count capitalized word pairs in list-like positions, one paragraph at a time
+ * Only pairs of capitalized words are kept, so memory follows the cast size,
+ * not the text length.
+ *   adjacent:    "Harry Potter"                 (the full name as a unit)
+ *   conjoined:   "Crabbe and Goyle", "Crabbe, or Goyle" (conjunctions from the language pack)
+ *   commaListed: "Malfoy, Crabbe,"
+ * @param {Object} [options] - { language }
+ * @returns {Object} { addLine(line), finish() => { adjacent, conjoined, commaListed } }
  */
-function countPattern(text, pattern) {
-  const matches = text.match(pattern);
-  return matches ? matches.length : 0;
+function createListPatternCounter(options = {}) {
+  const conjunctions = new Set(loadLanguagePack(options.language).listConjunctions);
+  const counts = { adjacent: new Map(), conjoined: new Map(), commaListed: new Map() };
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  let paragraph = [];
+
+  const countParagraph = (text) => {
+    const words = [...text.matchAll(/\p{L}[\p{L}\p{M}'\u2019]*/gu)].map(m => ({
+      text: m[0],
+      bare: m[0].replace(/['\u2019]s?$/i, ''), // "Potter's" still ends the word "Potter"
+      start: m.index,
+      end: m.index + m[0].length
+    }));
+
+    for (let i = 0; i + 1 < words.length; i++) {
+      const a = words[i];
+      const b = words[i + 1];
+      if (!isCapitalizedWord(a.text)) continue;
+      const gap = text.slice(a.end, b.start);
+
+      if (isCapitalizedWord(b.text)) {
+        if (/^\s+$/.test(gap)) {
+          bump(counts.adjacent, pairKey(a.text, b.bare));
+        }
+        if (/^\s*,\s*$/.test(gap) && /^\s*,/.test(text.slice(b.end))) {
+          bump(counts.commaListed, pairKey(a.text, b.text));
+        }
+      }
+
+      const c = words[i + 2];
+      if (c && conjunctions.has(b.text.toLowerCase()) && isCapitalizedWord(c.text) &&
+          /^\s*,?\s+$/.test(gap) && /^\s+$/.test(text.slice(b.end, c.start))) {
+        bump(counts.conjoined, pairKey(a.text, c.bare));
+      }
+    }
+  };
+
+  return {
+    addLine(line) {
+      if (line.trim() === '') {
+        if (paragraph.length > 0) countParagraph(paragraph.join('\n'));
+        paragraph = [];
+      } else {
+        paragraph.push(line);
+      }
+    },
+    finish() {
+      if (paragraph.length > 0) countParagraph(paragraph.join('\n'));
+      paragraph = [];
+      return counts;
+    }
+  };
 }
 
 /**
- * Escape special regex characters
+ * Count list patterns over a whole text (see createListPatternCounter)
  */
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function countListPatterns(text, options = {}) {
+  const counter = createListPatternCounter(options);
+  for (const line of text.split('\n')) {
+    counter.addLine(line);
+  }
+  return counter.finish();
 }
 
 module.exports = {
-  filterJunk
+  BUILTIN_RULES,
+  filterJunk,
+  registerFilterRule,
+  resolveFilterRules,
+  createListPatternCounter
 };
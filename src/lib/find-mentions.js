@@ -4,26 +4,63 @@
  * Builds variant lookup from entities and finds all entity mentions in text.
  */
 
-// Common title abbreviations that may appear with or without periods
-const TITLE_ABBREVS = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sr', 'jr', 'st'];
+const { listLanguages, loadLanguagePack } = require('./language');
+
+// Title abbreviations that may appear with or without periods ("Mr.", "Sra.",
+// "Mme."), from every installed language pack so matching needs no language
+const TITLE_ABBREVS = [...new Set(listLanguages().flatMap(code => loadLanguagePack(code).titleAbbreviations))];
+
+// Unicode-aware word boundaries (\b only knows ASCII letters, so it splits "Zoë")
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+const WORD_START = `(?<!${WORD_CHAR})`;
+const WORD_END = `(?!${WORD_CHAR})`;
+
+const TITLE_PERIOD_PATTERN = new RegExp(`${WORD_START}(${TITLE_ABBREVS.join('|')})\\.`, 'giu');
 
 /**
- * Normalize text for matching (lowercase, normalize apostrophes, normalize title periods)
+ * Normalize text for matching (NFC, lowercase, normalize apostrophes, normalize title periods)
  * @param {string} text
  * @returns {string}
  */
 function normalizeForMatch(text) {
-  let normalized = text
+  return text
+    .normalize('NFC')
     .toLowerCase()
-    .replace(/[\u2018\u2019\u02BC']/g, "'"); // Normalize apostrophes
+    .replace(/[\u2018\u2019\u02BC']/g, "'") // Normalize apostrophes
+    .replace(TITLE_PERIOD_PATTERN, '$1'); // "mr." -> "mr", "mrs." -> "mrs"
+}
+
+/**
+ * Normalize text for matching, keeping a map back to the original text
+ * Same result as normalizeForMatch, composed one character (plus its combining
+ * marks) at a time. Normalized character i came from text[offsets[i]..ends[i]]
+ * (title periods are dropped and NFC composes, so lengths differ).
+ * @param {string} text
+ * @returns {Object} { normalized, offsets, ends }
+ */
+function normalizeWithOffsets(text) {
+  const dropped = new Set();
+  for (const match of text.matchAll(TITLE_PERIOD_PATTERN)) {
+    dropped.add(match.index + match[0].length - 1);
+  }
 
-  // Normalize title abbreviations: "mr." -> "mr", "mrs." -> "mrs"
-  for (const title of TITLE_ABBREVS) {
-    const withPeriod = new RegExp(`\\b${title}\\.`, 'gi');
-    normalized = normalized.replace(withPeriod, title);
+  let normalized = '';
+  const offsets = [];
+  const ends = [];
+  for (const cluster of text.matchAll(/\P{M}\p{M}*|\p{M}+/gu)) {
+    const start = cluster.index;
+    if (dropped.has(start)) continue;
+    const end = start + cluster[0].length;
+    const lower = cluster[0].normalize('NFC').toLowerCase().replace(/[\u2018\u2019\u02BC']/g, "'");
+    for (let k = 0; k < lower.length; k++) {
+      normalized += lower[k];
+      offsets.push(start);
+      ends.push(end);
+    }
   }
+  offsets.push(text.length);
 
-  return normalized;
+  return { normalized, offsets, ends };
 }
 
 /**
@@ -86,8 +123,8 @@ function buildMatchPatterns(variantLookup) {
   // Build pattern that matches any variant as a whole word
   // Use word boundaries, but handle possessives
   const pattern = new RegExp(
-    `\\b(${escaped.join('|')})(?:'s|'s)?\\b`,
-    'gi'
+    `${WORD_START}(${escaped.join('|')})(?:'s)?${WORD_END}`,
+    'giu'
   );
 
   return { pattern, variantLookup };
@@ -95,21 +132,22 @@ function buildMatchPatterns(variantLookup) {
 
 /**
  * Find all entity mentions in text
+ * Every occurrence is returned, in text order. start/end are offsets into
+ * text and cover the name as written, including a possessive "'s".
  * @param {string} text - Text to search
  * @param {Map} variantLookup - Map from buildVariantLookup
  * @param {RegExp} pattern - Optional pre-built pattern
- * @returns {Array} Array of { entity, variant }
+ * @returns {Array} Array of { entity, variant, start, end }
  */
 function findMentions(text, variantLookup, pattern = null) {
-  if (!text || text.trim().length === 0) {
+  if (!text || text.trim().length === 0 || variantLookup.size === 0) {
     return [];
   }
 
   // Normalize the text to handle title abbreviations with periods
-  const normalizedText = normalizeForMatch(text);
+  const { normalized: normalizedText, offsets, ends } = normalizeWithOffsets(text);
 
   const mentions = [];
-  const seen = new Set(); // Track entities already found in this text
 
   // Build pattern if not provided
   if (!pattern) {
@@ -119,23 +157,29 @@ function findMentions(text, variantLookup, pattern = null) {
       v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
     );
     pattern = new RegExp(
-      `\\b(${escaped.join('|')})(?:'s|'s)?\\b`,
-      'gi'
+      `${WORD_START}(${escaped.join('|')})(?:'s)?${WORD_END}`,
+      'giu'
     );
   }
 
   let match;
   while ((match = pattern.exec(normalizedText)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
     const matchedText = match[1]; // The captured group (without possessive)
     const normalized = normalizeForMatch(matchedText);
 
     const entry = variantLookup.get(normalized);
-    if (entry && !seen.has(entry.entityId)) {
+    if (entry) {
       mentions.push({
         entity: entry.entityId,
-        variant: entry.variant // Use the canonical variant form
+        variant: entry.variant, // Use the canonical variant form
+        start: offsets[match.index],
+        end: ends[match.index + match[0].length - 1]
       });
-      seen.add(entry.entityId);
     }
   }
 
@@ -146,5 +190,6 @@ module.exports = {
   buildVariantLookup,
   buildMatchPatterns,
   findMentions,
-  normalizeForMatch
+  normalizeForMatch,
+  normalizeWithOffsets
 };
@@ -10,34 +10,43 @@
  *     <- "Potter" (last name)
  *     <- "Harry's" (possessive)
  *     <- "Mr. Potter" (title + last name)
+ *     <- "Ronald" / "Ron" (nickname, see merge-nicknames.js)
+ *
+ * Names are compared by unit (see name-parts.js): "Maxim de Winter" has the
+ * parts "Maxim" and "de Winter", and "Jean-Luc" is one part.
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const configDir = path.join(__dirname, '..', 'config');
-const titlePatterns = JSON.parse(fs.readFileSync(path.join(configDir, 'title-patterns.json'), 'utf8'));
-const titlePrefixes = new Set(titlePatterns.patterns.map(p => p.pattern.toLowerCase()));
+const { generateEntityId } = require('./entity-ids');
+const { splitNameUnits } = require('./name-parts');
+const { resolveConfig, resolvePack } = require('./config');
+const { majorityPronoun, mergeNicknameGroups } = require('./merge-nicknames');
 
 /**
  * Group proper noun mentions into entity candidates
  * @param {Object} extractionResult - Output from extractProperNouns
- * @param {Object} options - Grouping options
+ * @param {Object} options - Grouping options ({ verbose, minMentions, language, config });
+ *   thresholds default to config.thresholds.grouping
  * @returns {Array} Array of entity candidate objects
  */
 function groupVariants(extractionResult, options = {}) {
-  const { verbose = false, minMentions = 5 } = options;
-  const { mentionCounts, firstAppearances, mentions } = extractionResult;
+  const thresholds = resolveConfig(options.config).thresholds.grouping;
+  const { verbose = false, minMentions = thresholds.minMentions } = options;
+  const pack = resolvePack(options);
+  const { mentionCounts, firstAppearances, pronounCounts = {} } = extractionResult;
 
   // Step 1: Categorize all forms
-  const forms = categorizeFormsFromMentions(mentions, mentionCounts);
+  const formStats = extractionResult.formStats || summarizeForms(extractionResult.mentions);
+  const forms = categorizeForms(formStats, mentionCounts, extractionResult.possessiveCounts);
 
   if (verbose) {
     console.log(`[Grouper] Found ${forms.fullNames.length} full names, ${forms.titledNames.length} titled names, ${forms.singleNames.length} single names`);
   }
 
   // Step 2: Build entity groups starting from full names
-  const entityGroups = buildEntityGroups(forms, mentionCounts, firstAppearances, verbose);
+  const builtGroups = buildEntityGroups(forms, mentionCounts, firstAppearances, pronounCounts, pack, thresholds, verbose);
+
+  // Step 2b: Merge nicknames into the names they stand for ("Bill" -> "William")
+  const entityGroups = mergeNicknameGroups(builtGroups, extractionResult, pack, thresholds, verbose);
 
   // Step 3: Filter by minimum mentions
   const filteredGroups = entityGroups.filter(group => {
@@ -52,50 +61,68 @@ function groupVariants(extractionResult, options = {}) {
   return filteredGroups;
 }
 
+/**
+ * Summarize mentions per normalized form (for extraction results without formStats)
+ */
+function summarizeForms(mentions) {
+  const formStats = {};
+  for (const mention of mentions) {
+    if (!formStats[mention.normalized]) {
+      formStats[mention.normalized] = { count: 0, titledCount: 0, titleType: null };
+    }
+    const stats = formStats[mention.normalized];
+    stats.count++;
+    if (mention.hasTitle) {
+      if (stats.titledCount === 0) stats.titleType = mention.titleType;
+      stats.titledCount++;
+    }
+  }
+  return formStats;
+}
+
 /**
  * Categorize forms into full names, titled names, and single names
+ * @param {Object} formStats - Form -> { count, titledCount, titleType }, in first-seen order
+ * @param {Object} mentionCounts - Form -> count
+ * @param {Object} possessiveCounts - Form -> count of possessive mentions
  */
-function categorizeFormsFromMentions(mentions, mentionCounts) {
+function categorizeForms(formStats, mentionCounts, possessiveCounts = {}) {
   const fullNames = new Map();    // "Harry Potter" -> count
   const titledNames = new Map();  // "Professor Dumbledore" -> {title, name, count}
   const singleNames = new Map();  // "Harry" -> count
   const possessives = new Map();  // "Harry's" -> base form
 
-  for (const mention of mentions) {
-    const form = mention.normalized;
+  for (const [form, stats] of Object.entries(formStats)) {
     const words = form.split(/\s+/);
-
-    if (mention.hasTitle && words.length >= 2) {
-      // Title + Name: "Professor Dumbledore", "Mr. Dursley"
-      const title = words[0];
-      const name = words.slice(1).join(' ');
-      const key = form;
-
-      if (!titledNames.has(key)) {
-        titledNames.set(key, { title, name, count: 0, titleType: mention.titleType });
+    const units = splitNameUnits(form);
+
+    if (units.length >= 2) {
+      if (stats.titledCount > 0) {
+        // Title + Name: "Professor Dumbledore", "Mr. Dursley", "Mrs. de Winter"
+        titledNames.set(form, {
+          title: words[0],
+          name: words.slice(1).join(' '),
+          count: stats.titledCount,
+          titleType: stats.titleType
+        });
       }
-      titledNames.get(key).count++;
 
-    } else if (words.length >= 2) {
-      // Full name: "Harry Potter", "Hermione Granger"
-      if (!fullNames.has(form)) {
-        fullNames.set(form, 0);
+      const untitled = stats.count - stats.titledCount;
+      if (untitled > 0) {
+        // Full name: "Harry Potter", "Hermione Granger", "Abraham van Helsing"
+        fullNames.set(form, untitled);
       }
-      fullNames.set(form, fullNames.get(form) + 1);
 
-    } else if (words.length === 1) {
-      // Single name: "Harry", "Dumbledore"
+    } else if (units.length === 1) {
+      // Single name: "Harry", "Dumbledore", "van Helsing"
       const base = form.replace(/'s$/i, '');
-      const isPossessive = mention.isPossessive;
 
-      if (isPossessive) {
+      if (possessiveCounts[form]) {
         possessives.set(form, base);
       }
 
-      if (!singleNames.has(base)) {
-        singleNames.set(base, 0);
-      }
-      singleNames.set(base, singleNames.get(base) + (mentionCounts[form] || 1));
+      // Each mention adds the form's total count (weights frequent names)
+      singleNames.set(base, (singleNames.get(base) || 0) + stats.count * (mentionCounts[form] || 1));
     }
   }
 
@@ -108,44 +135,129 @@ function categorizeFormsFromMentions(mentions, mentionCounts) {
   };
 }
 
+/**
+ * Check if both name parts appear 10x (bothPartsFrequentRatio) more often than the full name
+ */
+function partsBothFrequent(parts, count, forms, mentionCounts, thresholds) {
+  if (parts.length !== 2) return false;
+  const partCount = (part) => {
+    const match = forms.singleNames.find(s => s.form === part);
+    return match ? (mentionCounts[part] || match.count) : 0;
+  };
+  const limit = count * thresholds.bothPartsFrequentRatio;
+  return partCount(parts[0]) > limit && partCount(parts[1]) > limit;
+}
+
+/**
+ * Add the possessive forms of a name ("Harry's"; "Harrys" in German) to its group
+ * @returns {boolean} True if any were added
+ */
+function addPossessiveForms(group, name, mentionCounts, assignedForms, pack) {
+  let added = false;
+  for (const suffix of [...pack.possessive.suffixes, ...pack.possessive.bareSuffixes]) {
+    const possessiveForm = name + suffix;
+    if (mentionCounts[possessiveForm] && !assignedForms.has(possessiveForm)) {
+      group.variants.push({ form: possessiveForm, count: mentionCounts[possessiveForm] });
+      assignedForms.add(possessiveForm);
+      added = true;
+    }
+  }
+  return added;
+}
+
+/**
+ * Pronoun set a gendered title implies ("Mrs" -> she), or null
+ */
+function titlePronoun(title, pack) {
+  const base = title.toLowerCase().replace(/\.$/, '');
+  const pattern = pack.titles.find(t => t.pattern.toLowerCase() === base);
+  return (pattern && pattern.pronouns) || null;
+}
+
+/**
+ * Add a full name's parts (first/last name, possessives, titled forms) to its group
+ */
+function linkNameParts(group, parts, forms, mentionCounts, assignedForms, pronounCounts, pack, thresholds, verbose) {
+  // Find matching single names (first/last name)
+  for (const part of parts) {
+    if (assignedForms.has(part)) continue;
+
+    const singleMatch = forms.singleNames.find(s => s.form === part);
+    if (singleMatch && singleMatch.count >= thresholds.minPartMentions) {
+      const singleCount = mentionCounts[part] || singleMatch.count;
+      group.variants.push({ form: part, count: singleCount });
+      assignedForms.add(part);
+
+      // Also check for possessive
+      addPossessiveForms(group, part, mentionCounts, assignedForms, pack);
+    }
+  }
+
+  // Find titled versions (Mr. Potter -> Potter match, Mrs. de Winter -> de Winter),
+  // unless the title's gender or the pronouns after it disagree with the name's
+  // ("Mrs. de Winter" is not "Maxim de Winter" when Maxim is "he")
+  let nameSet = majorityPronoun(group, pronounCounts);
+  for (const titled of forms.titledNames) {
+    if (assignedForms.has(titled.form)) continue;
+
+    // Check if titled name matches last part of full name
+    const titledParts = splitNameUnits(titled.name);
+    const lastTitledPart = titledParts[titledParts.length - 1];
+
+    if (parts.includes(lastTitledPart)) {
+      const titledSet = titlePronoun(titled.title, pack) || majorityPronoun({ variants: [titled] }, pronounCounts);
+      if (nameSet && titledSet && titledSet !== nameSet) {
+        if (verbose) console.log(`[Grouper] "${titled.form}" (${titledSet}) kept apart from "${group.canonicalName}" (${nameSet})`);
+        continue;
+      }
+      nameSet = nameSet || titledSet;
+
+      group.variants.push({
+        form: titled.form,
+        count: mentionCounts[titled.form] || titled.count,
+        hasTitle: true,
+        titleType: titled.titleType
+      });
+      assignedForms.add(titled.form);
+      group.evidence.titlePatterns = group.evidence.titlePatterns || [];
+      group.evidence.titlePatterns.push(titled.title);
+    }
+  }
+}
+
 /**
  * Build entity groups by linking related forms
  */
-function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
+function buildEntityGroups(forms, mentionCounts, firstAppearances, pronounCounts, pack, thresholds, verbose) {
   const groups = [];
   const assignedForms = new Set(); // Track which forms are already grouped
 
-  // Priority 1: Full names become group anchors (require 3+ occurrences to be valid)
+  // "Harrys" (German possessive) belongs to "Harry", not a group of its own
+  const singleForms = new Set(forms.singleNames.map(s => s.form));
+  const barePossessives = new Set(forms.singleNames
+    .filter(s => pack.possessive.bareSuffixes.some(suffix =>
+      s.form.endsWith(suffix) && singleForms.has(s.form.slice(0, -suffix.length))))
+    .map(s => s.form));
+
+  // Priority 1: Full names become group anchors (minFullNameMentions occurrences, default 3)
   for (const fullName of forms.fullNames) {
     if (assignedForms.has(fullName.form)) continue;
 
     const count = mentionCounts[fullName.form] || fullName.count;
 
     // Skip rare "full names" that are likely extraction errors
-    if (count < 3) continue;
+    if (count < thresholds.minFullNameMentions) continue;
 
-    // Skip 3+ word names (almost always errors like "Harry Potter Ron")
-    const parts = fullName.form.split(/\s+/);
+    // Longer names are handled below, once two-part names are known
+    const parts = splitNameUnits(fullName.form);
     if (parts.length > 2) continue;
 
     // Skip if BOTH parts appear 10x more often than the full name
     // This indicates false extraction (e.g., "Harry Ron" = two separate characters)
     // If only ONE part is frequent, that's normal (short form like "Harry" for "Harry Potter")
-    if (parts.length === 2) {
-      const part1Count = (() => {
-        const match = forms.singleNames.find(s => s.form === parts[0]);
-        return match ? (mentionCounts[parts[0]] || match.count) : 0;
-      })();
-      const part2Count = (() => {
-        const match = forms.singleNames.find(s => s.form === parts[1]);
-        return match ? (mentionCounts[parts[1]] || match.count) : 0;
-      })();
-
-      // Both parts appear 10x more than full name = likely two separate characters
-      if (part1Count > count * 10 && part2Count > count * 10) {
-        if (verbose) console.log(`[Grouper] Skipping "${fullName.form}" (${count}) - both parts frequent: ${parts[0]} (${part1Count}), ${parts[1]} (${part2Count})`);
-        continue;
-      }
+    if (partsBothFrequent(parts, count, forms, mentionCounts, thresholds)) {
+      if (verbose) console.log(`[Grouper] Skipping "${fullName.form}" (${count}) - both parts frequent: ${parts[0]}, ${parts[1]}`);
+      continue;
     }
 
     const group = {
@@ -159,54 +271,76 @@ function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
 
     assignedForms.add(fullName.form);
 
-    // Find matching single names (first/last name)
     // If we passed the "both parts frequent" check above, link all parts
-    for (const part of parts) {
-      if (assignedForms.has(part)) continue;
-
-      const singleMatch = forms.singleNames.find(s => s.form === part);
-      if (singleMatch && singleMatch.count >= 3) {
-        const singleCount = mentionCounts[part] || singleMatch.count;
-        group.variants.push({ form: part, count: singleCount });
-        assignedForms.add(part);
-
-        // Also check for possessive
-        const possessiveForm = part + "'s";
-        if (mentionCounts[possessiveForm]) {
-          group.variants.push({ form: possessiveForm, count: mentionCounts[possessiveForm] });
-          assignedForms.add(possessiveForm);
-        }
-      }
+    linkNameParts(group, parts, forms, mentionCounts, assignedForms, pronounCounts, pack, thresholds, verbose);
+
+    groups.push(group);
+  }
+
+  // Priority 1b: Longer full names ("Albus Percival Wulfric Brian Dumbledore")
+  const twoPartGroups = groups.slice();
+  for (const fullName of forms.fullNames) {
+    if (assignedForms.has(fullName.form)) continue;
+
+    const parts = splitNameUnits(fullName.form);
+    if (parts.length <= 2) continue;
+
+    const count = mentionCounts[fullName.form] || fullName.count;
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+
+    // Same first and last name as a two-part name: a variant of it ("Albus Dumbledore")
+    const shorter = twoPartGroups.find(g => g.evidence.parts[0] === first && g.evidence.parts[1] === last);
+    if (shorter) {
+      shorter.variants.push({ form: fullName.form, count });
+      assignedForms.add(fullName.form);
+      continue;
     }
 
-    // Find titled versions (Mr. Potter -> Potter match)
-    for (const titled of forms.titledNames) {
-      if (assignedForms.has(titled.form)) continue;
+    if (count < thresholds.minFullNameMentions) continue;
 
-      // Check if titled name matches last part of full name
-      const titledParts = titled.name.split(/\s+/);
-      const lastTitledPart = titledParts[titledParts.length - 1];
+    // A known two-part name run into another name ("Harry Potter Ron")
+    const runOn = twoPartGroups.some(g => parts.some((part, i) =>
+      part === g.evidence.parts[0] && parts[i + 1] === g.evidence.parts[1]
+    ));
+    if (runOn || partsBothFrequent([first, last], count, forms, mentionCounts, thresholds)) {
+      if (verbose) console.log(`[Grouper] Skipping "${fullName.form}" (${count}) - run-on or frequent parts`);
+      continue;
+    }
 
-      if (parts.includes(lastTitledPart)) {
-        group.variants.push({
-          form: titled.form,
-          count: mentionCounts[titled.form] || titled.count,
-          hasTitle: true,
-          titleType: titled.titleType
-        });
-        assignedForms.add(titled.form);
-        group.evidence.titlePatterns = group.evidence.titlePatterns || [];
-        group.evidence.titlePatterns.push(titled.title);
+    const group = {
+      canonicalName: fullName.form,
+      variants: [{ form: fullName.form, count }],
+      evidence: {
+        isFullName: true,
+        parts: parts
       }
-    }
+    };
+
+    assignedForms.add(fullName.form);
+
+    // Middle names are rarely used alone; link the first and last name only
+    linkNameParts(group, [first, last], forms, mentionCounts, assignedForms, pronounCounts, pack, thresholds, verbose);
 
     groups.push(group);
   }
 
   // Priority 2: Titled names that weren't matched to full names
-  for (const titled of forms.titledNames) {
+  // (base titles first, so "Herrn Brandt" finds the group of "Herr Brandt")
+  const titleBase = (titled) => pack.titleBases.get(titled.title.toLowerCase().replace(/\.$/, ''));
+  const titledNames = [...forms.titledNames].sort((a, b) => Boolean(titleBase(a)) - Boolean(titleBase(b)));
+  for (const titled of titledNames) {
     if (assignedForms.has(titled.form)) continue;
 
+    // Inflected title joins the group of the base-title form
+    const base = titleBase(titled);
+    const owner = base && groups.find(g => g.variants.some(v => v.form === `${base} ${titled.name}`));
+    if (owner) {
+      owner.variants.push({ form: titled.form, count: mentionCounts[titled.form] || titled.count, hasTitle: true });
+      assignedForms.add(titled.form);
+      continue;
+    }
+
     const group = {
       canonicalName: titled.form, // Will use title form as canonical
       variants: [{ form: titled.form, count: mentionCounts[titled.form] || titled.count, hasTitle: true }],
@@ -231,11 +365,7 @@ function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
         group.canonicalName = namePart;
 
         // Check possessive
-        const possessiveForm = namePart + "'s";
-        if (mentionCounts[possessiveForm]) {
-          group.variants.push({ form: possessiveForm, count: mentionCounts[possessiveForm] });
-          assignedForms.add(possessiveForm);
-        }
+        addPossessiveForms(group, namePart, mentionCounts, assignedForms, pack);
       }
     }
 
@@ -244,8 +374,8 @@ function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
 
   // Priority 3: Remaining single names with high frequency
   for (const single of forms.singleNames) {
-    if (assignedForms.has(single.form)) continue;
-    if (single.count < 3) continue; // Skip very low frequency
+    if (assignedForms.has(single.form) || barePossessives.has(single.form)) continue;
+    if (single.count < thresholds.minSingleNameMentions) continue; // Skip very low frequency
 
     const group = {
       canonicalName: single.form,
@@ -258,10 +388,7 @@ function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
     assignedForms.add(single.form);
 
     // Check for possessive
-    const possessiveForm = single.form + "'s";
-    if (mentionCounts[possessiveForm]) {
-      group.variants.push({ form: possessiveForm, count: mentionCounts[possessiveForm] });
-      assignedForms.add(possessiveForm);
+    if (addPossessiveForms(group, single.form, mentionCounts, assignedForms, pack)) {
       group.evidence.hasPossessive = true;
     }
 
@@ -275,13 +402,13 @@ function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
     for (const variant of group.variants) {
       const appearance = firstAppearances[variant.form];
       if (appearance) {
-        if (!earliest || appearance.chapter < earliest.chapter ||
-            (appearance.chapter === earliest.chapter && appearance.paragraph < earliest.paragraph)) {
+        if (!earliest || appearance.chapterIndex < earliest.chapterIndex ||
+            (appearance.chapterIndex === earliest.chapterIndex && appearance.paragraph < earliest.paragraph)) {
           earliest = appearance;
         }
       }
     }
-    group.firstAppearance = earliest || { chapter: 0, paragraph: 0 };
+    group.firstAppearance = earliest || { chapter: 0, chapterIndex: 0, paragraph: 0 };
 
     // Calculate total mentions
     group.totalMentions = group.variants.reduce((sum, v) => sum + v.count, 0);
@@ -293,16 +420,6 @@ function buildEntityGroups(forms, mentionCounts, firstAppearances, verbose) {
   return groups;
 }
 
-/**
- * Generate entity ID from canonical name
- */
-function generateEntityId(canonicalName) {
-  return canonicalName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_|_$/g, '');
-}
-
 module.exports = {
   groupVariants,
   generateEntityId
@@ -0,0 +1,149 @@
+/**
+ * html-to-blocks.js
+ *
+ * Converts (X)HTML into a flat list of heading and paragraph blocks.
+ * Inline markup (em, span, a, ...) is dropped; block elements start new blocks.
+ * <hr> becomes a scene-break paragraph ("* * *").
+ * Used by the EPUB reader for content documents.
+ */
+
+const { SCENE_BREAK } = require('./chapter-headers');
+
+// Elements whose boundaries end the current paragraph
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'li', 'blockquote', 'section', 'article', 'header', 'footer',
+  'tr', 'td', 'th', 'dd', 'dt', 'pre', 'figcaption', 'body', 'hr'
+]);
+
+// Elements whose content is never text
+const SKIP_TAGS = new Set(['head', 'script', 'style', 'svg', 'math', 'nav']);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'area', 'base', 'wbr', 'source']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', shy: '',
+  eacute: 'é', egrave: 'è', aacute: 'á', agrave: 'à', iacute: 'í', oacute: 'ó',
+  uacute: 'ú', ntilde: 'ñ', ccedil: 'ç', uuml: 'ü', ouml: 'ö', auml: 'ä', szlig: 'ß'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      // Out-of-range references ("&#x110000;") are left as written
+      return code >= 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Read an attribute value from a raw tag string
+ * @param {string} tag - e.g., '<aside epub:type="footnote">'
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+function getAttribute(tag, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\:]/g, '\\$&');
+  const match = tag.match(new RegExp(`\\s${escaped}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  if (!match) return null;
+  return match[2] !== undefined ? match[2] : match[3];
+}
+
+/**
+ * Convert HTML to heading/paragraph blocks
+ * @param {string} html - HTML or XHTML document (or fragment)
+ * @param {Object} options - { shouldSkip(tagName, rawTag) => boolean } to drop extra elements
+ * @returns {Array} Array of { type: 'heading' | 'paragraph', level?, text }
+ */
+function htmlToBlocks(html, options = {}) {
+  const { shouldSkip = () => false } = options;
+
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+
+  const blocks = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:.-]*)([^>]*)>/g;
+
+  let buffer = '';
+  let headingLevel = null;
+  let skipTag = null;
+  let skipDepth = 0;
+  let lastIndex = 0;
+  let match;
+
+  const flush = () => {
+    const text = decodeEntities(buffer).replace(/\s+/g, ' ').trim();
+    if (text) {
+      blocks.push(headingLevel
+        ? { type: 'heading', level: headingLevel, text }
+        : { type: 'paragraph', text });
+    }
+    buffer = '';
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const [rawTag, closing, rawName, rest] = match;
+    const name = rawName.toLowerCase().replace(/^.*:/, '');
+    const selfClosing = rest.trim().endsWith('/') || VOID_TAGS.has(name);
+
+    if (skipTag) {
+      // Inside a skipped element: only track nesting of the same tag
+      if (name === skipTag && !selfClosing) {
+        skipDepth += closing ? -1 : 1;
+        if (skipDepth === 0) skipTag = null;
+      }
+      lastIndex = tagPattern.lastIndex;
+      continue;
+    }
+
+    buffer += source.slice(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+
+    if (!closing && (SKIP_TAGS.has(name) || shouldSkip(name, rawTag))) {
+      if (!selfClosing) {
+        skipTag = name;
+        skipDepth = 1;
+      }
+      continue;
+    }
+
+    const headingMatch = name.match(/^h([1-6])$/);
+    if (headingMatch) {
+      flush();
+      headingLevel = closing ? null : parseInt(headingMatch[1], 10);
+      continue;
+    }
+
+    if (name === 'br') {
+      buffer += ' ';
+    } else if (name === 'hr' && !closing) {
+      flush();
+      blocks.push({ type: 'paragraph', text: SCENE_BREAK });
+    } else if (BLOCK_TAGS.has(name)) {
+      flush();
+    }
+  }
+
+  buffer += skipTag ? '' : source.slice(lastIndex);
+  flush();
+
+  return blocks;
+}
+
+module.exports = {
+  htmlToBlocks,
+  decodeEntities,
+  getAttribute
+};
@@ -0,0 +1,89 @@
+/**
+ * infer-pronouns.js
+ *
+ * Infers how each character is referred to (he, she or they) from:
+ * 1. Gendered titles: mentions as "Mr Dursley", "Aunt Petunia" (the
+ *    "pronouns" of a title in the language pack's title-patterns.json)
+ * 2. Pronouns after lone mentions: "Hartwell nodded. He turned away." (counted
+ *    by the extractor with the language pack's pronouns.json)
+ * A titled mention counts as TITLE_WEIGHT pronouns. Thresholds are the
+ * defaults in src/config/thresholds.json ("pronouns").
+ */
+
+const { splitNameUnits } = require('./name-parts');
+const { resolveConfig, resolvePack } = require('./config');
+
+const PRONOUN_SETS = ['he', 'she', 'they'];
+
+// Evidence weight of one titled mention, in pronouns
+const TITLE_WEIGHT = 3;
+
+/**
+ * Set entity.pronouns on each entity
+ * @param {Array} entities - Person entities (confirmed characters and candidates),
+ *   after co-reference so merged variants count together
+ * @param {Object} extractionResult - Raw extraction result with pronounCounts
+ * @param {Object} options - { verbose, language, config }
+ * @returns {Array} entities, each with pronouns: { set, confidence, evidence };
+ *   set is 'he', 'she', 'they', or null when the evidence is too thin or split
+ */
+function inferPronouns(entities, extractionResult, options = {}) {
+  const { verbose = false } = options;
+  const thresholds = resolveConfig(options.config).thresholds.pronouns;
+  const pack = resolvePack(options);
+  const { pronounCounts = {} } = extractionResult;
+
+  const titlePronouns = new Map(pack.titles
+    .filter(t => PRONOUN_SETS.includes(t.pronouns))
+    .map(t => [t.pattern.toLowerCase(), t.pronouns]));
+
+  for (const entity of entities) {
+    const titles = {};
+    const pronouns = {};
+    for (const v of entity.variants || []) {
+      const first = splitNameUnits(v.form)[0].toLowerCase().replace(/\.$/, '');
+      const titleSet = titlePronouns.get(first);
+      if (titleSet) titles[titleSet] = (titles[titleSet] || 0) + v.count;
+
+      for (const [set, count] of Object.entries(pronounCounts[v.form] || {})) {
+        pronouns[set] = (pronouns[set] || 0) + count;
+      }
+    }
+
+    entity.pronouns = scorePronouns(titles, pronouns, thresholds);
+    if (verbose && entity.pronouns.set) {
+      console.log(`[Pronouns] "${entity.canonicalName}" is ${entity.pronouns.set} (${entity.pronouns.confidence})`);
+    }
+  }
+
+  return entities;
+}
+
+/**
+ * Pick the best-supported pronoun set
+ * Confidence is its share of the evidence, scaled down below fullEvidence.
+ */
+function scorePronouns(titles, pronouns, thresholds) {
+  const votes = PRONOUN_SETS.map(set => ({
+    set,
+    weight: (titles[set] || 0) * TITLE_WEIGHT + (pronouns[set] || 0)
+  }));
+  const total = votes.reduce((sum, v) => sum + v.weight, 0);
+  const best = votes.reduce((a, b) => (b.weight > a.weight ? b : a));
+
+  const confidence = total > 0
+    ? Math.round(best.weight / total * Math.min(1, total / thresholds.fullEvidence) * 100) / 100
+    : 0;
+  const decided = total >= thresholds.minEvidence && confidence >= thresholds.minConfidence;
+
+  return {
+    set: decided ? best.set : null,
+    confidence,
+    evidence: { titles, pronouns }
+  };
+}
+
+module.exports = {
+  PRONOUN_SETS,
+  inferPronouns
+};
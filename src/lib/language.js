@@ -0,0 +1,202 @@
+/**
+ * language.js
+ *
+ * Language packs: everything language-specific the pipeline uses, selected
+ * with --lang (options.language) and shared by every stage. A pack is a
+ * directory in src/config/languages/<code>/:
+ *   stopwords.json      - Capitalized words that are never names
+ *   title-patterns.json - Honorifics ("Professor", "Herr", "Señora")
+ *   speech-verbs.json   - Verbs and pronouns in speech tags
+ *   language.json       - Abbreviations, quotation marks, contractions, elisions,
+ *                         possessive endings, list conjunctions, header keywords
+ *                         and number words ("Kapitel Dreiundzwanzig")
+ *   spatial-prepositions.json - Prepositions, place nouns and name affixes that
+ *                         mark locations ("in the Great Hall", "Privet Drive")
+ *   collectives.json    - Plural endings, family nouns and plural verbs that mark
+ *                         families and organizations ("the Weasleys were")
+ *   objects.json        - Determiners and verbs that mark objects ("wore the
+ *                         Silver Crown") or people ("Elena smiled")
+ *   pronouns.json       - Third-person pronouns by set (he, she, they)
+ *   epithets.json       - Articles, copulas and end words around role descriptions
+ *                         ("Mrs. Pemberton, the innkeeper")
+ *   nicknames.json      - Nicknames of first names ("Bill" for "William") and
+ *                         diminutive endings ("Ginny")
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const languagesDir = path.join(__dirname, '..', 'config', 'languages');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const packs = new Map(); // Code -> loaded pack
+
+/**
+ * Normalize apostrophe variants to the straight apostrophe
+ */
+function normalizeApostrophes(str) {
+  return str.replace(/[‘’ʼ']/g, "'");
+}
+
+/**
+ * Pronoun (lowercase) -> its set ("his" -> "he"); words in several sets are left out
+ */
+function pronounSets(sets) {
+  const map = new Map();
+  const ambiguous = new Set();
+  for (const [set, words] of Object.entries(sets)) {
+    for (const word of words.map(w => w.toLowerCase())) {
+      if (map.has(word) && map.get(word) !== set) ambiguous.add(word);
+      map.set(word, set);
+    }
+  }
+  for (const word of ambiguous) map.delete(word);
+  return map;
+}
+
+/**
+ * Nickname (lowercase) -> formal names (lowercase) it is short for
+ */
+function nicknameMap(names) {
+  const map = new Map();
+  for (const [name, nicknames] of Object.entries(names)) {
+    for (const nickname of nicknames.map(n => n.toLowerCase())) {
+      if (!map.has(nickname)) map.set(nickname, new Set());
+      map.get(nickname).add(name.toLowerCase());
+    }
+  }
+  return map;
+}
+
+/**
+ * Number words (lowercase) with their values; words are tried longest first,
+ * so "Eins" is read as "eins", not "ein" and a stray "s"
+ */
+function numeralTable(numerals) {
+  const words = new Map(Object.entries(numerals.words).map(([w, n]) => [w.normalize('NFC').toLowerCase(), n]));
+  const multipliers = new Map(Object.entries(numerals.multipliers).map(([w, n]) => [w.normalize('NFC').toLowerCase(), n]));
+  const conjunctions = new Set(numerals.conjunctions.map(w => w.normalize('NFC').toLowerCase()));
+  const morphemes = [...words.keys(), ...multipliers.keys(), ...conjunctions].sort((a, b) => b.length - a.length);
+  return { words, multipliers, conjunctions, morphemes };
+}
+
+/**
+ * List installed language codes
+ * @returns {Array<string>}
+ */
+function listLanguages() {
+  return fs.readdirSync(languagesDir)
+    .filter(code => fs.existsSync(path.join(languagesDir, code, 'language.json')))
+    .sort();
+}
+
+/**
+ * Load a language pack (cached)
+ * @param {string} [code] - Language code ("en", "de", "es", "fr"); default English
+ * @returns {Object} Pack with lookup sets built:
+ *   { code, name, stopwords, chapterStartPatterns, titles, titlePrefixes, titleBases,
+ *     speechVerbs, speechVerbWords, speechPronouns, speechAdverbSuffixes, abbreviations, titleAbbreviations,
+ *     sentenceOpeners, quotes, contractions, elisionPattern, possessive,
+ *     particlesStartNames, listConjunctions, headers, numerals, spatial, collectives, objects, pronouns,
+ *     epithets, nicknames }
+ */
+function loadLanguagePack(code = DEFAULT_LANGUAGE) {
+  const key = (code || DEFAULT_LANGUAGE).toLowerCase();
+  if (packs.has(key)) return packs.get(key);
+
+  const dir = path.join(languagesDir, key);
+  if (!/^[a-z][a-z_-]*$/.test(key) || !fs.existsSync(path.join(dir, 'language.json'))) {
+    throw new Error(`Unknown language "${code}" (available: ${listLanguages().join(', ')})`);
+  }
+  const read = (file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+  const settings = read('language.json');
+  const stopwords = read('stopwords.json');
+  const titles = read('title-patterns.json');
+  const speech = read('speech-verbs.json');
+  const spatial = read('spatial-prepositions.json');
+  const collectives = read('collectives.json');
+  const objects = read('objects.json');
+  const pronouns = read('pronouns.json');
+  const epithets = read('epithets.json');
+  const nicknames = read('nicknames.json');
+  const lower = (words) => new Set(words.map(w => w.toLowerCase()));
+  const spatialArticles = lower(spatial.articles);
+
+  const pack = {
+    code: key,
+    name: settings.name,
+    stopwords: new Set(stopwords.words.map(w => normalizeApostrophes(w).toLowerCase())),
+    chapterStartPatterns: new Set(stopwords.chapterStartPatterns.map(p => p.toLowerCase())),
+    titles: titles.patterns,
+    titlePrefixes: new Set(titles.patterns.map(p => p.pattern.toLowerCase())),
+    // Inflected title (lowercase) -> its base form: German "herrn" -> "Herr"
+    titleBases: new Map(titles.patterns.filter(p => p.inflectionOf).map(p => [p.pattern.toLowerCase(), p.inflectionOf])),
+    speechVerbs: speech.verbs,
+    speechVerbWords: lower(speech.verbs.filter(verb => !verb.includes(' '))),
+    speechPronouns: speech.pronouns,
+    speechAdverbSuffixes: speech.adverbSuffixes,
+    abbreviations: new Set(settings.abbreviations),
+    titleAbbreviations: settings.titleAbbreviations,
+    sentenceOpeners: settings.sentenceOpeners,
+    quotes: settings.quotes,
+    contractions: settings.contractions,
+    // Elided word (and any opening punctuation) before a name: French «qu'Harry -> Harry
+    elisionPattern: settings.elisions.length > 0
+      ? new RegExp(`^[^\\p{L}]*(?:${settings.elisions.join('|')})['’](?=\\p{Lu})`, 'iu')
+      : null,
+    possessive: settings.possessive,
+    particlesStartNames: settings.particlesStartNames,
+    listConjunctions: settings.listConjunctions,
+    headers: settings.headers,
+    numerals: numeralTable(settings.numerals),
+    spatial: {
+      prepositions: lower(spatial.prepositions),
+      articles: spatialArticles,
+      placeNouns: lower(spatial.placeNouns),
+      placeNounLinks: lower(spatial.placeNounLinks),
+      locationPrefixes: lower(spatial.locationPrefixes),
+      // Capitalized suffixes are whole words ("Privet Drive"); lowercase ones
+      // also end a compound ("Hauptstraße")
+      locationSuffixes: spatial.locationSuffixes,
+      // Without a leading article: "the Great Hall" -> "great hall"
+      locationIndicators: new Set(spatial.locationIndicators.map(name =>
+        name.split(/\s+/).filter((w, i) => i > 0 || !spatialArticles.has(w.toLowerCase())).join(' ').toLowerCase()
+      ))
+    },
+    collectives: {
+      pluralSuffixes: collectives.pluralSuffixes,
+      familyNouns: lower(collectives.familyNouns),
+      familyNounPosition: collectives.familyNounPosition, // "the Potter family" (after), "die Familie Müller" (before)
+      familyName: collectives.familyName, // "{surname} family"
+      pluralVerbs: lower(collectives.pluralVerbs)
+    },
+    objects: {
+      determiners: lower(objects.determiners),
+      objectVerbs: lower(objects.objectVerbs),
+      agentVerbs: lower(objects.agentVerbs)
+    },
+    pronouns: pronounSets(pronouns.sets),
+    epithets: {
+      articles: lower(epithets.articles),
+      copulas: lower(epithets.copulas),
+      endWords: lower(epithets.endWords),
+      excluded: lower(epithets.excluded),
+      capitalizedNouns: epithets.capitalizedNouns
+    },
+    nicknames: {
+      names: nicknameMap(nicknames.names),
+      diminutiveEndings: nicknames.diminutiveEndings.map(e => e.toLowerCase())
+    }
+  };
+
+  packs.set(key, pack);
+  return pack;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  listLanguages,
+  loadLanguagePack
+};
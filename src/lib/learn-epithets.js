@@ -0,0 +1,64 @@
+/**
+ * learn-epithets.js
+ *
+ * Learns the role descriptions a book uses for its entities ("the innkeeper",
+ * "the old scholar") from the extractor's epithetCounts: descriptions in
+ * apposition ("Mrs. Pemberton, the innkeeper, ...") or after a copula
+ * ("Hartwell was the old scholar who ..."). An epithet given to several
+ * entities goes to the one with at least minShare of its uses, or to none.
+ * Thresholds are the defaults in src/config/thresholds.json ("epithets").
+ */
+
+const { resolveConfig } = require('./config');
+
+/**
+ * Set entity.epithets on each entity
+ * @param {Array} entities - Entities of every type, after co-reference so
+ *   merged variants count together
+ * @param {Object} extractionResult - Raw extraction result with epithetCounts
+ * @param {Object} options - { verbose, config }
+ * @returns {Array} entities, each with epithets: [{ form, count, confidence }]
+ *   (most used first)
+ */
+function learnEpithets(entities, extractionResult, options = {}) {
+  const { verbose = false } = options;
+  const thresholds = resolveConfig(options.config).thresholds.epithets;
+  const { epithetCounts = {} } = extractionResult;
+
+  // Epithet -> Map(entity -> uses)
+  const claims = new Map();
+  for (const entity of entities) {
+    entity.epithets = [];
+    for (const v of entity.variants || []) {
+      for (const [epithet, count] of Object.entries(epithetCounts[v.form] || {})) {
+        if (!claims.has(epithet)) claims.set(epithet, new Map());
+        const uses = claims.get(epithet);
+        uses.set(entity, (uses.get(entity) || 0) + count);
+      }
+    }
+  }
+
+  for (const [epithet, uses] of claims) {
+    const total = [...uses.values()].reduce((sum, n) => sum + n, 0);
+    const [entity, count] = [...uses].reduce((a, b) => (b[1] > a[1] ? b : a));
+    const share = count / total;
+    if (count < thresholds.minEvidence || share < thresholds.minShare) {
+      if (verbose) console.log(`[Epithets] "${epithet}" is ambiguous or too rare, skipped`);
+      continue;
+    }
+
+    const confidence = Math.round(share * Math.min(1, count / thresholds.fullEvidence) * 100) / 100;
+    entity.epithets.push({ form: epithet, count, confidence });
+    if (verbose) console.log(`[Epithets] "${entity.canonicalName}" is "${epithet}" (${confidence})`);
+  }
+
+  for (const entity of entities) {
+    entity.epithets.sort((a, b) => b.count - a.count);
+  }
+
+  return entities;
+}
+
+module.exports = {
+  learnEpithets
+};
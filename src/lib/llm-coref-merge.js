@@ -10,6 +10,7 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
+const { DEFAULT_LANGUAGE, loadLanguagePack } = require('./language');
 
 /**
  * Default LLM provider using Anthropic SDK directly.
@@ -39,11 +40,11 @@ async function defaultAnthropicProvider({ system, messages, max_tokens, temperat
 /**
  * Call LLM to identify which entity names refer to the same character
  * @param {Array} entityNames - Array of { name, mentions } objects
- * @param {Object} options - Options including verbose flag and llmProvider
+ * @param {Object} options - Options including verbose flag, llmProvider and language
  * @returns {Object} { merges: [[name1, name2], ...], tokens: { input, output } }
  */
 async function llmCorefMerge(entityNames, options = {}) {
-  const { verbose = false, llmProvider = defaultAnthropicProvider } = options;
+  const { verbose = false, llmProvider = defaultAnthropicProvider, language = DEFAULT_LANGUAGE } = options;
 
   if (entityNames.length === 0) {
     return { merges: [], tokens: { input: 0, output: 0 } };
@@ -55,11 +56,17 @@ async function llmCorefMerge(entityNames, options = {}) {
     .map(e => `${e.name} (${e.mentions})`)
     .join('\n');
 
+  // The rules' examples are English; name the book's language and its honorifics
+  const pack = loadLanguagePack(language);
+  const languageNote = language === DEFAULT_LANGUAGE ? '' : `
+The book is in ${pack.name}. Honorifics such as ${pack.titles.slice(0, 4).map(t => `"${t.pattern}"`).join(', ')} are title variations.
+`;
+
   const systemPrompt = `You are a strict entity resolution assistant for fiction text. You identify when multiple names refer to THE EXACT SAME individual person. Be conservative - only merge when certain.`;
 
   const userPrompt = `Identify which names refer to THE SAME INDIVIDUAL person.
 Return only merge groups. Skip names that are unique or uncertain.
-
+${languageNote}
 Names:
 ${namesList}
 
@@ -200,6 +207,11 @@ function applyMerges(entities, merges, options = {}) {
       primary.mergedFrom = primary.mergedFrom || [];
       primary.mergedFrom.push(other.canonicalName);
 
+      // Keep nickname merges made before co-reference
+      if (other.aliases) {
+        primary.aliases = [...(primary.aliases || []), ...other.aliases];
+      }
+
       // Remove merged entity from map
       entityMap.delete(other.canonicalName);
     }
@@ -295,6 +307,7 @@ async function runCorefResolution(confirmedCharacters, candidates, options = {})
       });
 
     if (wasConfirmed) {
+      entity.type = 'character'; // A candidate primary merged with a confirmed character
       mergedConfirmed.push(entity);
     } else {
       mergedCandidates.push(entity);
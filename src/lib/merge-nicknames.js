@@ -0,0 +1,204 @@
+/**
+ * merge-nicknames.js
+ *
+ * Merges groups whose first names are a name and its nickname ("Bill" and
+ * "William", "Ron" and "Ronald", "Ginny" and "Ginevra"), without the LLM.
+ * A nickname is found three ways:
+ * 1. dictionary: listed in the language pack (nicknames.json)
+ * 2. prefix: the start of the name, minNicknameStem letters or more ("Nev")
+ * 3. diminutive: a diminutive ending on the start of the name ("Ginny" is
+ *    "Gin" + "ny"; "Juanito" is "Juan" + "ito")
+ * Then the two must be able to be one person: never named together in more
+ * than maxNicknameSharedSentences sentences, followed by the same pronouns,
+ * and with the same surname when both have one. A nickname that fits two
+ * names is ambiguous and merges with neither.
+ */
+
+/**
+ * Merge nickname groups into the group of the name they stand for
+ * The group with a full name (else more mentions) keeps its canonical name and
+ * records each merge in evidence.aliases.
+ * @param {Array} groups - Groups from buildEntityGroups (with totalMentions)
+ * @param {Object} extractionResult - Raw extraction result with
+ *   cooccurrenceCounts and pronounCounts
+ * @param {Object} pack - Language pack
+ * @param {Object} thresholds - Grouping thresholds
+ * @param {boolean} [verbose]
+ * @returns {Array} The groups left, merged ones removed
+ */
+function mergeNicknameGroups(groups, extractionResult, pack, thresholds, verbose = false) {
+  const { cooccurrenceCounts = {}, pronounCounts = {} } = extractionResult;
+
+  // Nickname group -> [{ group, link }] of the groups it could stand for
+  const proposals = new Map();
+  for (const a of groups) {
+    for (const b of groups) {
+      if (a === b) continue;
+      const link = findNickname(firstName(a), firstName(b), pack, thresholds.minNicknameStem);
+      if (!link || !surnamesAgree(a, b)) continue;
+
+      const shared = sharedSentences(a, b, cooccurrenceCounts);
+      if (shared > thresholds.maxNicknameSharedSentences) {
+        if (verbose) console.log(`[Grouper] "${a.canonicalName}" and "${b.canonicalName}" share ${shared} sentences, not merged`);
+        continue;
+      }
+      if (!pronounsAgree(a, b, pronounCounts)) {
+        if (verbose) console.log(`[Grouper] "${a.canonicalName}" and "${b.canonicalName}" take different pronouns, not merged`);
+        continue;
+      }
+
+      if (!proposals.has(a)) proposals.set(a, []);
+      proposals.get(a).push({ group: b, link: { ...link, sharedSentences: shared } });
+    }
+  }
+
+  // Unambiguous nicknames first, so "Ronnie" (for "Ron" or "Ronald") sees one
+  // group once "Ron" has joined "Ronald"
+  const owner = new Map(); // Merged group -> group it joined
+  const resolve = (group) => (owner.has(group) ? resolve(owner.get(group)) : group);
+  const ordered = [...proposals].sort((x, y) => x[1].length - y[1].length);
+
+  for (const [nickname, targets] of ordered) {
+    const named = [...new Set(targets.map(t => resolve(t.group)))].filter(g => g !== resolve(nickname));
+    if (named.length !== 1) {
+      if (verbose && named.length > 1) console.log(`[Grouper] "${nickname.canonicalName}" could be ${named.map(g => `"${g.canonicalName}"`).join(' or ')}, not merged`);
+      continue;
+    }
+    const { link } = targets.find(t => resolve(t.group) === named[0]);
+
+    const [anchor, other] = rankAnchor(named[0], resolve(nickname));
+    anchor.variants.push(...other.variants);
+    anchor.totalMentions += other.totalMentions;
+    anchor.evidence.aliases = [...(anchor.evidence.aliases || []), ...(other.evidence.aliases || []), {
+      nickname: link.nickname,
+      name: link.name,
+      via: link.via,
+      sharedSentences: link.sharedSentences
+    }];
+    const a = anchor.firstAppearance;
+    const b = other.firstAppearance;
+    if (b.chapterIndex < a.chapterIndex || (b.chapterIndex === a.chapterIndex && b.paragraph < a.paragraph)) {
+      anchor.firstAppearance = b;
+    }
+    owner.set(other, anchor);
+
+    if (verbose) console.log(`[Grouper] Merged "${other.canonicalName}" into "${anchor.canonicalName}" (${link.nickname} -> ${link.name}, ${link.via})`);
+  }
+
+  return groups.filter(g => !owner.has(g))
+    .sort((x, y) => y.totalMentions - x.totalMentions);
+}
+
+/**
+ * Whether one first name is a nickname of the other
+ * @param {string|null} a - Candidate nickname
+ * @param {string|null} b - Candidate full name
+ * @param {Object} pack - Language pack
+ * @param {number} minStem - Shortest prefix or diminutive stem that counts
+ * @returns {Object|null} { nickname, name, via: 'dictionary' | 'prefix' | 'diminutive' }
+ */
+function findNickname(a, b, pack, minStem) {
+  if (!a || !b) return null;
+  const nickname = a.normalize('NFC').toLowerCase();
+  const name = b.normalize('NFC').toLowerCase();
+  if (nickname === name) return null;
+
+  if ((pack.nicknames.names.get(nickname) || new Set()).has(name)) {
+    return { nickname: a, name: b, via: 'dictionary' };
+  }
+
+  // A listed nickname ("Harry" for "Henry") is not guessed to be short for another name ("Harriet")
+  if (pack.nicknames.names.has(nickname)) return null;
+
+  // "Weasley" is not short for "Weasleys"
+  if (pack.collectives.pluralSuffixes.some(suffix => name === nickname + suffix)) return null;
+
+  if (nickname.length >= minStem && name.length > nickname.length && name.startsWith(nickname)) {
+    return { nickname: a, name: b, via: 'prefix' };
+  }
+
+  for (const ending of pack.nicknames.diminutiveEndings) {
+    if (!nickname.endsWith(ending) || nickname.length <= ending.length) continue;
+    const stem = nickname.slice(0, -ending.length);
+    // "Ginn" + "y" is "Gin" doubled; "Anita" is "Ana" less its final vowel
+    const stems = /(.)\1$/u.test(stem) ? [stem, stem.slice(0, -1)] : [stem];
+    const fits = stems.some(s => name.startsWith(s) && (s.length >= minStem || s === name.slice(0, -1)));
+    if (fits) return { nickname: a, name: b, via: 'diminutive' };
+  }
+
+  return null;
+}
+
+/**
+ * First name of a group, or null for titled names ("Mr. Potter" has none)
+ */
+function firstName(group) {
+  if (group.evidence.isFullName) return group.evidence.parts[0];
+  if (group.evidence.isSingleName) return group.canonicalName;
+  return null;
+}
+
+/**
+ * Two full names must share a surname ("Bill Weasley" is not "William Jones")
+ */
+function surnamesAgree(a, b) {
+  if (!a.evidence.isFullName || !b.evidence.isFullName) return true;
+  const lastA = a.evidence.parts[a.evidence.parts.length - 1];
+  const lastB = b.evidence.parts[b.evidence.parts.length - 1];
+  return lastA === lastB;
+}
+
+/**
+ * Sentences naming a form of each group
+ */
+function sharedSentences(a, b, cooccurrenceCounts) {
+  let shared = 0;
+  for (const va of a.variants) {
+    for (const vb of b.variants) {
+      const key = [va.form, vb.form].sort().join('|');
+      shared += cooccurrenceCounts[key] || 0;
+    }
+  }
+  return shared;
+}
+
+/**
+ * Groups whose pronouns are both known must take the same set ("Harry" he,
+ * "Harriet" she)
+ */
+function pronounsAgree(a, b, pronounCounts) {
+  const setA = majorityPronoun(a, pronounCounts);
+  const setB = majorityPronoun(b, pronounCounts);
+  return !setA || !setB || setA === setB;
+}
+
+/**
+ * Pronoun set following more than half of a group's lone mentions, or null
+ */
+function majorityPronoun(group, pronounCounts) {
+  const totals = {};
+  for (const v of group.variants) {
+    for (const [set, count] of Object.entries(pronounCounts[v.form] || {})) {
+      totals[set] = (totals[set] || 0) + count;
+    }
+  }
+  const sum = Object.values(totals).reduce((s, n) => s + n, 0);
+  const top = Object.entries(totals).find(([, n]) => n > sum / 2);
+  return top ? top[0] : null;
+}
+
+/**
+ * [anchor, merged]: a full name anchors, else the group with more mentions
+ */
+function rankAnchor(x, y) {
+  if (Boolean(x.evidence.isFullName) !== Boolean(y.evidence.isFullName)) {
+    return x.evidence.isFullName ? [x, y] : [y, x];
+  }
+  return y.totalMentions > x.totalMentions ? [y, x] : [x, y];
+}
+
+module.exports = {
+  findNickname,
+  majorityPronoun,
+  mergeNicknameGroups
+};
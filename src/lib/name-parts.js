@@ -0,0 +1,70 @@
+/**
+ * name-parts.js
+ *
+ * Splits personal names into name units, the parts a character is called by:
+ *   "Jean-Luc Picard"          -> ["Jean-Luc", "Picard"]
+ *   "Abraham van Helsing"      -> ["Abraham", "van Helsing"]
+ *   "Maxim de Winter"          -> ["Maxim", "de Winter"]
+ * Lowercase particles belong to the unit after them; hyphenated and
+ * apostrophe names (Jean-Luc, O'Brien, d'Artagnan) are single units.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const configDir = path.join(__dirname, '..', 'config');
+const nameConfig = JSON.parse(fs.readFileSync(path.join(configDir, 'name-particles.json'), 'utf8'));
+const particles = new Set(nameConfig.particles);
+
+// "d'Artagnan", "l'Estrange", "al-Rashid": lowercase prefix, then a capitalized name
+const ELIDED_PREFIX_PATTERN = new RegExp(`^(?:${nameConfig.elidedPrefixes.join('|')})['\\u2019-]\\p{Lu}`, 'u');
+
+/**
+ * Maximum capitalized words in one name ("Albus Percival Wulfric Brian Dumbledore")
+ */
+const MAX_NAME_WORDS = nameConfig.maxNameWords;
+
+/**
+ * Check if a word is a lowercase name particle ("van", "de")
+ */
+function isParticle(word) {
+  return particles.has(word);
+}
+
+/**
+ * Check if a word starts with an elided lowercase prefix ("d'Artagnan")
+ */
+function hasElidedPrefix(word) {
+  return ELIDED_PREFIX_PATTERN.test(word);
+}
+
+/**
+ * Split a name into units, attaching particles to the following word
+ * @param {string} name - Name form ("Abraham van Helsing")
+ * @returns {Array<string>} Units (["Abraham", "van Helsing"])
+ */
+function splitNameUnits(name) {
+  const units = [];
+  let pending = [];
+
+  for (const word of name.split(/\s+/).filter(Boolean)) {
+    if (isParticle(word)) {
+      pending.push(word);
+      continue;
+    }
+    units.push([...pending, word].join(' '));
+    pending = [];
+  }
+
+  // Trailing particles have no name to join; keep them as written
+  if (pending.length > 0) units.push(pending.join(' '));
+
+  return units;
+}
+
+module.exports = {
+  MAX_NAME_WORDS,
+  isParticle,
+  hasElidedPrefix,
+  splitNameUnits
+};
@@ -2,16 +2,11 @@
  * parse-chapters.js
  *
  * Parses markdown text into chapters with number, title, and text content.
- * Handles YAML frontmatter and chapter header format: ## CHAPTER ONE: TITLE
+ * Handles YAML frontmatter; header and scene-break recognition live in
+ * chapter-headers.js.
  */
 
-// Map word numbers to digits
-const WORD_TO_NUM = {
-  'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
-  'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
-  'eleven': 11, 'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15,
-  'sixteen': 16, 'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20
-};
+const { createChapterTracker, parseNumeral, isSceneBreak } = require('./chapter-headers');
 
 /**
  * Parse chapter number from header text
@@ -19,87 +14,202 @@ const WORD_TO_NUM = {
  * @returns {number} Chapter number
  */
 function parseChapterNumber(headerText) {
-  // Try numeric: "CHAPTER 1"
-  const numMatch = headerText.match(/chapter\s+(\d+)/i);
-  if (numMatch) {
-    return parseInt(numMatch[1], 10);
-  }
+  const match = headerText.match(/chapter\s+(.+)$/i);
+  return (match && parseNumeral(match[1])) || 0;
+}
 
-  // Try word: "CHAPTER ONE"
-  const wordMatch = headerText.match(/chapter\s+(\w+)/i);
-  if (wordMatch) {
-    const word = wordMatch[1].toLowerCase();
-    if (WORD_TO_NUM[word]) {
-      return WORD_TO_NUM[word];
-    }
+/**
+ * Parse markdown text into chapters
+ * @param {string} markdown - Full markdown text with YAML frontmatter
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {Array} Array of { number, index, kind, title, part, text, offset }
+ *   where offset is the character offset of text within markdown
+ */
+function parseChapters(markdown, options = {}) {
+  const assembler = createChapterAssembler(options);
+  const chapters = [];
+
+  for (const line of markdown.split('\n')) {
+    const chapter = assembler.addLine(line);
+    if (chapter) chapters.push(chapter);
   }
+  chapters.push(...assembler.finish());
 
-  return 0;
+  return chapters;
 }
 
 /**
- * Parse markdown text into chapters
- * @param {string} markdown - Full markdown text with YAML frontmatter
- * @returns {Array} Array of { number, title, text }
+ * Parse chapters from a stream of lines, yielding each chapter once it ends
+ * Only one chapter's text is held at a time.
+ * @param {AsyncIterable<string>|Iterable<string>} lines - Markdown lines (see readInputLines)
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {AsyncGenerator<Object>} Chapters, as returned by parseChapters
  */
-function parseChapters(markdown) {
-  // Remove YAML frontmatter
-  let text = markdown;
-  const frontmatterMatch = markdown.match(/^---\n[\s\S]*?\n---\n/);
-  if (frontmatterMatch) {
-    text = markdown.slice(frontmatterMatch[0].length);
+async function* streamChapters(lines, options = {}) {
+  const assembler = createChapterAssembler(options);
+
+  for await (const line of lines) {
+    const chapter = assembler.addLine(line);
+    if (chapter) yield chapter;
   }
+  yield* assembler.finish();
+}
 
-  // Split by chapter headers: ## CHAPTER ...
-  const chapterRegex = /^## CHAPTER\s+(\w+)(?::\s*|\s+)(.+)$/gm;
-  const chapters = [];
-  let lastIndex = 0;
-  let lastChapter = null;
-  let match;
-
-  while ((match = chapterRegex.exec(text)) !== null) {
-    // Save previous chapter's text
-    if (lastChapter !== null) {
-      lastChapter.text = text.slice(lastIndex, match.index).trim();
-      chapters.push(lastChapter);
+/**
+ * Incremental chapter parser shared by parseChapters and streamChapters
+ * A leading `---` line opens YAML frontmatter, which ends at the next `---` line.
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {Object} { addLine(line) => chapter|null, finish() => Array<chapter> }
+ */
+function createChapterAssembler(options = {}) {
+  const tracker = createChapterTracker(options);
+  let position = 0;
+  let currentChapter = null;
+  let bodyLines = [];
+  let bodyStart = 0;
+
+  // Frontmatter lines are held until it closes; unclosed "frontmatter" is replayed as text
+  let frontmatter = null;
+  let isFirstLine = true;
+
+  const closeChapter = () => {
+    const chapter = currentChapter;
+    if (chapter !== null) {
+      const body = bodyLines.join('\n');
+      chapter.text = body.trim();
+      chapter.offset = bodyStart + (body.length - body.trimStart().length);
     }
+    currentChapter = null;
+    bodyLines = [];
+    return chapter;
+  };
 
-    // Parse new chapter
-    const chapterWord = match[1];
-    const title = match[2].trim();
-    const number = parseChapterNumber(`CHAPTER ${chapterWord}`);
-
-    lastChapter = {
-      number,
-      title,
-      text: ''
-    };
-    lastIndex = match.index + match[0].length;
-  }
+  const processLine = (line) => {
+    position += line.length + 1;
 
-  // Don't forget the last chapter
-  if (lastChapter !== null) {
-    lastChapter.text = text.slice(lastIndex).trim();
-    chapters.push(lastChapter);
-  }
+    const header = tracker.next(line);
 
-  return chapters;
+    if (header) {
+      // Part headers close the current chapter without opening a new one
+      const closed = closeChapter();
+      if (header.level === 'chapter') {
+        currentChapter = { ...header.chapter, text: '' };
+        bodyStart = position;
+      }
+      return closed;
+    }
+
+    if (currentChapter !== null) {
+      bodyLines.push(line);
+    }
+    return null;
+  };
+
+  return {
+    addLine(line) {
+      if (isFirstLine) {
+        isFirstLine = false;
+        if (line === '---') {
+          frontmatter = [line];
+          return null;
+        }
+      }
+
+      if (frontmatter) {
+        frontmatter.push(line);
+        if (line === '---') {
+          for (const held of frontmatter) position += held.length + 1;
+          frontmatter = null;
+        }
+        return null;
+      }
+
+      return processLine(line);
+    },
+
+    finish() {
+      const chapters = [];
+      if (frontmatter) {
+        const held = frontmatter;
+        frontmatter = null;
+        for (const line of held) {
+          const chapter = processLine(line);
+          if (chapter) chapters.push(chapter);
+        }
+      }
+
+      // Don't forget the last chapter
+      const last = closeChapter();
+      if (last) chapters.push(last);
+      return chapters;
+    }
+  };
 }
 
 /**
  * Split chapter text into paragraphs
  * @param {string} text - Chapter text
- * @returns {Array<string>} Array of paragraphs (non-empty)
+ * @returns {Array<string>} Array of paragraphs (non-empty, scene breaks dropped)
  */
 function splitParagraphs(text) {
-  return text
-    .split(/\n\s*\n/)
-    .map(p => p.replace(/\n/g, ' ').trim())
-    .filter(p => p.length > 0);
+  return locateParagraphs(text).map(p => p.text);
+}
+
+/**
+ * Split chapter text into paragraphs, keeping where each one starts
+ * Line breaks inside a paragraph become spaces, so offsets still line up.
+ * Scene-break lines (see isSceneBreak) end the paragraph and are not returned;
+ * scene counts the breaks seen so far in the chapter (breaks before any text,
+ * or doubled breaks, do not open empty scenes).
+ * @param {string} text - Chapter text
+ * @returns {Array} Array of { text, start, scene } (start is an offset into text)
+ */
+function locateParagraphs(text) {
+  const paragraphs = [];
+  let scene = 0;
+  let sceneHasText = false;
+  let start = null; // Offset of the first line of the open paragraph
+  let end = 0;
+
+  const addParagraph = () => {
+    if (start === null) return;
+    const raw = text.slice(start, end).replace(/\n/g, ' ');
+    const trimmed = raw.trim();
+    if (trimmed.length > 0) {
+      paragraphs.push({ text: trimmed, start: start + (raw.length - raw.trimStart().length), scene });
+      sceneHasText = true;
+    }
+    start = null;
+  };
+
+  let lineStart = 0;
+  for (const line of text.split('\n')) {
+    const lineEnd = lineStart + line.length;
+
+    if (line.trim() === '') {
+      addParagraph();
+    } else if (isSceneBreak(line)) {
+      addParagraph();
+      if (sceneHasText) {
+        scene++;
+        sceneHasText = false;
+      }
+    } else {
+      if (start === null) start = lineStart;
+      end = lineEnd;
+    }
+
+    lineStart = lineEnd + 1;
+  }
+  addParagraph();
+
+  return paragraphs;
 }
 
 module.exports = {
   parseChapters,
+  streamChapters,
   splitParagraphs,
+  locateParagraphs,
   parseChapterNumber
 };
@@ -0,0 +1,154 @@
+/**
+ * read-docx.js
+ *
+ * Reads Word (.docx) manuscripts and converts them to pipeline markdown.
+ * Paragraphs styled as headings (Heading 1-6, or any style with an outline
+ * level) become chapter candidates; body paragraphs become paragraphs.
+ *
+ * Only the main document part is read, so footnotes, endnotes and comments
+ * (stored in separate parts) never reach the pipeline. Tracked deletions,
+ * field codes and text boxes are dropped as well.
+ */
+
+const fs = require('fs');
+const { readZip } = require('./unzip');
+const { decodeEntities, getAttribute } = require('./html-to-blocks');
+const { chaptersToMarkdown, blocksToChapters } = require('./chapters-to-markdown');
+
+/**
+ * Read paragraph styles: style ID -> heading level (or 'title')
+ * @param {string|null} stylesXml - word/styles.xml
+ * @returns {Map}
+ */
+function parseHeadingStyles(stylesXml) {
+  const levels = new Map();
+  if (!stylesXml) return levels;
+
+  const stylePattern = /<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g;
+  let match;
+  while ((match = stylePattern.exec(stylesXml)) !== null) {
+    const styleId = getAttribute(`<w:style ${match[1]}>`, 'w:styleId');
+    const nameTag = match[2].match(/<w:name\b[^>]*>/);
+    const name = nameTag ? (getAttribute(nameTag[0], 'w:val') || '') : '';
+    const outlineTag = match[2].match(/<w:outlineLvl\b[^>]*>/);
+
+    if (/^title$/i.test(name)) {
+      levels.set(styleId, 'title');
+    } else if (/^heading\s*([1-6])$/i.test(name)) {
+      levels.set(styleId, parseInt(name.match(/([1-6])$/)[1], 10));
+    } else if (outlineTag) {
+      const outline = parseInt(getAttribute(outlineTag[0], 'w:val'), 10);
+      if (outline >= 0 && outline < 6) levels.set(styleId, outline + 1);
+    }
+  }
+
+  return levels;
+}
+
+/**
+ * Extract the visible text of one paragraph
+ */
+function paragraphText(paragraphXml) {
+  const pieces = [];
+  const runPattern = /<w:t\b[^>]*>([\s\S]*?)<\/w:t>|<w:(tab|br|cr|noBreakHyphen)\b[^>]*\/>/g;
+  let match;
+  while ((match = runPattern.exec(paragraphXml)) !== null) {
+    if (match[1] !== undefined) {
+      pieces.push(decodeEntities(match[1]));
+    } else {
+      pieces.push(match[2] === 'noBreakHyphen' ? '-' : ' ');
+    }
+  }
+  return pieces.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert word/document.xml to heading/paragraph blocks
+ * @returns {Object} { blocks, title } where title comes from a Title-styled paragraph
+ */
+function documentToBlocks(documentXml, headingStyles) {
+  const body = documentXml
+    // Deleted revisions, text boxes, and compatibility fallbacks (duplicate content)
+    .replace(/<w:del\b[^>]*>[\s\S]*?<\/w:del>/g, '')
+    .replace(/<w:txbxContent\b[^>]*>[\s\S]*?<\/w:txbxContent>/g, '')
+    .replace(/<mc:Fallback\b[^>]*>[\s\S]*?<\/mc:Fallback>/g, '')
+    .replace(/<w:p\b[^>]*\/>/g, '');
+
+  const blocks = [];
+  let title = null;
+  const paragraphPattern = /<w:p\b[^>]*>([\s\S]*?)<\/w:p>/g;
+  let match;
+
+  while ((match = paragraphPattern.exec(body)) !== null) {
+    const text = paragraphText(match[1]);
+    if (!text) continue;
+
+    const styleTag = match[1].match(/<w:pStyle\b[^>]*>/);
+    const styleId = styleTag ? getAttribute(styleTag[0], 'w:val') : null;
+    const outlineTag = match[1].match(/<w:outlineLvl\b[^>]*>/);
+
+    let level = styleId ? headingStyles.get(styleId) : undefined;
+    if (level === undefined && styleId && /^heading([1-6])$/i.test(styleId)) {
+      level = parseInt(styleId.slice(-1), 10);
+    }
+    if (level === undefined && outlineTag) {
+      const outline = parseInt(getAttribute(outlineTag[0], 'w:val'), 10);
+      if (outline >= 0 && outline < 6) level = outline + 1;
+    }
+
+    if (level === 'title') {
+      title = title || text;
+    } else if (level) {
+      blocks.push({ type: 'heading', level, text });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  }
+
+  return { blocks, title };
+}
+
+/**
+ * Convert a DOCX buffer to pipeline markdown
+ * @param {Buffer} buffer - DOCX file contents
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function docxToMarkdown(buffer, options = {}) {
+  const zip = readZip(buffer);
+
+  const documentEntry = zip.get('word/document.xml');
+  if (!documentEntry) {
+    throw new Error('Invalid DOCX: word/document.xml not found');
+  }
+
+  const stylesEntry = zip.get('word/styles.xml');
+  const headingStyles = parseHeadingStyles(stylesEntry ? stylesEntry.text() : null);
+  const { blocks, title: styledTitle } = documentToBlocks(documentEntry.text(), headingStyles);
+
+  let title = styledTitle;
+  const coreEntry = zip.get('docProps/core.xml');
+  if (coreEntry) {
+    const titleMatch = coreEntry.text().match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/);
+    if (titleMatch && titleMatch[1].trim()) {
+      title = decodeEntities(titleMatch[1]).trim();
+    }
+  }
+
+  return chaptersToMarkdown(blocksToChapters(blocks, options), { ...options, title });
+}
+
+/**
+ * Read a DOCX file and convert it to pipeline markdown
+ * @param {string} filePath - Path to .docx file
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function readDocx(filePath, options = {}) {
+  return docxToMarkdown(fs.readFileSync(filePath), options);
+}
+
+module.exports = {
+  readDocx,
+  docxToMarkdown
+};
@@ -0,0 +1,253 @@
+/**
+ * read-epub.js
+ *
+ * Reads an EPUB (2 or 3) and converts it to the markdown shape the pipeline
+ * expects: YAML frontmatter, `## CHAPTER N: Title` headers, and blank-line
+ * separated paragraphs.
+ *
+ * Reading order comes from the OPF spine; chapter titles come from the EPUB 3
+ * nav document or the EPUB 2 NCX. Spine documents without a TOC entry are
+ * treated as continuations of the previous chapter (split chapter files).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('./unzip');
+const { htmlToBlocks, decodeEntities, getAttribute } = require('./html-to-blocks');
+const { chaptersToMarkdown } = require('./chapters-to-markdown');
+const { isSceneBreak } = require('./chapter-headers');
+
+// epub:type values for notes and note references (dropped from story text)
+const NOTE_TYPES = /\b(footnote|endnote|rearnote|note|noteref)\b/;
+
+/**
+ * Drop footnotes, endnotes and their reference markers
+ */
+function isNoteElement(tagName, rawTag) {
+  return NOTE_TYPES.test(getAttribute(rawTag, 'epub:type') || '');
+}
+
+// TOC labels that are front/back matter rather than story text
+const NON_STORY_LABELS = /^(cover|title( page)?|half title|copyright( page)?|(table of )?contents|dedication|epigraph|acknowledge?ments|about the (author|publisher)|also by\b.*|praise for\b.*|other books by\b.*|newsletter|sign up\b.*)$/i;
+
+/**
+ * Resolve an href relative to the document that contains it
+ * @param {string} baseFile - Archive path of the referencing document
+ * @param {string} href - Relative href (may include #fragment)
+ * @returns {Object} { file, fragment }
+ */
+function resolveHref(baseFile, href) {
+  const [rawPath, fragment = null] = href.split('#');
+  const decoded = decodeURIComponent(rawPath);
+  const file = decoded
+    ? path.posix.normalize(path.posix.join(path.posix.dirname(baseFile), decoded))
+    : baseFile;
+  return { file: file.replace(/^\.\//, ''), fragment };
+}
+
+/**
+ * Collect all tags with the given name as raw strings
+ */
+function findTags(xml, tagName) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tagName}\\b[^>]*>`, 'gi');
+  return xml.match(pattern) || [];
+}
+
+/**
+ * Clean a label from the TOC (strip markup, collapse whitespace)
+ */
+function cleanLabel(raw) {
+  return decodeEntities(raw.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse the OPF package document
+ * @returns {Object} { title, manifest: Map(id -> item), spine: Array<item>, tocId }
+ */
+function parsePackage(opfXml, opfPath) {
+  const titleMatch = opfXml.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i);
+
+  const manifest = new Map();
+  for (const tag of findTags(opfXml, 'item')) {
+    const id = getAttribute(tag, 'id');
+    const href = getAttribute(tag, 'href');
+    if (!id || !href) continue;
+    manifest.set(id, {
+      id,
+      file: resolveHref(opfPath, href).file,
+      mediaType: getAttribute(tag, 'media-type') || '',
+      properties: (getAttribute(tag, 'properties') || '').split(/\s+/)
+    });
+  }
+
+  const spine = [];
+  for (const tag of findTags(opfXml, 'itemref')) {
+    const item = manifest.get(getAttribute(tag, 'idref'));
+    if (item && getAttribute(tag, 'linear') !== 'no') {
+      spine.push(item);
+    }
+  }
+
+  const spineTag = findTags(opfXml, 'spine')[0] || '';
+
+  return {
+    title: titleMatch ? cleanLabel(titleMatch[1]) : null,
+    manifest,
+    spine,
+    tocId: getAttribute(spineTag, 'toc')
+  };
+}
+
+/**
+ * Read TOC entries from an EPUB 3 nav document
+ * @returns {Array} Array of { file, fragment, label }
+ */
+function parseNavDocument(navXml, navPath) {
+  const navMatch = navXml.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i)
+    || navXml.match(/<nav\b[^>]*>([\s\S]*?)<\/nav>/i);
+  if (!navMatch) return [];
+
+  const entries = [];
+  const anchorPattern = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchorPattern.exec(navMatch[1])) !== null) {
+    const href = getAttribute(`<a ${match[1]}>`, 'href');
+    if (!href) continue;
+    entries.push({ ...resolveHref(navPath, href), label: cleanLabel(match[2]) });
+  }
+  return entries;
+}
+
+/**
+ * Read TOC entries from an EPUB 2 NCX document
+ * @returns {Array} Array of { file, fragment, label }
+ */
+function parseNcx(ncxXml, ncxPath) {
+  const entries = [];
+  const pointPattern = /<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*(<content\b[^>]*>)/gi;
+  let match;
+  while ((match = pointPattern.exec(ncxXml)) !== null) {
+    const src = getAttribute(match[2], 'src');
+    if (!src) continue;
+    entries.push({ ...resolveHref(ncxPath, src), label: cleanLabel(match[1]) });
+  }
+  return entries;
+}
+
+/**
+ * Read the table of contents (nav preferred, NCX fallback)
+ */
+function readTableOfContents(zip, pkg) {
+  for (const item of pkg.manifest.values()) {
+    if (item.properties.includes('nav') && zip.has(item.file)) {
+      const entries = parseNavDocument(zip.get(item.file).text(), item.file);
+      if (entries.length > 0) return entries;
+    }
+  }
+
+  const ncxItem = (pkg.tocId && pkg.manifest.get(pkg.tocId))
+    || [...pkg.manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+  if (ncxItem && zip.has(ncxItem.file)) {
+    return parseNcx(zip.get(ncxItem.file).text(), ncxItem.file);
+  }
+
+  return [];
+}
+
+/**
+ * Split spine documents into chapters using TOC entries
+ * @returns {Array} Array of { label, paragraphs: Array<string> } (front/back matter removed)
+ */
+function collectChapters(zip, pkg, toc) {
+  const entriesByFile = new Map();
+  for (const entry of toc) {
+    if (!entriesByFile.has(entry.file)) entriesByFile.set(entry.file, []);
+    entriesByFile.get(entry.file).push(entry);
+  }
+
+  const chapters = [];
+  let current = null;
+
+  const startChapter = (label) => {
+    current = { label, paragraphs: [], skip: NON_STORY_LABELS.test(label) };
+    chapters.push(current);
+  };
+
+  for (const item of pkg.spine) {
+    if (!zip.has(item.file)) continue;
+
+    const entries = entriesByFile.get(item.file) || [];
+    const anchorLabels = new Map(entries.filter(e => e.fragment).map(e => [e.fragment, e.label]));
+    const wholeFileEntry = entries.find(e => !e.fragment);
+
+    // Mark elements that TOC fragments point at so the file can be split there
+    const html = zip.get(item.file).text().replace(/<[a-zA-Z][\w:-]*\b[^>]*>/g, tag => {
+      const id = getAttribute(tag, 'id');
+      return id && anchorLabels.has(id) ? `<p>\u0000${id}\u0000</p>${tag}` : tag;
+    });
+    const blocks = htmlToBlocks(html, { shouldSkip: isNoteElement });
+
+    if (wholeFileEntry) {
+      startChapter(wholeFileEntry.label);
+    } else if (toc.length === 0) {
+      const heading = blocks.find(b => b.type === 'heading');
+      startChapter(heading ? heading.text : '');
+    }
+
+    for (const block of blocks) {
+      const anchor = block.text.match(/^\u0000(.*)\u0000$/);
+      if (anchor) {
+        startChapter(anchorLabels.get(anchor[1]));
+        continue;
+      }
+      // Before the first TOC entry: front matter
+      if (!current) continue;
+      // Headings before any paragraph repeat the chapter title; leading <hr> is decoration
+      if (current.paragraphs.length === 0 && (block.type === 'heading' || isSceneBreak(block.text))) continue;
+      current.paragraphs.push(block.text);
+    }
+  }
+
+  return chapters.filter(c => !c.skip);
+}
+
+/**
+ * Convert an EPUB buffer to pipeline markdown
+ * @param {Buffer} buffer - EPUB file contents
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function epubToMarkdown(buffer, options = {}) {
+  const zip = readZip(buffer);
+
+  const container = zip.get('META-INF/container.xml');
+  if (!container) {
+    throw new Error('Invalid EPUB: META-INF/container.xml not found');
+  }
+  const rootfileTag = findTags(container.text(), 'rootfile')[0];
+  const opfPath = rootfileTag && getAttribute(rootfileTag, 'full-path');
+  if (!opfPath || !zip.has(opfPath)) {
+    throw new Error('Invalid EPUB: package document not found');
+  }
+
+  const pkg = parsePackage(zip.get(opfPath).text(), opfPath);
+  const toc = readTableOfContents(zip, pkg);
+  const chapters = collectChapters(zip, pkg, toc);
+
+  return chaptersToMarkdown(chapters, { ...options, title: pkg.title });
+}
+
+/**
+ * Read an EPUB file and convert it to pipeline markdown
+ * @param {string} filePath - Path to .epub file
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function readEpub(filePath, options = {}) {
+  return epubToMarkdown(fs.readFileSync(filePath), options);
+}
+
+module.exports = {
+  readEpub,
+  epubToMarkdown
+};
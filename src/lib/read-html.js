@@ -0,0 +1,82 @@
+/**
+ * read-html.js
+ *
+ * Reads HTML manuscripts and web fiction pages and converts them to
+ * pipeline markdown. Headings become chapters (see blocksToChapters),
+ * <p> and other block elements become paragraphs. Styling, site chrome
+ * (forms, footers, scripts) and footnotes are dropped.
+ */
+
+const fs = require('fs');
+const { htmlToBlocks, decodeEntities, getAttribute } = require('./html-to-blocks');
+const { chaptersToMarkdown, blocksToChapters } = require('./chapters-to-markdown');
+
+// Page furniture that never contains story text
+const CHROME_TAGS = new Set(['footer', 'form', 'button', 'select', 'textarea', 'noscript', 'iframe', 'template', 'aside']);
+
+// class/id/role/epub:type values that mark footnotes and their references
+const NOTE_PATTERN = /\b(foot|end)notes?\b|\bnoteref\b|\bdoc-(foot|end)notes?\b|\bdoc-noteref\b/i;
+
+/**
+ * Drop site chrome, footnotes and footnote reference links
+ */
+function isNonStoryElement(tagName, rawTag) {
+  if (CHROME_TAGS.has(tagName)) return true;
+
+  const markers = ['class', 'id', 'role', 'epub:type']
+    .map(name => getAttribute(rawTag, name) || '')
+    .join(' ');
+  if (NOTE_PATTERN.test(markers)) return true;
+
+  if (tagName === 'a') {
+    const href = getAttribute(rawTag, 'href') || '';
+    return /^#(fn|footnote|endnote|note)/i.test(href);
+  }
+
+  return false;
+}
+
+/**
+ * Limit the document to its main content when it declares one
+ */
+function selectMainContent(html) {
+  for (const tag of ['main', 'article']) {
+    const start = html.search(new RegExp(`<${tag}\\b`, 'i'));
+    const end = html.toLowerCase().lastIndexOf(`</${tag}>`);
+    if (start !== -1 && end > start) {
+      return html.slice(start, end + tag.length + 3);
+    }
+  }
+  return html;
+}
+
+/**
+ * Convert an HTML document to pipeline markdown
+ * @param {string} html - Document source
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function htmlToMarkdown(html, options = {}) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : null;
+
+  const blocks = htmlToBlocks(selectMainContent(html), { shouldSkip: isNonStoryElement });
+  const chapters = blocksToChapters(blocks, options);
+
+  return chaptersToMarkdown(chapters, { ...options, title });
+}
+
+/**
+ * Read an HTML file and convert it to pipeline markdown
+ * @param {string} filePath - Path to .html/.htm/.xhtml file
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function readHtml(filePath, options = {}) {
+  return htmlToMarkdown(fs.readFileSync(filePath, 'utf8'), options);
+}
+
+module.exports = {
+  readHtml,
+  htmlToMarkdown
+};
@@ -0,0 +1,83 @@
+/**
+ * read-input.js
+ *
+ * Loads an input file and returns pipeline markdown, choosing a reader by
+ * file extension. Every reader produces the same shape (frontmatter,
+ * `## CHAPTER` headers, blank-line separated paragraphs) so extraction and
+ * snippet stages never need to know the original format.
+ *
+ * Markdown can also be read line by line (readInputLines) without holding
+ * the file in memory. Other formats are converted in memory first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readEpub } = require('./read-epub');
+const { readPlainText } = require('./read-plain-text');
+const { readHtml } = require('./read-html');
+const { readDocx } = require('./read-docx');
+
+// Extension -> reader(filePath, options) => markdown
+const READERS = {
+  '.epub': readEpub,
+  '.txt': readPlainText,
+  '.html': readHtml,
+  '.htm': readHtml,
+  '.xhtml': readHtml,
+  '.docx': readDocx
+};
+
+/**
+ * Detect input format from file extension
+ * @param {string} filePath
+ * @returns {string} Format name ('markdown', 'epub', ...)
+ */
+function detectFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!READERS[ext]) return 'markdown';
+  return READERS[ext] === readHtml ? 'html' : ext.slice(1);
+}
+
+/**
+ * Read an input file as pipeline markdown
+ * @param {string} filePath - Path to .md, .epub, .txt, .html, .docx, ...
+ * @param {Object} options - Reader options (header options are passed through)
+ * @returns {string} Markdown text
+ */
+function readInput(filePath, options = {}) {
+  const reader = READERS[path.extname(filePath).toLowerCase()];
+  if (reader) {
+    return reader(filePath, options);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Read an input file as pipeline markdown, one line at a time
+ * Yields the same lines as readInput(filePath).split('\n'). Markdown is
+ * streamed from disk; other formats are converted, then split.
+ * @param {string} filePath - Path to input file
+ * @param {Object} options - Reader options (see readInput)
+ * @returns {AsyncGenerator<string>} Lines without their trailing '\n'
+ */
+async function* readInputLines(filePath, options = {}) {
+  if (READERS[path.extname(filePath).toLowerCase()]) {
+    yield* readInput(filePath, options).split('\n');
+    return;
+  }
+
+  let pending = '';
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 64 * 1024 });
+  for await (const chunk of stream) {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    yield* lines;
+  }
+  yield pending;
+}
+
+module.exports = {
+  readInput,
+  readInputLines,
+  detectFormat
+};
@@ -0,0 +1,184 @@
+/**
+ * read-plain-text.js
+ *
+ * Reads plain-text books (including Project Gutenberg .txt files) and
+ * converts them to pipeline markdown:
+ * 1. Strips Gutenberg licence header/footer and production credits
+ * 2. Removes transcriber notes and [Illustration] markers
+ * 3. Re-wraps hard-wrapped lines into one line per paragraph
+ * 4. Detects chapter headings in unmarked text ("CHAPTER I.", "IV.", "PROLOGUE")
+ *    and emits them as `## ` headers
+ */
+
+const fs = require('fs');
+const { createHeaderMatcher, detectHeading, looksLikeTitle } = require('./chapter-headers');
+
+const GUTENBERG_START = /^\s*\*{3}\s*START OF (?:THE|THIS) PROJECT GUTENBERG E-?BOOK[^\n]*$/im;
+const GUTENBERG_END = /^\s*\*{3}\s*END OF (?:THE|THIS) PROJECT GUTENBERG E-?BOOK[^\n]*$/im;
+const GUTENBERG_END_FALLBACK = /^\s*End of (?:the )?Project Gutenberg'?s?\b[^\n]*$/im;
+const GUTENBERG_LEGACY_START = /^\s*\*END\*THE SMALL PRINT![^\n]*$/im;
+
+// Paragraphs at the start of the body that credit the transcription
+const CREDIT_PARAGRAPH = /^(produced by|transcribed (from|by)|e-?text prepared by|this (e-?book|etext) was (produced|prepared)|prepared by|updated editions)\b/i;
+
+const TRANSCRIBER_NOTE = /^\[?\s*transcriber'?s?['’]? notes?\b/i;
+
+/**
+ * Strip Project Gutenberg licence text if markers are present
+ * @param {string} text - Full file text (LF line endings)
+ * @returns {Object} { text, isGutenberg, title }
+ */
+function stripGutenberg(text) {
+  const startMatch = text.match(GUTENBERG_START) || text.match(GUTENBERG_LEGACY_START);
+  if (!startMatch) {
+    return { text, isGutenberg: false, title: null };
+  }
+
+  const preamble = text.slice(0, startMatch.index);
+  const titleMatch = preamble.match(/^Title:\s*(.+)$/m);
+
+  let body = text.slice(startMatch.index + startMatch[0].length);
+  // Cut at whichever end marker comes first ("End of the Project Gutenberg EBook" often precedes "*** END")
+  const endIndices = [GUTENBERG_END, GUTENBERG_END_FALLBACK]
+    .map(pattern => body.match(pattern))
+    .filter(Boolean)
+    .map(match => match.index);
+  if (endIndices.length > 0) {
+    body = body.slice(0, Math.min(...endIndices));
+  }
+
+  return {
+    text: body,
+    isGutenberg: true,
+    title: titleMatch ? titleMatch[1].trim() : null
+  };
+}
+
+/**
+ * Join hard-wrapped lines of one paragraph into a single line
+ * Keeps a hyphen broken across lines ("good-\nnatured" -> "good-natured").
+ */
+function unwrapParagraph(block) {
+  const lines = block.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+  let result = '';
+  for (const line of lines) {
+    if (!result) {
+      result = line;
+    } else if (/[A-Za-z]-$/.test(result) && /^[a-z]/.test(line)) {
+      result += line;
+    } else {
+      result += ' ' + line;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split text into unwrapped paragraphs, dropping transcriber notes and illustrations
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function toParagraphs(text) {
+  const paragraphs = [];
+  let inBracketNote = false;
+
+  for (const block of text.split(/\n[ \t]*\n/)) {
+    const paragraph = unwrapParagraph(block)
+      .replace(/\[(Illustration|Footnote)[^\]]*\]/gi, '')
+      .replace(/_([^_]+)_/g, '$1')
+      .trim();
+    if (!paragraph) continue;
+
+    // "[Transcriber's Note: ...]" may span several paragraphs
+    if (inBracketNote || (paragraph.startsWith('[') && TRANSCRIBER_NOTE.test(paragraph))) {
+      inBracketNote = !paragraph.endsWith(']');
+      continue;
+    }
+    if (TRANSCRIBER_NOTE.test(paragraph)) continue;
+
+    paragraphs.push(paragraph);
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Convert plain text to pipeline markdown
+ * @param {string} raw - File contents
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function plainTextToMarkdown(raw, options = {}) {
+  const normalized = raw.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const { text, isGutenberg, title } = stripGutenberg(normalized);
+
+  let paragraphs = toParagraphs(text);
+  if (isGutenberg) {
+    while (paragraphs.length > 0 && CREDIT_PARAGRAPH.test(paragraphs[0])) {
+      paragraphs.shift();
+    }
+  }
+
+  const matchHeader = createHeaderMatcher({ ...options, requireMarker: false });
+
+  // Group paragraphs under detected headings
+  const sections = [];
+  let current = null;
+  for (let i = 0; i < paragraphs.length; i++) {
+    const heading = detectHeading(paragraphs[i], matchHeader);
+    if (!heading || !heading.header) {
+      if (current) current.paragraphs.push(paragraphs[i]);
+      continue;
+    }
+
+    let line = heading.line;
+    // "CHAPTER I." followed by a title line of its own
+    const next = paragraphs[i + 1];
+    if (!heading.header.title && heading.header.level === 'chapter' && next &&
+        looksLikeTitle(next) && !detectHeading(next, matchHeader)) {
+      line = `${line}: ${next.replace(/[.:]$/, '')}`;
+      i++;
+    }
+
+    current = { line, level: heading.header.level, paragraphs: [] };
+    sections.push(current);
+  }
+
+  const lines = [];
+  if (title) {
+    lines.push('---', `title: ${title}`, '---', '');
+  }
+
+  if (sections.length === 0) {
+    // No headings found: treat the whole text as a single chapter
+    lines.push('## CHAPTER 1', '');
+    for (const paragraph of paragraphs) lines.push(paragraph, '');
+    return lines.join('\n');
+  }
+
+  for (const section of sections) {
+    // Headings with no text are table-of-contents entries
+    if (section.level === 'chapter' && section.paragraphs.length === 0) continue;
+
+    lines.push(`${section.level === 'part' ? '#' : '##'} ${section.line}`, '');
+    for (const paragraph of section.paragraphs) lines.push(paragraph, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Read a plain-text file and convert it to pipeline markdown
+ * @param {string} filePath - Path to .txt file
+ * @param {Object} options - Header options (see createHeaderMatcher)
+ * @returns {string} Markdown text
+ */
+function readPlainText(filePath, options = {}) {
+  return plainTextToMarkdown(fs.readFileSync(filePath, 'utf8'), options);
+}
+
+module.exports = {
+  readPlainText,
+  plainTextToMarkdown,
+  stripGutenberg
+};
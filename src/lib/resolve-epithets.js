@@ -0,0 +1,102 @@
+/**
+ * resolve-epithets.js
+ *
+ * Links role descriptions to entities, so after "Mrs. Pemberton, the
+ * innkeeper, ..." a later "The innkeeper smiled." is a mention of Mrs.
+ * Pemberton. Epithets are the ones discover.js learned (learn-epithets.js).
+ * They are context-dependent aliases: an epithet only counts while its entity
+ * was named in the same chapter within MAX_PARAGRAPH_DISTANCE paragraphs, so
+ * "the boy" names nobody in a chapter where Harry has not appeared.
+ * Resolved mentions carry resolved: "epithet" and a confidence below a name's.
+ */
+
+// How far back (in paragraphs) the entity must have been named
+const MAX_PARAGRAPH_DISTANCE = 10;
+
+// Confidence of an epithet link, before the epithet's own confidence
+const BASE_CONFIDENCE = 0.8;
+
+/**
+ * Create an epithet resolver for one run of text
+ * Call reset() at each chapter, then resolve() each paragraph in order.
+ * @param {Array} entities - Entities with epithets ([{ form, confidence }]) from discover.js
+ * @returns {Object} { reset(), resolve(paragraphText, sentences, sentenceMentions) }
+ */
+function createEpithetResolver(entities) {
+  const epithets = new Map(); // Form -> { entity, confidence } (first entity loaded wins)
+  for (const entity of entities) {
+    for (const epithet of entity.epithets || []) {
+      if (!epithets.has(epithet.form)) {
+        epithets.set(epithet.form, { entity: entity.id, confidence: epithet.confidence });
+      }
+    }
+  }
+
+  // Whole words, any case ("The innkeeper"), any spacing between words
+  const patterns = [...epithets.keys()].map(form => {
+    const words = form.split(' ').map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return { form, pattern: new RegExp(`(?<![\\p{L}\\p{M}])${words.join('\\s+')}(?![\\p{L}\\p{M}])`, 'giu') };
+  });
+
+  let lastNamed = new Map(); // Entity ID -> paragraph it was last named in
+  let paragraphSerial = 0;
+
+  return {
+    reset() {
+      lastNamed = new Map();
+    },
+
+    /**
+     * Resolve the epithets of one paragraph
+     * @param {string} paragraphText
+     * @param {Array} sentences - From locateSentences (start offsets into the paragraph)
+     * @param {Array} sentenceMentions - Name mentions per sentence (findMentions)
+     * @returns {Array} Epithet mentions per sentence: { entity, variant, start, end,
+     *   resolved: 'epithet', confidence } with start/end offsets into the sentence
+     */
+    resolve(paragraphText, sentences, sentenceMentions) {
+      const serial = paragraphSerial++;
+      if (patterns.length === 0) return sentences.map(() => []);
+
+      return sentences.map((sentence, index) => {
+        const names = sentenceMentions[index] || [];
+        const found = [];
+        for (const { form, pattern } of patterns) {
+          for (const match of sentence.text.matchAll(pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (names.some(m => start < m.end && end > m.start)) continue;
+            found.push({ form, variant: match[0], start, end });
+          }
+        }
+
+        // Names and epithets in order: a name earlier in the sentence opens the scope
+        const resolved = [];
+        const items = [...names.map(m => ({ ...m, kind: 'name' })), ...found.map(f => ({ ...f, kind: 'epithet' }))];
+        for (const item of items.sort((a, b) => a.start - b.start)) {
+          if (item.kind === 'name') {
+            lastNamed.set(item.entity, serial);
+            continue;
+          }
+
+          const { entity, confidence } = epithets.get(item.form);
+          if (!lastNamed.has(entity) || serial - lastNamed.get(entity) > MAX_PARAGRAPH_DISTANCE) continue;
+          resolved.push({
+            entity,
+            variant: item.variant,
+            start: item.start,
+            end: item.end,
+            resolved: 'epithet',
+            confidence: Math.round(BASE_CONFIDENCE * confidence * 100) / 100
+          });
+        }
+
+        return resolved.filter((m, i) => i === 0 || m.start >= resolved[i - 1].end);
+      });
+    }
+  };
+}
+
+module.exports = {
+  createEpithetResolver
+};
@@ -0,0 +1,125 @@
+/**
+ * resolve-pronouns.js
+ *
+ * Links third-person pronouns to entities, so "Harry opened the door. He
+ * stepped inside." gives Harry a mention in both sentences. A pronoun goes to
+ * the most recently named entity that agrees with it:
+ * 1. Agreement: the entity's inferred pronoun set (infer-pronouns.js); families
+ *    and organizations take "they"
+ * 2. Recency: named in narration within MAX_SENTENCE_DISTANCE sentences, in the
+ *    same scene; two agreeing entities named in one sentence are ambiguous
+ * 3. Dialogue: pronouns in quoted speech are left alone, and names in quotes
+ *    ("Where is Harry?") are not antecedents
+ * Resolved mentions carry resolved: "pronoun" and a confidence below a name's.
+ */
+
+const { loadLanguagePack } = require('./language');
+const { findQuotes } = require('./attribute-dialogue');
+
+// How far back (in sentences) an antecedent may be
+const MAX_SENTENCE_DISTANCE = 3;
+
+// Confidence of a pronoun link, before the entity's own pronoun confidence
+const BASE_CONFIDENCE = 0.8;
+const DISTANCE_PENALTY = 0.1; // Per sentence between antecedent and pronoun
+const COMPETITOR_PENALTY = 0.2; // Another agreeing entity in range
+
+const COLLECTIVE_TYPES = new Set(['family', 'organization']);
+
+/**
+ * Create a pronoun resolver for one run of text
+ * Call reset() at each chapter or scene break, then resolve() each paragraph
+ * in order.
+ * @param {Array} entities - Entities with pronouns ({ set }) from discover.js
+ * @param {Object} [options] - { language }
+ * @returns {Object} { reset(), resolve(paragraphText, sentences, sentenceMentions) }
+ */
+function createPronounResolver(entities, options = {}) {
+  const pack = loadLanguagePack(options.language);
+  const pronounSets = new Map(); // Entity ID -> { set, confidence }
+  for (const entity of entities) {
+    if (entity.pronouns && entity.pronouns.set) {
+      pronounSets.set(entity.id, entity.pronouns);
+    } else if (COLLECTIVE_TYPES.has(entity.type)) {
+      pronounSets.set(entity.id, { set: 'they', confidence: 1 });
+    }
+  }
+
+  let recent = []; // { entity, set, sentence } in order named
+  let sentenceSerial = 0;
+
+  return {
+    reset() {
+      recent = [];
+    },
+
+    /**
+     * Resolve the pronouns of one paragraph
+     * @param {string} paragraphText
+     * @param {Array} sentences - From locateSentences (start offsets into the paragraph)
+     * @param {Array} sentenceMentions - Name mentions per sentence (findMentions)
+     * @returns {Array} Pronoun mentions per sentence: { entity, variant, start, end,
+     *   resolved: 'pronoun', confidence } with start/end offsets into the sentence
+     */
+    resolve(paragraphText, sentences, sentenceMentions) {
+      const quotes = findQuotes(paragraphText, options);
+      const isQuoted = (offset) => quotes.some(q => offset >= q.open && offset < q.close);
+
+      return sentences.map((sentence, index) => {
+        const serial = sentenceSerial++;
+        const names = (sentenceMentions[index] || []).map(m => ({ ...m, kind: 'name' }));
+        const pronouns = [...sentence.text.matchAll(/\p{L}[\p{L}\p{M}'’]*/gu)]
+          .filter(m => pack.pronouns.has(m[0].toLowerCase()))
+          .map(m => ({ kind: 'pronoun', variant: m[0], start: m.index, end: m.index + m[0].length }));
+
+        const resolved = [];
+        for (const item of [...names, ...pronouns].sort((a, b) => a.start - b.start)) {
+          if (isQuoted(sentence.start + item.start)) continue;
+
+          if (item.kind === 'name') {
+            const agreement = pronounSets.get(item.entity);
+            if (agreement) recent.push({ entity: item.entity, set: agreement.set, sentence: serial });
+            continue;
+          }
+
+          const link = findAntecedent(recent, pack.pronouns.get(item.variant.toLowerCase()), serial);
+          if (!link) continue;
+          const entityConfidence = pronounSets.get(link.entity).confidence;
+          const confidence = (BASE_CONFIDENCE - DISTANCE_PENALTY * link.distance -
+            (link.competitors ? COMPETITOR_PENALTY : 0)) * entityConfidence;
+          resolved.push({
+            entity: link.entity,
+            variant: item.variant,
+            start: item.start,
+            end: item.end,
+            resolved: 'pronoun',
+            confidence: Math.round(Math.max(0, confidence) * 100) / 100
+          });
+        }
+
+        recent = recent.filter(r => serial - r.sentence < MAX_SENTENCE_DISTANCE);
+        return resolved;
+      });
+    }
+  };
+}
+
+/**
+ * Most recently named entity agreeing with a pronoun set, or null when there
+ * is none in range or two agreeing entities were named in its sentence
+ * @returns {Object|null} { entity, distance, competitors }
+ */
+function findAntecedent(recent, set, serial) {
+  const agreeing = recent.filter(r => r.set === set && serial - r.sentence <= MAX_SENTENCE_DISTANCE);
+  if (agreeing.length === 0) return null;
+
+  const latest = agreeing[agreeing.length - 1];
+  const others = agreeing.filter(r => r.entity !== latest.entity);
+  if (others.some(r => r.sentence === latest.sentence)) return null;
+
+  return { entity: latest.entity, distance: serial - latest.sentence, competitors: others.length > 0 };
+}
+
+module.exports = {
+  createPronounResolver
+};
@@ -0,0 +1,235 @@
+/**
+ * series.js
+ *
+ * Multi-book series support:
+ * - Loads a series manifest (ordered list of book files)
+ * - Links the same entity across volumes into one shared registry
+ *
+ * Manifest format (paths relative to the manifest file):
+ *   {
+ *     "title": "The Silver Crown Trilogy",
+ *     "books": [
+ *       { "file": "book1.epub", "title": "The Arrival" },
+ *       "book2.md"
+ *     ]
+ *   }
+ *
+ * Linking is conservative: entities are joined when their canonical names
+ * match, or when one entity's canonical name is a variant of another. Two
+ * entities from the same book are never joined, even transitively.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load and validate a series manifest
+ * @param {string} manifestPath - Path to manifest JSON
+ * @returns {Object} { title, books: Array<{ number, file, title }> }
+ */
+function loadSeriesManifest(manifestPath) {
+  const resolved = path.resolve(manifestPath);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid series manifest ${resolved}: ${error.message}`);
+  }
+
+  if (!manifest || !Array.isArray(manifest.books) || manifest.books.length === 0) {
+    throw new Error(`Series manifest has no books: ${resolved}`);
+  }
+
+  const baseDir = path.dirname(resolved);
+  const books = manifest.books.map((entry, i) => {
+    const spec = typeof entry === 'string' ? { file: entry } : entry;
+    if (!spec.file) {
+      throw new Error(`Series manifest book ${i + 1} has no "file"`);
+    }
+    const file = path.resolve(baseDir, spec.file);
+    return {
+      number: i + 1,
+      file,
+      title: spec.title || path.basename(file, path.extname(file))
+    };
+  });
+
+  return {
+    title: manifest.title || path.basename(resolved, path.extname(resolved)),
+    books
+  };
+}
+
+/**
+ * Normalize a name form for cross-book comparison
+ */
+function normalizeForm(form) {
+  return form
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/'s$/i, '')
+    .replace(/\./g, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Union-find over entity nodes that refuses to join two groups sharing a book
+ */
+function createLinker(nodes) {
+  const parent = nodes.map((_, i) => i);
+  const books = nodes.map(node => new Set([node.book]));
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  return {
+    find,
+    link(a, b) {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA === rootB) return true;
+      for (const book of books[rootB]) {
+        if (books[rootA].has(book)) return false;
+      }
+      parent[rootB] = rootA;
+      for (const book of books[rootB]) books[rootA].add(book);
+      return true;
+    }
+  };
+}
+
+/**
+ * Build the shared series registry from per-book discovery results
+ * @param {Array} bookResults - Array of { book: { number, title, file }, confirmedCharacters, candidates }
+ * @param {Object} options - { verbose }
+ * @returns {Object} { entities: Array, candidates: Array, links: Array }
+ */
+function buildSeriesRegistry(bookResults, options = {}) {
+  const { verbose = false } = options;
+
+  // One node per (book, entity)
+  const nodes = [];
+  for (const { book, confirmedCharacters, candidates } of bookResults) {
+    for (const entity of confirmedCharacters) nodes.push({ book: book.number, bookTitle: book.title, entity, tier: 'confirmed' });
+    for (const entity of candidates) nodes.push({ book: book.number, bookTitle: book.title, entity, tier: 'candidate' });
+  }
+
+  // Strongest evidence first: identical canonical names, most-mentioned entities first
+  const order = nodes
+    .map((node, i) => i)
+    .sort((a, b) => nodes[b].entity.mentions - nodes[a].entity.mentions);
+
+  const linker = createLinker(nodes);
+  const links = [];
+
+  const byCanonical = new Map();
+  for (const i of order) {
+    const key = normalizeForm(nodes[i].entity.canonicalName);
+    if (!byCanonical.has(key)) byCanonical.set(key, []);
+    byCanonical.get(key).push(i);
+  }
+  for (const members of byCanonical.values()) {
+    for (const other of members.slice(1)) {
+      if (linker.link(members[0], other)) {
+        links.push({ from: nodeRef(nodes[other]), to: nodeRef(nodes[members[0]]), reason: 'same_canonical_name' });
+      }
+    }
+  }
+
+  // Canonical name of one entity appears as a variant of another ("Harry" -> "Harry Potter")
+  for (const i of order) {
+    for (const variant of nodes[i].entity.variants || []) {
+      const matches = byCanonical.get(normalizeForm(variant.form)) || [];
+      for (const j of matches) {
+        if (nodes[j].book === nodes[i].book || linker.find(i) === linker.find(j)) continue;
+        if (linker.link(i, j)) {
+          links.push({ from: nodeRef(nodes[j]), to: nodeRef(nodes[i]), reason: `variant_match:${variant.form}` });
+        }
+      }
+    }
+  }
+
+  // Collect components
+  const components = new Map();
+  for (let i = 0; i < nodes.length; i++) {
+    const root = linker.find(i);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(nodes[i]);
+  }
+
+  const usedIds = new Set();
+  const registry = [];
+  for (const members of components.values()) {
+    registry.push(buildRegistryEntry(members, usedIds));
+  }
+  registry.sort((a, b) => b.mentions - a.mentions);
+
+  if (verbose) {
+    console.log(`[Series] ${nodes.length} book-level entities -> ${registry.length} series entities (${links.length} cross-book links)`);
+  }
+
+  return {
+    entities: registry.filter(e => e.tier === 'confirmed'),
+    candidates: registry.filter(e => e.tier === 'candidate'),
+    links
+  };
+}
+
+function nodeRef(node) {
+  return { book: node.book, id: node.entity.id, name: node.entity.canonicalName };
+}
+
+/**
+ * Merge the per-book entities of one component into a registry entry
+ */
+function buildRegistryEntry(members, usedIds) {
+  members.sort((a, b) => a.book - b.book);
+  const primary = members.reduce((best, m) => (m.entity.mentions > best.entity.mentions ? m : best), members[0]);
+
+  let id = primary.entity.id;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${primary.entity.id}_${n}`;
+  }
+  usedIds.add(id);
+
+  // Sum variant counts across books
+  const variantCounts = new Map();
+  for (const { entity } of members) {
+    for (const v of entity.variants || []) {
+      variantCounts.set(v.form, (variantCounts.get(v.form) || 0) + v.count);
+    }
+  }
+
+  const first = members[0];
+
+  return {
+    id,
+    canonicalName: primary.entity.canonicalName,
+    type: members.some(m => m.tier === 'confirmed') ? 'character' : 'unknown',
+    mentions: members.reduce((sum, m) => sum + m.entity.mentions, 0),
+    variants: [...variantCounts.entries()]
+      .map(([form, count]) => ({ form, count }))
+      .sort((a, b) => b.count - a.count),
+    tier: members.some(m => m.tier === 'confirmed') ? 'confirmed' : 'candidate',
+    firstAppearance: { book: first.book, ...(first.entity.firstAppearance || {}) },
+    books: members.map(m => ({
+      book: m.book,
+      title: m.bookTitle,
+      entityId: m.entity.id,
+      canonicalName: m.entity.canonicalName,
+      mentions: m.entity.mentions,
+      tier: m.tier,
+      firstAppearance: m.entity.firstAppearance
+    }))
+  };
+}
+
+module.exports = {
+  loadSeriesManifest,
+  buildSeriesRegistry
+};
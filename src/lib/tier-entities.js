@@ -1,76 +1,105 @@
 /**
  * tier-entities.js
  *
- * Splits filtered entities into two tiers:
- * - Tier 1: Confirmed characters (high confidence, minimal review needed)
- * - Tier 2: Candidates (needs human review, no type assigned)
+ * Scores each filtered entity as a character and splits them into two tiers:
+ * - Tier 1: Confirmed characters (score >= confirmScore, minimal review needed)
+ * - Tier 2: Candidates (needs human review, type 'unknown')
+ * The score adds up weighted features (see scoreCharacter); each entity keeps
+ * the breakdown in scoring.features. Cut-offs and the counts at which a
+ * feature is at full strength are the defaults in src/config/thresholds.json
+ * ("tiering").
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const configDir = path.join(__dirname, '..', 'config');
-const titlePatterns = JSON.parse(fs.readFileSync(path.join(configDir, 'title-patterns.json'), 'utf8'));
-const titlePrefixes = new Set(titlePatterns.patterns.map(p => p.pattern.toLowerCase()));
+const { generateEntityId } = require('./entity-ids');
+const { splitNameUnits } = require('./name-parts');
+const { resolveConfig, resolvePack } = require('./config');
+
+// Feature weights (each feature's contribution at full strength)
+const TITLE_WEIGHT = 0.6;
+const INDEPENDENT_PARTS_WEIGHT = 0.6;
+const POSSESSIVE_WEIGHT = 0.6;
+const CHAPTER_SPREAD_WEIGHT = 0.15;
+const DIALOGUE_WEIGHT = 0.15;
+const SENTENCE_START_PENALTY = 0.1; // At a sentence-start ratio of 1
+
+// qualifiedBy for a confirmed character: its strongest feature
+const FEATURE_REASONS = {
+  titlePattern: 'title_pattern',
+  independentParts: 'full_name_both_parts_independent',
+  possessive: 'single_name_with_possessive',
+  chapterSpread: 'chapter_spread',
+  dialogue: 'dialogue'
+};
 
 /**
  * Split entities into confirmed characters and candidates
  * @param {Array} cleanGroups - Filtered entity groups from filterJunk
- * @param {Object} extractionResult - Raw extraction result with mentionCounts
- * @param {Object} options - Tier options
+ * @param {Object} extractionResult - Raw extraction result with possessiveCounts,
+ *   chapterCounts, speechCounts and metadata.chaptersProcessed
+ * @param {Object} options - Tier options (thresholds, verbose, language, config, usedIds);
+ *   thresholds default to config.thresholds.tiering, usedIds holds IDs already
+ *   assigned (e.g. to locations)
  * @returns {Object} { confirmedCharacters: Array, candidates: Array }
  */
 function tierEntities(cleanGroups, extractionResult, options = {}) {
+  const thresholds = resolveConfig(options.config).thresholds.tiering;
   const {
     verbose = false,
-    minCandidateMentions = 8,
-    minPossessiveForConfirm = 5,
-    minMentionsForPossessiveConfirm = 20,
-    minIndependentPartMentions = 10
+    minCandidateMentions = thresholds.minCandidateMentions,
+    confirmScore = thresholds.confirmScore,
+    candidateScore = thresholds.candidateScore
   } = options;
+  const fullStrength = {
+    possessives: options.minPossessiveForConfirm ?? thresholds.minPossessiveForConfirm,
+    possessiveMentions: options.minMentionsForPossessiveConfirm ?? thresholds.minMentionsForPossessiveConfirm,
+    partMentions: options.minIndependentPartMentions ?? thresholds.minIndependentPartMentions,
+    spreadChapters: thresholds.fullSpreadChapters,
+    speechRatio: thresholds.fullSpeechRatio
+  };
 
-  const { mentionCounts = {}, possessiveCounts = {} } = extractionResult;
+  const pack = resolvePack(options);
 
   // Build single-word entity mention counts for two-word name validation
-  const singleWordCounts = buildSingleWordCounts(cleanGroups, mentionCounts);
+  const singleWordCounts = buildSingleWordCounts(cleanGroups);
 
   const confirmedCharacters = [];
   const candidates = [];
+  const usedIds = options.usedIds || new Set(); // Keeps IDs unique when names transliterate alike
 
   for (const group of cleanGroups) {
-    const qualification = checkTier1Qualification(
-      group,
-      singleWordCounts,
-      mentionCounts,
-      possessiveCounts,
-      minPossessiveForConfirm,
-      minMentionsForPossessiveConfirm,
-      minIndependentPartMentions
-    );
+    const scoring = scoreCharacter(group, singleWordCounts, extractionResult, fullStrength, pack);
 
-    if (qualification) {
+    if (scoring.score >= confirmScore) {
       // Tier 1: Confirmed Character
       confirmedCharacters.push({
-        id: generateEntityId(group.canonicalName),
+        id: generateEntityId(group.canonicalName, usedIds),
         canonicalName: group.canonicalName,
+        type: 'character',
+        typeConfidence: { ...group.typeConfidence, character: scoring.score },
         mentions: group.totalMentions,
         variants: group.variants.map(v => ({ form: v.form, count: v.count })),
-        qualifiedBy: qualification.reason,
+        qualifiedBy: scoring.reason,
+        scoring: { score: scoring.score, features: scoring.features },
+        ...(group.evidence?.aliases && { aliases: group.evidence.aliases }),
         firstAppearance: group.firstAppearance
       });
-    } else if (group.totalMentions >= minCandidateMentions) {
+    } else if (group.totalMentions >= minCandidateMentions && scoring.score >= candidateScore) {
       // Tier 2: Candidate
       candidates.push({
-        id: generateEntityId(group.canonicalName),
+        id: generateEntityId(group.canonicalName, usedIds),
         canonicalName: group.canonicalName,
+        type: 'unknown',
+        typeConfidence: { ...group.typeConfidence, character: scoring.score },
         mentions: group.totalMentions,
         variants: group.variants.map(v => ({ form: v.form, count: v.count })),
         sentenceStartRatio: group.sentenceStartRatio || 0,
+        scoring: { score: scoring.score, features: scoring.features },
         notes: generateCandidateNotes(group),
+        ...(group.evidence?.aliases && { aliases: group.evidence.aliases }),
         firstAppearance: group.firstAppearance
       });
     }
-    // Entities with < minCandidateMentions are dropped entirely
+    // Entities below the candidate cut-offs are dropped entirely
   }
 
   // Sort by mention count
@@ -85,85 +114,102 @@ function tierEntities(cleanGroups, extractionResult, options = {}) {
 }
 
 /**
- * Check if entity qualifies for Tier 1 (Confirmed Character)
- * Criteria (ANY of):
- * 1. Has title pattern (Professor X, Mr/Mrs X, etc.)
- * 2. Two-word name where BOTH words appear 10+ times independently
- * 3. Single name 20+ mentions WITH possessive form 5+ times
+ * Score an entity as a character, from 0 to 1
+ * Features (each 0 up to its weight):
+ * 1. titlePattern: has a title (Professor X, Mr/Mrs X, etc.)
+ * 2. independentParts: two-word name whose parts each appear on their own,
+ *    full at minIndependentPartMentions
+ * 3. possessive: possessive forms of the name, or of its most possessive
+ *    single-word variant, full at minPossessiveForConfirm possessives and
+ *    minMentionsForPossessiveConfirm mentions
+ * 4. chapterSpread: chapters the name appears in, full at fullSpreadChapters
+ *    (or every chapter of a shorter book)
+ * 5. dialogue: share of mentions in speech tags, full at fullSpeechRatio
+ * less sentenceStart: the sentence-start ratio filterJunk recorded.
+ * Bare titles ("Mr", "Aunt") and a title with an initial ("Mr H") score 0.
+ * @returns {Object} { score, features, reason }; reason is the strongest
+ *   feature as a qualifiedBy value
  */
-function checkTier1Qualification(group, singleWordCounts, mentionCounts, possessiveCounts, minPossessive, minMentions, minPartMentions) {
+function scoreCharacter(group, singleWordCounts, extractionResult, fullStrength, pack) {
+  const { possessiveCounts = {}, chapterCounts = {}, speechCounts = {}, metadata = {} } = extractionResult;
   const name = group.canonicalName;
-  const words = name.split(/\s+/);
+  const words = splitNameUnits(name);
+  const isTitle = (word) => pack.titlePrefixes.has(word.toLowerCase().replace(/\.$/, ''));
+  const strength = (n, full) => (full > 0 ? Math.min(1, n / full) : 1);
+  const round = (n) => Math.round(n * 100) / 100;
+
+  const features = {
+    titlePattern: 0,
+    independentParts: 0,
+    possessive: 0,
+    chapterSpread: 0,
+    dialogue: 0,
+    sentenceStart: 0
+  };
 
   // DISQUALIFICATION: Bare titles without names (e.g., "Mr", "Mrs", "Madam", "Aunt")
-  if (/^(Mr|Mrs|Ms|Miss|Madam|Uncle|Aunt|Sir|Lord|Lady|Professor|Dr)\.?$/i.test(name)) {
-    return null; // Disqualified - bare title
-  }
-
-  // DISQUALIFICATION: Single-letter name portions (e.g., "Mr H", "Mrs P")
-  if (/^(Mr|Mrs|Ms|Miss|Madam|Uncle|Aunt|Sir|Lord|Lady|Professor|Dr)\.?\s+[A-Z]$/i.test(name)) {
-    return null; // Disqualified - title + single letter
+  // and single-letter name portions (e.g., "Mr H", "Mrs P")
+  if ((words.length === 1 && isTitle(words[0])) ||
+      (words.length === 2 && isTitle(words[0]) && /^\p{L}$/u.test(words[1]))) {
+    return { score: 0, features, reason: null };
   }
 
-  // Check 1: Has title pattern
-  if (group.evidence?.titlePatterns?.length > 0 || group.evidence?.isTitledName) {
-    return { reason: 'title_pattern' };
+  // Title pattern, recorded by grouping or as the first word
+  if (group.evidence?.titlePatterns?.length > 0 || group.evidence?.isTitledName || isTitle(words[0])) {
+    features.titlePattern = TITLE_WEIGHT;
   }
 
-  // Check for title as first word
-  if (words.length >= 1) {
-    const firstWordLower = words[0].toLowerCase().replace(/\.$/, '');
-    if (titlePrefixes.has(firstWordLower)) {
-      return { reason: 'title_pattern' };
-    }
-  }
-
-  // Check 2: Two-word name with both parts appearing independently 10+ times
+  // Two-word name with both parts appearing independently
+  let possessiveReason = 'single_name_with_possessive';
   if (words.length === 2) {
-    const part1Count = singleWordCounts.get(words[0]) || 0;
-    const part2Count = singleWordCounts.get(words[1]) || 0;
-
-    if (part1Count >= minPartMentions && part2Count >= minPartMentions) {
-      return { reason: 'full_name_both_parts_independent' };
-    }
+    const partMentions = Math.min(singleWordCounts.get(words[0]) || 0, singleWordCounts.get(words[1]) || 0);
+    features.independentParts = INDEPENDENT_PARTS_WEIGHT * strength(partMentions, fullStrength.partMentions);
   }
 
-  // Check 3: Single name 20+ mentions with possessive 5+ times
-  // Use possessiveCounts which tracks how many times the possessive form appeared
-  if (words.length === 1 && group.totalMentions >= minMentions) {
-    const possessiveCount = possessiveCounts[name] || 0;
-
-    if (possessiveCount >= minPossessive) {
-      return { reason: 'single_name_with_possessive' };
-    }
-  }
-
-  // Check 4: For two-word names, check if the most frequent variant qualifies
+  // Possessives: of a single name, or of a two-word name's single-word variants
   // e.g., "Albus Dumbledore" where "Dumbledore" has 146 mentions and 15 possessives
-  if (words.length === 2) {
+  const possessiveStrength = (form, mentions) =>
+    strength(possessiveCounts[form] || 0, fullStrength.possessives) * strength(mentions, fullStrength.possessiveMentions);
+  if (words.length === 1) {
+    features.possessive = POSSESSIVE_WEIGHT * possessiveStrength(name, group.totalMentions);
+  } else if (words.length === 2) {
     for (const variant of group.variants || []) {
-      const variantWords = variant.form.split(/\s+/);
-      if (variantWords.length === 1 && variant.count >= minMentions) {
-        const possessiveCount = possessiveCounts[variant.form] || 0;
-        if (possessiveCount >= minPossessive) {
-          return { reason: 'variant_with_possessive' };
-        }
-      }
+      if (splitNameUnits(variant.form).length !== 1) continue;
+      features.possessive = Math.max(features.possessive, POSSESSIVE_WEIGHT * possessiveStrength(variant.form, variant.count));
     }
+    possessiveReason = 'variant_with_possessive';
   }
 
-  return null;
+  // Spread across chapters (the variant seen in the most chapters) and dialogue participation
+  const chapters = Math.max(0, ...(group.variants || []).map(v => chapterCounts[v.form] || 0));
+  const bookChapters = Math.max(1, metadata.chaptersProcessed || 0);
+  features.chapterSpread = CHAPTER_SPREAD_WEIGHT * strength(chapters, Math.min(bookChapters, fullStrength.spreadChapters));
+  const speechTags = (group.variants || []).reduce((sum, v) => sum + (speechCounts[v.form] || 0), 0);
+  features.dialogue = DIALOGUE_WEIGHT * strength(speechTags / (group.totalMentions || 1), fullStrength.speechRatio);
+
+  features.sentenceStart = -SENTENCE_START_PENALTY * (group.sentenceStartRatio || 0);
+
+  const positive = Object.entries(features).filter(([, value]) => value > 0);
+  const score = Math.min(1, positive.reduce((sum, [, value]) => sum + value, 0)) + features.sentenceStart;
+  const [strongest] = positive.reduce((a, b) => (b[1] > a[1] ? b : a), ['', 0]);
+
+  for (const key of Object.keys(features)) features[key] = round(features[key]);
+  return {
+    score: round(Math.max(0, score)),
+    features,
+    reason: strongest === 'possessive' ? possessiveReason : FEATURE_REASONS[strongest] || null
+  };
 }
 
 /**
  * Build map of single-word entity names to their mention counts
  * Used for checking if both parts of a two-word name appear independently
  */
-function buildSingleWordCounts(groups, mentionCounts) {
+function buildSingleWordCounts(groups) {
   const counts = new Map();
 
   for (const group of groups) {
-    const words = group.canonicalName.split(/\s+/);
+    const words = splitNameUnits(group.canonicalName);
     if (words.length === 1) {
       // It's a single-word entity
       counts.set(group.canonicalName, group.totalMentions);
@@ -178,7 +224,7 @@ function buildSingleWordCounts(groups, mentionCounts) {
  */
 function generateCandidateNotes(group) {
   const notes = [];
-  const words = group.canonicalName.split(/\s+/);
+  const words = splitNameUnits(group.canonicalName);
 
   if (words.length === 1) {
     // Check for possessive
@@ -210,16 +256,6 @@ function generateCandidateNotes(group) {
   return notes.join(', ') || 'Needs review';
 }
 
-/**
- * Generate entity ID from canonical name
- */
-function generateEntityId(canonicalName) {
-  return canonicalName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_|_$/g, '');
-}
-
 module.exports = {
   tierEntities,
   generateEntityId
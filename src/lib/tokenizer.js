@@ -0,0 +1,126 @@
+/**
+ * tokenizer.js
+ *
+ * The one tokenizer and sentence segmenter shared by every stage: proper noun
+ * extraction (sentence-start counts), snippet windows and snippet dedupe all
+ * agree on where a sentence begins.
+ *
+ * Tokens are whitespace-delimited, punctuation attached ("Harry's", "said.",
+ * '"Stop!"'). A sentence ends after a token ending in . ! ? or an ellipsis,
+ * optionally followed by closing quotes or brackets, when the next token opens
+ * with a capital letter, a quote or ¿ ¡. Abbreviations ("Mr.", "e.g.") and
+ * initials ("J.") never end a sentence. Abbreviations and extra sentence
+ * openers (the dialogue dash in Spanish and French) come from the language
+ * pack (options.language).
+ */
+
+const { loadLanguagePack } = require('./language');
+
+// Terminal punctuation, then any closing quotes/brackets: `end.`, `end?"`, `end…’`, `end.)`, `Ende.“`
+const SENTENCE_END_PATTERN = /(?:[.!?]|…)["'”’“»«›‹)\]]*$/;
+
+const OPENERS = '"\'“‘„‚«»‹›(\\[¿¡';
+
+const openPatterns = new Map(); // Language code -> sentence-open pattern
+
+/**
+ * Next token opens a sentence: capital letter, an opening quote/bracket, or a pack opener
+ */
+function sentenceOpenPattern(pack) {
+  if (!openPatterns.has(pack.code)) {
+    const extra = pack.sentenceOpeners.map(c => c.replace(/[\\\]^-]/g, '\\$&')).join('');
+    openPatterns.set(pack.code, new RegExp(`^(?:[${OPENERS}${extra}]|\\p{Lu})`, 'u'));
+  }
+  return openPatterns.get(pack.code);
+}
+
+/**
+ * Split text into whitespace-delimited tokens
+ * @param {string} text
+ * @returns {Array} Array of { text, start, end } (offsets into text)
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return [...text.matchAll(/\S+/g)].map(m => ({
+    text: m[0],
+    start: m.index,
+    end: m.index + m[0].length
+  }));
+}
+
+/**
+ * Check if a token ends its sentence, given the token after it
+ * @param {string} token - Token text
+ * @param {string} [next] - Following token text (none at the end of the text)
+ * @param {Object} [options] - { language }
+ * @returns {boolean}
+ */
+function endsSentence(token, next, options = {}) {
+  const pack = loadLanguagePack(options.language);
+  if (!token || !SENTENCE_END_PATTERN.test(token)) return false;
+  if (next !== undefined && !sentenceOpenPattern(pack).test(next)) return false;
+
+  // "Mr.", "(e.g.", "J." — a period that belongs to the word
+  const bare = token.replace(/^["'“‘„‚«»‹›(\[¿¡]+/, '');
+  if (bare.endsWith('.')) {
+    const word = bare.slice(0, -1);
+    if (pack.abbreviations.has(word.toLowerCase()) || /^\p{Lu}$/u.test(word)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Tokenize text and group the tokens into sentences
+ * @param {string} text
+ * @param {Object} [options] - { language }
+ * @returns {Object} { tokens, sentences }
+ *   tokens:    Array of { text, start, end, sentence } (sentence is an index into sentences)
+ *   sentences: Array of { text, start, end, firstToken, lastToken } (token indices are inclusive)
+ */
+function segment(text, options = {}) {
+  const tokens = tokenize(text);
+  const sentences = [];
+  let firstToken = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    tokens[i].sentence = sentences.length;
+    const next = tokens[i + 1];
+    if (!next || endsSentence(tokens[i].text, next.text, options)) {
+      const start = tokens[firstToken].start;
+      const end = tokens[i].end;
+      sentences.push({ text: text.slice(start, end), start, end, firstToken, lastToken: i });
+      firstToken = i + 1;
+    }
+  }
+
+  return { tokens, sentences };
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @param {Object} [options] - { language }
+ * @returns {Array<string>} Array of sentences
+ */
+function splitSentences(text, options = {}) {
+  return segment(text, options).sentences.map(s => s.text);
+}
+
+/**
+ * Split text into sentences, keeping where each one sits in the text
+ * @param {string} text - Text to split
+ * @param {Object} [options] - { language }
+ * @returns {Array} Array of { text, start, end } (offsets into text)
+ */
+function locateSentences(text, options = {}) {
+  return segment(text, options).sentences.map(({ text: sentence, start, end }) => ({ text: sentence, start, end }));
+}
+
+module.exports = {
+  tokenize,
+  segment,
+  endsSentence,
+  splitSentences,
+  locateSentences
+};
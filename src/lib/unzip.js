@@ -0,0 +1,91 @@
+/**
+ * unzip.js
+ *
+ * Minimal ZIP reader for EPUB and DOCX containers (no dependencies).
+ * Supports stored and deflated entries, which covers every EPUB/DOCX
+ * producer we have seen. Encryption, ZIP64 and multi-disk archives are not supported.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Locate the end-of-central-directory record (scans back over the trailing comment)
+ * @param {Buffer} buffer
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(buffer) {
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+/**
+ * Read a ZIP archive
+ * @param {Buffer} buffer - Entire archive contents
+ * @returns {Map} Map of entry name -> { size, read(): Buffer, text(): string }
+ */
+function readZip(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error(`Corrupt ZIP central directory at offset ${offset}`);
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Directories carry no data
+    if (name.endsWith('/')) continue;
+
+    entries.set(name, {
+      size,
+      read() {
+        if (flags & 0x1) {
+          throw new Error(`Encrypted ZIP entries are not supported: ${name}`);
+        }
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+          throw new Error(`Corrupt ZIP local header for ${name}`);
+        }
+        const localNameLength = buffer.readUInt16LE(localOffset + 26);
+        const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return Buffer.from(data);
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+      },
+      text() {
+        return this.read().toString('utf8');
+      }
+    });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readZip
+};
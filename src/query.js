@@ -10,24 +10,41 @@
  *   node src/query.js --data-dir path/to/output --entity "Quirrell" --max 5
  *   node src/query.js --data-dir path/to/output --entity "Quirrell" --with "Snape" --max 5
  *   node src/query.js --data-dir path/to/output --list
+ *   node src/query.js --data-dir path/to/output --list --type location
  *   node src/query.js --data-dir path/to/output --search "dumble"
+ *   node src/query.js --data-dir path/to/output --entity "Quirrell" --book 2
+ *   node src/query.js --data-dir path/to/output --spoken-by "Snape" --max 5
  *
  * Options:
  *   --data-dir    Directory containing extraction output (required)
- *   --entities    Path to confirmed_characters.json (default: <data-dir>/confirmed_characters.json)
+ *   --entities    Path to an entity file (default: <data-dir>/entities.json, falling back to
+ *                 <data-dir>/confirmed_characters.json, then <data-dir>/series_registry.json)
+ *   --type        Only list and match entities of one type with --list, --search and
+ *                 --entity (character, location, family, organization, object, unknown)
+ *   --book N      Only return snippets and counts from book N of a series
+ *   --spoken-by   Return lines of dialogue attributed to an entity (dialogue.jsonl)
  *   --json        Output as JSON instead of human-readable
  *   --max N       Maximum snippets to return (default: 10)
+ *
+ * Snippets are read from snippets.jsonl one line at a time by byte offset
+ * (snippet_offsets.json), so only the snippets being returned are held in memory.
+ * dialogue.jsonl is scanned in chunks for the same reason.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { entityType, assertEntityType } = require('./lib/entity-types');
+const { chapterLabel } = require('./lib/chapter-headers');
 
 // Paths configured at init
 let DATA_DIR = null;
 let ENTITIES_FILE = null;
 
+const READ_CHUNK_SIZE = 64 * 1024;
+
 // Lazy-loaded data
-let snippetsCache = null;
+let snippetOffsetsCache = null;
+let bookIndexCache = null;
 let entityIndexCache = null;
 let cooccurrenceIndexCache = null;
 let entitiesCache = null;
@@ -42,25 +59,126 @@ function init(options = {}) {
     throw new Error('dataDir is required. Pass --data-dir <path> on CLI or call init({ dataDir }).');
   }
   DATA_DIR = path.resolve(dataDir);
-  ENTITIES_FILE = entitiesFile
-    ? path.resolve(entitiesFile)
-    : path.join(DATA_DIR, 'confirmed_characters.json');
+  ENTITIES_FILE = entitiesFile ? path.resolve(entitiesFile) : findEntitiesFile(DATA_DIR);
 
   // Reset caches
-  snippetsCache = null;
+  snippetOffsetsCache = null;
+  bookIndexCache = null;
   entityIndexCache = null;
   cooccurrenceIndexCache = null;
   entitiesCache = null;
 }
 
 /**
- * Load snippets from JSONL (lazy)
+ * Default entity file: the typed entities.json written by extract-snippets.js;
+ * older output has confirmed_characters.json, and series output the shared registry
+ */
+function findEntitiesFile(dataDir) {
+  const candidates = ['entities.json', 'confirmed_characters.json', 'series_registry.json']
+    .map(name => path.join(dataDir, name));
+  return candidates.find(p => fs.existsSync(p)) || candidates[0];
+}
+
+/**
+ * Load snippet ID -> byte offset map (lazy)
+ * Output written before snippet_offsets.json existed is scanned once instead.
+ */
+function loadSnippetOffsets() {
+  if (snippetOffsetsCache) return snippetOffsetsCache;
+  const offsetsPath = path.join(DATA_DIR, 'snippet_offsets.json');
+  snippetOffsetsCache = fs.existsSync(offsetsPath)
+    ? new Map(Object.entries(JSON.parse(fs.readFileSync(offsetsPath, 'utf8'))))
+    : scanSnippetOffsets(path.join(DATA_DIR, 'snippets.jsonl'));
+  return snippetOffsetsCache;
+}
+
+/**
+ * Build the snippet offset map by scanning snippets.jsonl in chunks
+ */
+function scanSnippetOffsets(snippetsPath) {
+  const fd = fs.openSync(snippetsPath, 'r');
+  try {
+    const lineStarts = [0];
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    let position = 0;
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, position)) > 0) {
+      for (let i = buffer.indexOf(10); i !== -1 && i < bytesRead; i = buffer.indexOf(10, i + 1)) {
+        lineStarts.push(position + i + 1);
+      }
+      position += bytesRead;
+    }
+
+    // Each line starts with {"id":"..."
+    const offsets = new Map();
+    const head = Buffer.alloc(64);
+    for (const start of lineStarts) {
+      const n = fs.readSync(fd, head, 0, head.length, start);
+      const match = head.toString('utf8', 0, n).match(/^\{"id":"([^"]+)"/);
+      if (match) offsets.set(match[1], start);
+    }
+    return offsets;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read the snippet whose line starts at a byte offset
+ */
+function readSnippetAt(fd, offset) {
+  const chunks = [];
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  let position = offset;
+  let bytesRead;
+  while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, position)) > 0) {
+    const newline = buffer.subarray(0, bytesRead).indexOf(10);
+    if (newline !== -1) {
+      chunks.push(Buffer.from(buffer.subarray(0, newline)));
+      break;
+    }
+    chunks.push(Buffer.from(buffer.subarray(0, bytesRead)));
+    position += bytesRead;
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Call fn(line) for each line of a file, reading it in chunks
+ * Stops early when fn returns false.
  */
-function loadSnippets() {
-  if (snippetsCache) return snippetsCache;
-  const content = fs.readFileSync(path.join(DATA_DIR, 'snippets.jsonl'), 'utf8');
-  snippetsCache = content.trim().split('\n').map(line => JSON.parse(line));
-  return snippetsCache;
+function forEachLine(filePath, fn) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    let pending = Buffer.alloc(0);
+    let position = 0;
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, position)) > 0) {
+      position += bytesRead;
+      let chunk = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+      let newline;
+      while ((newline = chunk.indexOf(10)) !== -1) {
+        if (fn(chunk.toString('utf8', 0, newline)) === false) return;
+        chunk = chunk.subarray(newline + 1);
+      }
+      pending = Buffer.from(chunk);
+    }
+    if (pending.length > 0) fn(pending.toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Load book index (lazy, series output only)
+ */
+function loadBookIndex() {
+  if (bookIndexCache) return bookIndexCache;
+  const bookIndexPath = path.join(DATA_DIR, 'book_index.json');
+  if (!fs.existsSync(bookIndexPath)) return null;
+  bookIndexCache = JSON.parse(fs.readFileSync(bookIndexPath, 'utf8'));
+  return bookIndexCache;
 }
 
 /**
@@ -82,23 +200,72 @@ function loadCooccurrenceIndex() {
 }
 
 /**
- * Load entities from confirmed characters (lazy)
+ * Load entities (lazy), typed from their file's metadata where untyped
  */
 function loadEntities() {
   if (entitiesCache) return entitiesCache;
   const data = JSON.parse(fs.readFileSync(ENTITIES_FILE, 'utf8'));
-  entitiesCache = data.entities || [];
+  entitiesCache = (data.entities || []).map(e => ({ ...e, type: entityType(e, data.metadata) }));
   return entitiesCache;
 }
 
+/**
+ * Entities of one type (all entities without a type)
+ */
+function entitiesOfType(type) {
+  const entities = loadEntities();
+  if (type == null) return entities;
+  assertEntityType(type);
+  return entities.filter(e => e.type === type);
+}
+
+/**
+ * Restrict snippet IDs to one book (no-op without a book)
+ */
+function filterByBook(snippetIds, book) {
+  if (book == null) return snippetIds;
+
+  const bookIndex = loadBookIndex();
+  if (bookIndex) {
+    const inBook = new Set(bookIndex[book] || []);
+    return snippetIds.filter(id => inBook.has(id));
+  }
+  return resolveSnippets(snippetIds, book).map(s => s.id);
+}
+
+/**
+ * Resolve snippet IDs to snippets, optionally restricted to one book
+ * Reads at most `limit` snippets from disk (after book filtering).
+ */
+function resolveSnippets(snippetIds, book, limit = Infinity) {
+  const offsets = loadSnippetOffsets();
+  const bookIndex = book == null ? null : loadBookIndex();
+  const ids = bookIndex ? filterByBook(snippetIds, book) : snippetIds;
+
+  const resolved = [];
+  const fd = fs.openSync(path.join(DATA_DIR, 'snippets.jsonl'), 'r');
+  try {
+    for (const id of ids) {
+      if (resolved.length >= limit) break;
+      if (!offsets.has(id)) continue;
+      const snippet = readSnippetAt(fd, offsets.get(id));
+      if (book == null || snippet.book === book) resolved.push(snippet);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return resolved;
+}
+
 /**
  * Fuzzy match entity name against all known entities
  * @param {string} searchTerm - Search term (partial, case-insensitive)
+ * @param {Object} options - { type: null }; with a type, only entities of that type match
  * @returns {Object|null} Matched entity or null
  */
-function findEntity(searchTerm) {
-  const entities = loadEntities();
-  const term = searchTerm.toLowerCase().trim();
+function findEntity(searchTerm, options = {}) {
+  const entities = entitiesOfType(options.type);
+  const term = searchTerm.normalize('NFC').toLowerCase().trim();
 
   // Exact ID match
   const exactId = entities.find(e => e.id === term);
@@ -127,36 +294,30 @@ function findEntity(searchTerm) {
 /**
  * Get snippets for an entity
  * @param {string} entityName - Entity name (fuzzy matched)
- * @param {Object} options - { maxSnippets: 10 }
+ * @param {Object} options - { maxSnippets: 10, book: null, type: null }
  * @returns {Array} Array of snippet objects
  */
 function getEntityContext(entityName, options = {}) {
-  const { maxSnippets = 10 } = options;
+  const { maxSnippets = 10, book = null, type = null } = options;
 
-  const entity = findEntity(entityName);
+  const entity = findEntity(entityName, { type });
   if (!entity) return [];
 
   const entityIndex = loadEntityIndex();
   const snippetIds = entityIndex[entity.id] || [];
 
-  const snippets = loadSnippets();
-  const snippetMap = new Map(snippets.map(s => [s.id, s]));
-
-  return snippetIds
-    .slice(0, maxSnippets)
-    .map(id => snippetMap.get(id))
-    .filter(Boolean);
+  return resolveSnippets(snippetIds, book, maxSnippets);
 }
 
 /**
  * Get snippets where two entities appear together
  * @param {string} entityA - First entity name
  * @param {string} entityB - Second entity name
- * @param {Object} options - { maxSnippets: 10 }
+ * @param {Object} options - { maxSnippets: 10, book: null }
  * @returns {Array} Array of snippets containing both
  */
 function getCooccurrenceContext(entityA, entityB, options = {}) {
-  const { maxSnippets = 10 } = options;
+  const { maxSnippets = 10, book = null } = options;
 
   const entA = findEntity(entityA);
   const entB = findEntity(entityB);
@@ -169,32 +330,74 @@ function getCooccurrenceContext(entityA, entityB, options = {}) {
   const cooccurrenceIndex = loadCooccurrenceIndex();
   const snippetIds = cooccurrenceIndex[key] || [];
 
-  const snippets = loadSnippets();
-  const snippetMap = new Map(snippets.map(s => [s.id, s]));
+  return resolveSnippets(snippetIds, book, maxSnippets);
+}
+
+/**
+ * Get lines of dialogue spoken by an entity
+ * @param {string} entityName - Entity name (fuzzy matched)
+ * @param {Object} options - { maxLines: 10, book: null }
+ * @returns {Array} Array of dialogue lines, in text order
+ */
+function getDialogue(entityName, options = {}) {
+  const { maxLines = 10, book = null } = options;
 
-  return snippetIds
-    .slice(0, maxSnippets)
-    .map(id => snippetMap.get(id))
-    .filter(Boolean);
+  const entity = findEntity(entityName);
+  if (!entity) return [];
+
+  const dialoguePath = path.join(DATA_DIR, 'dialogue.jsonl');
+  if (!fs.existsSync(dialoguePath)) {
+    throw new Error(`No dialogue.jsonl in ${DATA_DIR}. Re-run extract-snippets.js to generate it.`);
+  }
+
+  const lines = [];
+  forEachLine(dialoguePath, (line) => {
+    if (!line.includes(`"speaker":"${entity.id}"`)) return true;
+    const dialogue = JSON.parse(line);
+    if (dialogue.speaker === entity.id && (book == null || dialogue.book === book)) {
+      lines.push(dialogue);
+    }
+    return lines.length < maxLines;
+  });
+
+  return lines;
 }
 
 /**
  * List all entities with counts
- * @param {Object} options - { sortBy: 'snippets' | 'mentions' }
- * @returns {Array} Array of { id, name, snippetCount, mentionCount }
+ * With a book, counts cover that book only and entities absent from it are omitted.
+ * @param {Object} options - { sortBy: 'snippets' | 'mentions', book: null, type: null }
+ * @returns {Array} Array of { id, name, type, snippetCount, mentionCount }
  */
 function listEntities(options = {}) {
-  const { sortBy = 'snippets' } = options;
+  const { sortBy = 'snippets', book = null, type = null } = options;
 
-  const entities = loadEntities();
+  const entities = entitiesOfType(type);
   const entityIndex = loadEntityIndex();
 
-  const result = entities.map(e => ({
-    id: e.id,
-    name: e.canonicalName,
-    snippetCount: (entityIndex[e.id] || []).length,
-    mentionCount: e.mentions || 0
-  }));
+  let result;
+  if (book == null) {
+    result = entities.map(e => ({
+      id: e.id,
+      name: e.canonicalName,
+      type: e.type,
+      snippetCount: (entityIndex[e.id] || []).length,
+      mentionCount: e.mentions || 0
+    }));
+  } else {
+    result = entities
+      .map(e => {
+        const inBook = (e.books || []).find(b => b.book === book);
+        return {
+          id: e.id,
+          name: e.canonicalName,
+          type: e.type,
+          snippetCount: filterByBook(entityIndex[e.id] || [], book).length,
+          mentionCount: inBook ? inBook.mentions : 0
+        };
+      })
+      .filter(e => e.snippetCount > 0 || e.mentionCount > 0);
+  }
 
   if (sortBy === 'mentions') {
     result.sort((a, b) => b.mentionCount - a.mentionCount);
@@ -208,9 +411,11 @@ function listEntities(options = {}) {
 /**
  * Format snippet for human-readable output
  */
-function formatSnippet(s) {
+function formatSnippet(s, options = {}) {
+  const { showBook = false } = options;
   const lines = [];
-  lines.push(`[${s.id}] Chapter ${s.chapter}: ${s.chapterTitle}`);
+  const bookLabel = showBook ? `Book ${s.book}, ` : '';
+  lines.push(`[${s.id}] ${bookLabel}${chapterLabel(s.chapter)}: ${s.chapterTitle}`);
   lines.push(`  Before: ${s.text.before || '(start)'}`);
   lines.push(`  Match: ${s.text.match}`);
   lines.push(`  After: ${s.text.after || '(end)'}`);
@@ -218,6 +423,18 @@ function formatSnippet(s) {
   return lines.join('\n');
 }
 
+/**
+ * Format dialogue line for human-readable output
+ */
+function formatDialogue(d, speakerName, options = {}) {
+  const { showBook = false } = options;
+  const bookLabel = showBook ? `Book ${d.book}, ` : '';
+  return [
+    `[${d.id}] ${bookLabel}${chapterLabel(d.chapter)}: ${d.chapterTitle}`,
+    `  ${speakerName} (${d.attribution}): "${d.text}"`
+  ].join('\n');
+}
+
 // CLI
 if (require.main === module) {
   const args = process.argv.slice(2);
@@ -233,8 +450,11 @@ if (require.main === module) {
   const entityName = getArg('--entity');
   const withEntity = getArg('--with');
   const maxSnippets = parseInt(getArg('--max') || '10', 10);
+  const book = getArg('--book') ? parseInt(getArg('--book'), 10) : null;
   const searchTerm = getArg('--search');
+  const spokenBy = getArg('--spoken-by');
   const doList = hasFlag('--list');
+  const type = getArg('--type');
 
   if (!dataDir) {
     console.error('Error: --data-dir is required');
@@ -242,12 +462,17 @@ if (require.main === module) {
 Usage:
   node src/query.js --data-dir <path> --entity "Quirrell" [--max 5]
   node src/query.js --data-dir <path> --entity "Quirrell" --with "Snape" [--max 5]
-  node src/query.js --data-dir <path> --list
+  node src/query.js --data-dir <path> --list [--type location]
   node src/query.js --data-dir <path> --search "dumble"
+  node src/query.js --data-dir <path> --spoken-by "Snape" [--max 5]
 
 Options:
   --data-dir  Directory containing extraction output (required)
-  --entities  Path to confirmed_characters.json (default: <data-dir>/confirmed_characters.json)
+  --entities  Path to an entity file (default: <data-dir>/entities.json)
+  --type T    Only list and match entities of type T (character, location,
+              family, organization, object, unknown)
+  --book N    Only return snippets and counts from book N of a series
+  --spoken-by Return dialogue attributed to an entity
   --json      Output as JSON instead of human-readable
   --max N     Maximum snippets to return (default: 10)
 `);
@@ -257,30 +482,50 @@ Options:
   init({ dataDir, entitiesFile });
 
   try {
+    // Label snippets with their book when querying a series
+    const showBook = book != null || loadEntities().some(e => e.books);
+
     if (doList) {
-      const entities = listEntities();
+      const entities = listEntities({ book, type });
       if (jsonOutput) {
         console.log(JSON.stringify(entities, null, 2));
       } else {
-        console.log(`\n=== All Entities (${entities.length}) ===\n`);
+        const heading = type ? `Entities of type ${type}` : 'All Entities';
+        console.log(`\n=== ${heading} (${entities.length}) ===\n`);
         for (const e of entities) {
-          console.log(`${e.name}: ${e.snippetCount} snippets, ${e.mentionCount} mentions`);
+          console.log(`${e.name} [${e.type}]: ${e.snippetCount} snippets, ${e.mentionCount} mentions`);
         }
       }
     } else if (searchTerm) {
-      const entity = findEntity(searchTerm);
+      const entity = findEntity(searchTerm, { type });
       if (jsonOutput) {
         console.log(JSON.stringify(entity, null, 2));
       } else if (entity) {
         const entityIndex = loadEntityIndex();
         const count = (entityIndex[entity.id] || []).length;
-        console.log(`\nFound: ${entity.canonicalName} (${entity.id})`);
+        console.log(`\nFound: ${entity.canonicalName} (${entity.id}, ${entity.type})`);
         console.log(`Snippets: ${count}, Mentions: ${entity.mentions}`);
+        for (const b of entity.books || []) {
+          console.log(`  Book ${b.book} (${b.title}): ${b.mentions} mentions as ${b.canonicalName}`);
+        }
       } else {
         console.log(`No entity found matching "${searchTerm}"`);
       }
+    } else if (spokenBy) {
+      const lines = getDialogue(spokenBy, { maxLines: maxSnippets, book });
+      if (jsonOutput) {
+        console.log(JSON.stringify(lines, null, 2));
+      } else {
+        const entity = findEntity(spokenBy);
+        const name = entity?.canonicalName || spokenBy;
+        console.log(`\n=== Spoken by ${name} (${lines.length} lines) ===\n`);
+        for (const d of lines) {
+          console.log(formatDialogue(d, name, { showBook }));
+          console.log('');
+        }
+      }
     } else if (entityName && withEntity) {
-      const snippets = getCooccurrenceContext(entityName, withEntity, { maxSnippets });
+      const snippets = getCooccurrenceContext(entityName, withEntity, { maxSnippets, book });
       if (jsonOutput) {
         console.log(JSON.stringify(snippets, null, 2));
       } else {
@@ -288,21 +533,23 @@ Options:
         const entB = findEntity(withEntity);
         console.log(`\n=== ${entA?.canonicalName || entityName} + ${entB?.canonicalName || withEntity} (${snippets.length} snippets) ===\n`);
         for (const s of snippets) {
-          console.log(formatSnippet(s));
+          console.log(formatSnippet(s, { showBook }));
           console.log('');
         }
       }
     } else if (entityName) {
-      const snippets = getEntityContext(entityName, { maxSnippets });
+      const snippets = getEntityContext(entityName, { maxSnippets, book, type });
       if (jsonOutput) {
         console.log(JSON.stringify(snippets, null, 2));
       } else {
-        const entity = findEntity(entityName);
+        const entity = findEntity(entityName, { type });
         const entityIndex = loadEntityIndex();
-        const total = (entityIndex[entity?.id] || []).length;
+        const total = book == null
+          ? (entityIndex[entity?.id] || []).length
+          : filterByBook(entityIndex[entity?.id] || [], book).length;
         console.log(`\n=== ${entity?.canonicalName || entityName} (${total} total, showing ${snippets.length}) ===\n`);
         for (const s of snippets) {
-          console.log(formatSnippet(s));
+          console.log(formatSnippet(s, { showBook }));
           console.log('');
         }
       }
@@ -311,12 +558,17 @@ Options:
 Usage:
   node src/query.js --data-dir <path> --entity "Quirrell" [--max 5]
   node src/query.js --data-dir <path> --entity "Quirrell" --with "Snape" [--max 5]
-  node src/query.js --data-dir <path> --list
+  node src/query.js --data-dir <path> --list [--type location]
   node src/query.js --data-dir <path> --search "dumble"
+  node src/query.js --data-dir <path> --spoken-by "Snape" [--max 5]
 
 Options:
   --data-dir  Directory containing extraction output (required)
-  --entities  Path to confirmed_characters.json (default: <data-dir>/confirmed_characters.json)
+  --entities  Path to an entity file (default: <data-dir>/entities.json)
+  --type T    Only list and match entities of type T (character, location,
+              family, organization, object, unknown)
+  --book N    Only return snippets and counts from book N of a series
+  --spoken-by Return dialogue attributed to an entity
   --json      Output as JSON instead of human-readable
   --max N     Maximum snippets to return (default: 10)
 `);
@@ -332,5 +584,6 @@ module.exports = {
   findEntity,
   getEntityContext,
   getCooccurrenceContext,
+  getDialogue,
   listEntities
 };
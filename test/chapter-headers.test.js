@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChapterTracker, createHeaderMatcher } = require('../src/lib/chapter-headers');
+
+// Header -> [number, title], or null when it is not a header
+const CASES = {
+  en: {
+    '## CHAPTER ONE: The Arrival': [1, 'The Arrival'],
+    '## Chapter Thirty-Four': [34, ''],
+    '## Chapter One Hundred and Two': [102, ''],
+    '## Chapter Ten Years Later': [10, 'Years Later'],
+    '## Chapter XIV. Title': [14, 'Title'],
+    '## Chapter Tent': null
+  },
+  de: {
+    '## Kapitel Eins': [1, ''],
+    '## Kapitel Dreiundzwanzig': [23, ''],
+    '## KAPITEL EINUNDZWANZIG: Der Wald': [21, 'Der Wald'],
+    '## Kapitel Einhundertdrei': [103, ''],
+    '## Kapitel Achtung': null,
+    '## CHAPTER ONE': null,
+    '## CHAPTER 1': [1, '']
+  },
+  es: {
+    '## Capítulo Uno': [1, ''],
+    '## CAPÍTULO VEINTITRÉS': [23, ''],
+    '## Capítulo treinta y cuatro: La casa': [34, 'La casa'],
+    '## Capítulo Primero': [1, ''],
+    '## Capítulo Ciento Uno': [101, '']
+  },
+  fr: {
+    '## Chapitre Un': [1, ''],
+    '## Chapitre premier': [1, ''],
+    '## Chapitre Vingt et Un': [21, ''],
+    '## Chapitre quatre-vingt-dix-sept': [97, ''],
+    '## Chapitre Dix-Sept : Le retour': [17, 'Le retour']
+  }
+};
+
+for (const [language, headers] of Object.entries(CASES)) {
+  test(`reads ${language} chapter numbers`, () => {
+    const matchHeader = createHeaderMatcher({ language });
+    for (const [line, expected] of Object.entries(headers)) {
+      const header = matchHeader(line);
+      assert.deepStrictEqual(header && [header.number, header.title], expected, line);
+    }
+  });
+}
+
+test('numbers unnumbered sections apart from numbered chapters', () => {
+  const tracker = createChapterTracker();
+  const chapters = ['## PROLOGUE', '## Chapter 3', '## INTERLUDE', '## Chapter 4', '## INTERLUDE', '## EPILOGUE']
+    .map(line => tracker.next(line).chapter);
+  assert.deepStrictEqual(chapters.map(c => c.key), ['prologue-1', 3, 'interlude-1', 4, 'interlude-2', 'epilogue-1']);
+  assert.deepStrictEqual(chapters.map(c => c.number), [null, 3, null, 4, null, null]);
+  assert.deepStrictEqual(chapters.map(c => c.index), [1, 2, 3, 4, 5, 6]);
+});
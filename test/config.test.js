@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveConfig } = require('../src/lib/config');
+
+test('rejects word lists that are not strings', () => {
+  assert.throws(() => resolveConfig({ stopwords: { add: [1] } }), /stopwords\.add must be an array of strings/);
+  assert.throws(() => resolveConfig({ stopwords: { remove: [null] } }), /stopwords\.remove must be an array of strings/);
+  assert.throws(() => resolveConfig({ titles: { remove: [2] } }), /titles\.remove must be an array of strings/);
+  assert.throws(() => resolveConfig({ stopwords: ['Will'] }), /stopwords must be an object/);
+});
+
+test('rejects threshold groups that are not objects', () => {
+  assert.throws(() => resolveConfig({ thresholds: { filter: 5 } }), /Threshold group "filter" must be an object/);
+  assert.throws(() => resolveConfig({ thresholds: { filter: 'x' } }), /Threshold group "filter" must be an object/);
+  assert.throws(() => resolveConfig({ thresholds: { filter: [0.7] } }), /Threshold group "filter" must be an object/);
+  assert.throws(() => resolveConfig({ thresholds: [1] }), /thresholds must be an object/);
+  assert.throws(() => resolveConfig({ thresholds: { filter: { maxSentenceStartRatio: 'x' } } }),
+    /Threshold "filter\.maxSentenceStartRatio" must be a number/);
+});
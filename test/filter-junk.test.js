@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractProperNouns } = require('../src/lib/extract-proper-nouns');
+const { groupVariants } = require('../src/lib/group-variants');
+const { filterJunk } = require('../src/lib/filter-junk');
+
+function filter(text) {
+  const extraction = extractProperNouns(text);
+  const { clean, excluded } = filterJunk(groupVariants(extraction), extraction, text);
+  return { clean: clean.map(g => g.canonicalName), excluded: excluded.map(e => e.text) };
+}
+
+test('keeps a character whose every mention starts a sentence', () => {
+  const paragraphs = [];
+  for (let i = 0; i < 6; i++) {
+    paragraphs.push('Hermione cried. The door shut.', 'Hermione Granger opened the book. It was old.');
+  }
+  const result = filter(`## Chapter 1\n\n${paragraphs.join('\n\n')}`);
+  assert.deepStrictEqual(result.clean, ['Hermione Granger']);
+  assert.deepStrictEqual(result.excluded, []);
+});
+
+test('excludes a sentence-start adverb used in lowercase wherever it falls', () => {
+  const lowercase = Array(6).fill('She walked quietly home. The rain fell quietly.').join('\n\n');
+  const starts = Array(6).fill('Quietly, Tom closed the gate. Tom left.').join('\n\n');
+  for (const text of [`${lowercase}\n\n${starts}`, `${starts}\n\n${lowercase}`]) {
+    const result = filter(`## Chapter 1\n\n${text}`);
+    assert.deepStrictEqual(result.excluded, ['Quietly']);
+    assert.deepStrictEqual(result.clean, ['Tom']);
+  }
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractProperNouns } = require('../src/lib/extract-proper-nouns');
+const { groupVariants } = require('../src/lib/group-variants');
+
+function group(paragraphs) {
+  const extraction = extractProperNouns(`## Chapter 1\n\n${paragraphs.join('\n\n')}`);
+  return Object.fromEntries(groupVariants(extraction).map(g => [g.canonicalName, g.variants.map(v => v.form)]));
+}
+
+test('keeps a titled surname apart from a full name of the other gender', () => {
+  const paragraphs = [];
+  for (let i = 0; i < 4; i++) {
+    paragraphs.push('Maxim de Winter stood by the window. He said nothing for a while.');
+    paragraphs.push('The house was quiet. Mrs. de Winter walked to the garden. She looked at the roses.');
+  }
+  const groups = group(paragraphs);
+  assert.deepStrictEqual(groups['Maxim de Winter'], ['Maxim de Winter']);
+  assert.deepStrictEqual(groups['Mrs de Winter'], ['Mrs de Winter']);
+});
+
+test('links a titled surname that agrees with the full name', () => {
+  const paragraphs = [];
+  for (let i = 0; i < 4; i++) {
+    paragraphs.push('Maxim de Winter stood by the window. He said nothing for a while.');
+    paragraphs.push('The house was quiet. Mr. de Winter walked to the garden. He looked at the roses.');
+  }
+  assert.deepStrictEqual(group(paragraphs)['Maxim de Winter'], ['Maxim de Winter', 'Mr de Winter']);
+});
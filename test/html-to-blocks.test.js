@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeEntities } = require('../src/lib/html-to-blocks');
+
+test('decodes numeric and named entities', () => {
+  assert.strictEqual(decodeEntities('Zo&#235; &amp; Jos&#xE9; &mdash; done'), 'Zoë & José — done');
+});
+
+test('leaves out-of-range numeric entities as written', () => {
+  assert.strictEqual(decodeEntities('a &#99999999; b &#x110000; c'), 'a &#99999999; b &#x110000; c');
+});
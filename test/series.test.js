@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSeriesManifest } = require('../src/lib/series');
+
+test('reports a malformed manifest with its path', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'series-'));
+  const manifestPath = path.join(dir, 'series.json');
+  fs.writeFileSync(manifestPath, '{"books": [');
+  try {
+    assert.throws(() => loadSeriesManifest(manifestPath),
+      error => error.message.startsWith(`Invalid series manifest ${manifestPath}: `));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});